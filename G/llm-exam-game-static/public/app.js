@@ -1,5 +1,8 @@
 
-import { gradeAnswer } from "./grader.js";
+import { gradeAnswer, estimateGrade } from "./grader.js";
+import { buildReviewQueue } from "../../llm-exam-game/public/review-scheduler.mjs";
+import { pacingFor } from "../../llm-exam-game/public/pacing.mjs";
+import { formatCost } from "../../llm-exam-game/public/pricing.mjs";
 
 const els = {
     status: document.getElementById("status"),
@@ -9,6 +12,8 @@ const els = {
     modelCustomInput: document.getElementById("modelCustomInput"),
     apiKeyLabel: document.getElementById("apiKeyLabel"),
     apiKeyInput: document.getElementById("apiKeyInput"),
+    baseUrlField: document.getElementById("baseUrlField"),
+    baseUrlInput: document.getElementById("baseUrlInput"),
     rememberKey: document.getElementById("rememberKey"),
     showKey: document.getElementById("showKey"),
     clearKeyBtn: document.getElementById("clearKeyBtn"),
@@ -19,15 +24,20 @@ const els = {
     submitBtn: document.getElementById("submitBtn"),
     saveDraftBtn: document.getElementById("saveDraftBtn"),
     clearBtn: document.getElementById("clearBtn"),
+    usageLine: document.getElementById("usageLine"),
     result: document.getElementById("result"),
     history: document.getElementById("history"),
     draftStatus: document.getElementById("draftStatus"),
     timerValue: document.getElementById("timerValue"),
+    timerHint: document.getElementById("timerHint"),
     timerStart: document.getElementById("timerStart"),
     timerPause: document.getElementById("timerPause"),
     timerReset: document.getElementById("timerReset"),
     randomBtn: document.getElementById("randomBtn"),
-    exportHistoryBtn: document.getElementById("exportHistoryBtn")
+    exportHistoryBtn: document.getElementById("exportHistoryBtn"),
+    reviewRefreshBtn: document.getElementById("reviewRefreshBtn"),
+    reviewSummary: document.getElementById("reviewSummary"),
+    reviewList: document.getElementById("reviewList")
 };
 
 const STORAGE_KEYS = {
@@ -35,6 +45,7 @@ const STORAGE_KEYS = {
     rememberKey: "llm-exam-game:rememberKey",
     setId: "llm-exam-game:setId",
     questionId: "llm-exam-game:questionId",
+    localBaseUrl: "llm-exam-game:localBaseUrl",
     draftPrefix: "llm-exam-game:draft:",
     history: "llm-exam-game:history"
 };
@@ -69,12 +80,33 @@ const PROVIDERS = {
             { value: "claude-3-5-sonnet-20241022", label: "claude-3.5-sonnet" },
             { value: "claude-3-5-haiku-20241022", label: "claude-3.5-haiku" }
         ]
+    },
+    local: {
+        id: "local",
+        label: "Local (OpenAI-compatible)",
+        keyPlaceholder: "(optional)",
+        defaultModel: "llama3.1",
+        models: [
+            { value: "llama3.1", label: "llama3.1" },
+            { value: "qwen2.5", label: "qwen2.5" }
+        ]
+    },
+    offline: {
+        id: "offline",
+        label: "Offline rubric",
+        keyPlaceholder: "(not needed)",
+        defaultModel: "rubric-v1",
+        models: [
+            { value: "rubric-v1", label: "rubric-v1" }
+        ]
     }
 };
 
 let state = {
     sets: [],
     questions: [],
+    context: null,
+    allQuestions: null, // every set's questions (with setId), loaded for the review queue
     selectedSetId: null,
     selectedQuestionId: null,
     provider: "openai",
@@ -90,6 +122,18 @@ function formatMs(ms) {
     return `${m}:${s}`;
 }
 
+function safeJsonParse(text, fallback) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
 function setStatus(lines, tone = "info") {
     const header = tone === "ok" ? "✓" : tone === "warn" ? "!" : tone === "bad" ? "×" : "i";
     els.status.textContent = `${header} ${lines.join("\n")}`;
@@ -119,6 +163,9 @@ function updateProviderUi() {
     const savedKey = localStorage.getItem(apiKeyStorageKey(provider)) || "";
     els.apiKeyInput.value = savedKey;
 
+    els.baseUrlField.classList.toggle("hidden", provider !== "local");
+    els.baseUrlInput.value = localStorage.getItem(STORAGE_KEYS.localBaseUrl) || "";
+
     // Models
     els.modelInput.innerHTML = cfg.models
         .map(m => `<option value="${m.value}">${m.label}</option>`)
@@ -146,6 +193,7 @@ async function loadData() {
         els.setSelect.value = state.selectedSetId;
 
         await refreshQuestions();
+        await refreshReview();
 
         setStatus(["就緒 (Static Mode)"], "ok");
     } catch (e) {
@@ -162,6 +210,7 @@ async function refreshQuestions() {
         if (!res.ok) throw new Error("Questions file not found");
         const json = await res.json();
         state.questions = json.questions || [];
+        state.context = await loadContext(state.selectedSetId);
 
         els.questionSelect.innerHTML = state.questions
             .map(q => `<option value="${q.id}">${q.section} | ${q.points}pts | ${q.title}</option>`)
@@ -177,6 +226,114 @@ async function refreshQuestions() {
     }
 }
 
+// Grading context built by llm-exam-game/build-static.js; an older deploy without it still grades, just ungrounded.
+async function loadContext(setId) {
+    try {
+        const res = await fetch(`./data/${setId}.context.json`);
+        return res.ok ? await res.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+// --- History & review ---
+
+const HISTORY_LIMIT = 300;
+
+function readHistory() {
+    const history = safeJsonParse(localStorage.getItem(STORAGE_KEYS.history) || "[]", []);
+    return Array.isArray(history) ? history : [];
+}
+
+function recordAttempt({ question, answer, provider, model, elapsedSeconds, pacing, result, usage }) {
+    const score = Number(result?.score) || 0;
+    const maxScore = Number(result?.maxScore) || 0;
+    const history = readHistory();
+    history.unshift({
+        id: crypto.randomUUID(),
+        at: Date.now(),
+        setId: state.selectedSetId,
+        questionId: question.id,
+        questionTitle: question.title,
+        provider,
+        model,
+        elapsedSeconds,
+        budgetSeconds: pacing?.budgetSeconds ?? null,
+        overrunSeconds: pacing?.overrunSeconds ?? null,
+        usage: usage || null,
+        answer,
+        score,
+        maxScore,
+        scoreRatio: maxScore ? score / maxScore : 0,
+        result
+    });
+    localStorage.setItem(STORAGE_KEYS.history, JSON.stringify(history.slice(0, HISTORY_LIMIT)));
+}
+
+async function loadAllQuestions() {
+    if (state.allQuestions) return state.allQuestions;
+    const perSet = await Promise.all(state.sets.map(async (set) => {
+        const res = await fetch(`./data/${set.id}.questions.json`);
+        if (!res.ok) return [];
+        const json = await res.json();
+        return (json.questions || []).map((q) => ({ ...q, setId: set.id }));
+    }));
+    state.allQuestions = perSet.flat();
+    return state.allQuestions;
+}
+
+const REVIEW_STATUS = { overdue: ["逾期", "bad"], due: ["今天到期", ""], new: ["尚未練習", ""] };
+
+async function refreshReview() {
+    let queue;
+    try {
+        queue = buildReviewQueue({ questions: await loadAllQuestions(), attempts: readHistory() });
+    } catch (e) {
+        els.reviewList.innerHTML = `<div class="subtle">讀取複習清單失敗：${escapeHtml(e.message)}</div>`;
+        return;
+    }
+    const { items, counts, nextDue } = queue;
+    const next = nextDue ? `；下一題 ${new Date(nextDue).toLocaleDateString()} 到期` : "";
+    els.reviewSummary.textContent = `逾期 ${counts.overdue}｜今天到期 ${counts.due}｜未練習 ${counts.new}｜之後才到期 ${counts.scheduled}${next}`;
+    if (!items.length) {
+        els.reviewList.innerHTML = `<div class="subtle">今天沒有要複習的題目。</div>`;
+        return;
+    }
+    const titles = new Map(state.sets.map((s) => [s.id, s.title]));
+    let lastGroup = null;
+    els.reviewList.innerHTML = items.map((item) => {
+        const [label, tone] = REVIEW_STATUS[item.status] || [item.status, ""];
+        const header = item.group && item.group !== lastGroup ? `<div class="subtle">相關概念：${escapeHtml(item.group)}</div>` : "";
+        lastGroup = item.group;
+        const last = item.lastAt
+            ? `上次 ${Math.round(item.lastRatio * 100)}%（${new Date(item.lastAt).toLocaleDateString()}）｜間隔 ${item.intervalDays} 天`
+            : "第一次練習";
+        return `${header}
+            <div class="history-item">
+                <div>
+                    <span class="pill ${tone}">${label}${item.overdueDays ? ` ${item.overdueDays} 天` : ""}</span>
+                    <span class="pill">${escapeHtml(titles.get(item.setId) || item.setId)}</span>
+                    <span class="pill">${escapeHtml(item.title)}</span>
+                </div>
+                <div class="subtle">${last}${item.tags.length ? `｜${escapeHtml(item.tags.join("、"))}` : ""}</div>
+                <button class="secondary small" data-set="${escapeHtml(item.setId)}" data-question="${escapeHtml(item.questionId)}">練習這題</button>
+            </div>`;
+    }).join("");
+}
+
+async function practiceReviewItem(setId, questionId) {
+    localStorage.setItem(STORAGE_KEYS.questionId, questionId);
+    if (setId !== state.selectedSetId) {
+        state.selectedSetId = setId;
+        els.setSelect.value = setId;
+        localStorage.setItem(STORAGE_KEYS.setId, setId);
+        await refreshQuestions();
+    }
+    state.selectedQuestionId = questionId;
+    els.questionSelect.value = questionId;
+    resetTimer();
+    renderQuestion();
+}
 
 function randomQuestion() {
     if (!state.questions.length) return;
@@ -184,11 +341,7 @@ function randomQuestion() {
     state.selectedQuestionId = state.questions[idx].id;
     els.questionSelect.value = state.selectedQuestionId;
 
-    // Reset timer
-    state.timer.running = false;
-    state.timer.elapsedMs = 0;
-    if (state.timer.tick) clearInterval(state.timer.tick);
-    els.timerValue.textContent = "00:00";
+    resetTimer();
 
     renderQuestion();
     loadDraft();
@@ -214,6 +367,94 @@ function exportHistory() {
     URL.revokeObjectURL(url);
 }
 
+// --- Usage ---
+
+function selectedModel() {
+    return els.modelInput.value === "__custom__" ? els.modelCustomInput.value.trim() : els.modelInput.value;
+}
+
+// Spending this local day and month, summed from the history (only its last HISTORY_LIMIT attempts are kept).
+function spendingTotals(now = Date.now()) {
+    const day = new Date(now);
+    day.setHours(0, 0, 0, 0);
+    const month = new Date(day);
+    month.setDate(1);
+    const totals = { day: 0, month: 0 };
+    for (const h of readHistory()) {
+        const cost = h.usage?.cost || 0;
+        if (h.at >= month.getTime()) totals.month += cost;
+        if (h.at >= day.getTime()) totals.day += cost;
+    }
+    return totals;
+}
+
+// Today / this month, plus what grading the current answer would cost (same prompt as gradeAnswer).
+function renderUsage() {
+    const totals = spendingTotals();
+    const parts = [`花費：今日 ${formatCost(totals.day)}｜本月 ${formatCost(totals.month)}`];
+    const q = state.questions.find((x) => x.id === state.selectedQuestionId);
+    const answer = els.answerInput.value.trim();
+    if (q && answer) {
+        const elapsedSeconds = Math.floor(timerElapsedMs() / 1000);
+        const estimate = estimateGrade({
+            question: q,
+            answer,
+            provider: state.provider,
+            model: selectedModel(),
+            elapsedSeconds,
+            pacing: pacingFor(q, currentSet(), elapsedSeconds),
+            context: state.context
+        });
+        const cost = estimate.cost == null ? "無法估價" : `≈ ${formatCost(estimate.cost)}`;
+        parts.push(`這次送出 ${cost}，約 ${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens`);
+    }
+    els.usageLine.textContent = parts.join("｜");
+}
+
+const PACING_HINTS = {
+    ok: "",
+    half: "已用掉一半時間。",
+    warn: "剩不到 20%：開始收尾、補上結論。",
+    over: "已超時：先把結論寫完。"
+};
+
+function currentSet() {
+    return state.sets.find((s) => s.id === state.selectedSetId);
+}
+
+function timerElapsedMs() {
+    return state.timer.elapsedMs + (state.timer.running ? Date.now() - state.timer.startedAtMs : 0);
+}
+
+// Counts down the question's budget (points × examTimeMinutes / 100); past zero it shows the overrun as +mm:ss.
+function renderTimer() {
+    const q = state.questions.find(x => x.id === state.selectedQuestionId);
+    const elapsedMs = timerElapsedMs();
+    if (!q) {
+        els.timerValue.textContent = formatMs(elapsedMs);
+        els.timerHint.textContent = "";
+        return;
+    }
+    const pacing = pacingFor(q, currentSet(), elapsedMs / 1000);
+    els.timerValue.textContent = pacing.overrunSeconds
+        ? `+${formatMs(pacing.overrunSeconds * 1000)}`
+        : formatMs(pacing.budgetSeconds * 1000 - elapsedMs);
+    els.timerValue.dataset.level = pacing.level;
+    const budget = pacing.source === "timebox"
+        ? `本題建議 ${formatMs(pacing.budgetSeconds * 1000)}（延伸題指定）`
+        : `本題建議 ${formatMs(pacing.budgetSeconds * 1000)}（${q.points} 分 × ${pacing.minutesPerPoint} 分鐘）`;
+    els.timerHint.textContent = [budget, PACING_HINTS[pacing.level]].filter(Boolean).join("｜");
+}
+
+function resetTimer() {
+    state.timer.running = false;
+    state.timer.startedAtMs = null;
+    state.timer.elapsedMs = 0;
+    if (state.timer.tick) clearInterval(state.timer.tick);
+    state.timer.tick = null;
+    renderTimer();
+}
+
 function renderQuestion() {
     const q = state.questions.find(x => x.id === state.selectedQuestionId);
     if (!q) {
@@ -223,11 +464,13 @@ function renderQuestion() {
     }
     els.questionMeta.textContent = `${q.section}｜${q.points} 分｜${q.title}`;
     els.questionText.textContent = q.text;
+    renderTimer();
 
     // Load draft
     const draftKey = `${STORAGE_KEYS.draftPrefix}${state.selectedSetId}:${q.id}`;
     els.answerInput.value = localStorage.getItem(draftKey) || "";
     els.draftStatus.textContent = localStorage.getItem(draftKey) ? "Draft loaded." : "";
+    renderUsage();
 }
 
 // --- Event Listeners ---
@@ -236,12 +479,12 @@ els.setSelect.addEventListener("change", async () => {
     state.selectedSetId = els.setSelect.value;
     localStorage.setItem(STORAGE_KEYS.setId, state.selectedSetId);
     await refreshQuestions();
-    state.timer = { running: false, elapsedMs: 0 }; // Reset timer
-    els.timerValue.textContent = "00:00";
+    resetTimer();
 });
 
 els.questionSelect.addEventListener("change", () => {
     state.selectedQuestionId = els.questionSelect.value;
+    resetTimer();
     localStorage.setItem(STORAGE_KEYS.questionId, state.selectedQuestionId);
     renderQuestion();
 });
@@ -250,6 +493,15 @@ els.providerSelect.addEventListener("change", () => {
     state.provider = els.providerSelect.value;
     localStorage.setItem(STORAGE_KEYS.provider, state.provider);
     updateProviderUi();
+    renderUsage();
+});
+
+els.modelInput.addEventListener("change", () => renderUsage());
+els.modelCustomInput.addEventListener("input", () => renderUsage());
+els.answerInput.addEventListener("input", () => renderUsage());
+
+els.baseUrlInput.addEventListener("input", () => {
+    localStorage.setItem(STORAGE_KEYS.localBaseUrl, els.baseUrlInput.value.trim());
 });
 
 els.apiKeyInput.addEventListener("input", () => {
@@ -279,8 +531,9 @@ els.submitBtn.addEventListener("click", async () => {
     if (!q) return;
 
     const apiKey = els.apiKeyInput.value.trim();
-    if (!apiKey) {
-        alert("Please enter an API Key first.");
+    const baseUrl = els.baseUrlInput.value.trim();
+    if (state.provider !== "offline" && (state.provider === "local" ? !baseUrl : !apiKey)) {
+        alert(state.provider === "local" ? "Please enter the local server Base URL first." : "Please enter an API Key first.");
         return;
     }
 
@@ -294,21 +547,35 @@ els.submitBtn.addEventListener("click", async () => {
     els.submitBtn.textContent = "Grading...";
 
     try {
-        const model = els.modelInput.value === "__custom__"
-            ? els.modelCustomInput.value.trim()
-            : els.modelInput.value;
+        const model = selectedModel();
 
-        const { result, raw } = await gradeAnswer({
+        const elapsedSeconds = Math.floor(timerElapsedMs() / 1000);
+        const pacing = pacingFor(q, currentSet(), elapsedSeconds);
+        const { result, usage } = await gradeAnswer({
             question: q,
             answer,
             provider: state.provider,
             model,
             apiKey,
-            elapsedSeconds: Math.floor(state.timer.elapsedMs / 1000)
+            baseUrl,
+            elapsedSeconds,
+            pacing,
+            context: state.context
         });
 
-        renderResult(result);
-        // Add history... (simplified for brevity)
+        renderResult(result, { pacing, usage });
+        recordAttempt({
+            question: q,
+            answer,
+            provider: state.provider,
+            model,
+            elapsedSeconds,
+            pacing,
+            result,
+            usage
+        });
+        renderUsage();
+        await refreshReview();
 
     } catch (e) {
         els.result.textContent = `Error: ${e.message}`;
@@ -318,12 +585,35 @@ els.submitBtn.addEventListener("click", async () => {
     }
 });
 
-function renderResult(obj) {
+function renderResult(obj, { pacing, usage } = {}) {
     if (!obj) return;
     const lines = [`### Score: ${obj.score}/${obj.maxScore}`];
+    if (pacing?.elapsedSeconds) {
+        const over = pacing.overrunSeconds ? `（超時 ${formatMs(pacing.overrunSeconds * 1000)}）` : "（在時限內）";
+        lines.push(`時間：實際 ${formatMs(pacing.elapsedSeconds * 1000)}／建議 ${formatMs(pacing.budgetSeconds * 1000)}${over}`);
+    }
+    if (usage) {
+        const cost = usage.cost == null ? "模型不在價目表，無法估價" : `約 ${formatCost(usage.cost)}`;
+        lines.push(`用量：輸入 ${usage.inputTokens.toLocaleString()}／輸出 ${usage.outputTokens.toLocaleString()} tokens，${cost}`);
+    }
+    if (obj.criteria?.length) {
+        const rows = obj.criteria.map((c) => `${c.description}｜${c.score}/${c.maxScore}${c.comment ? `｜${c.comment}` : ""}`);
+        lines.push(`\n**Criteria**:\n- ${rows.join("\n- ")}`);
+    }
+    if (typeof obj.reportedScore === "number") {
+        lines.push(`(模型原報總分 ${obj.reportedScore}，已依細項加總校正)`);
+    }
     lines.push(`\n**Rationale**:\n${obj.rationale}`);
     if (obj.strengths?.length) lines.push(`\n**Strengths**:\n- ${obj.strengths.join("\n- ")}`);
     if (obj.improvements?.length) lines.push(`\n**Improvements**:\n- ${obj.improvements.join("\n- ")}`);
+    const alignment = obj.booklistAlignment;
+    if (alignment?.refsToReview?.length) lines.push(`\n**書單對照（建議回頭看）**:\n- ${alignment.refsToReview.join("\n- ")}`);
+    if (alignment?.unverifiedRefs?.length) lines.push(`\n⚠ 已移除不在官方書單的參考：\n- ${alignment.unverifiedRefs.join("\n- ")}`);
+    if (alignment?.unverifiedTopics?.length) lines.push(`\n⚠ 不屬於本題書單主題（已移除）：${alignment.unverifiedTopics.join("、")}`);
+    if (obj.citations?.length) {
+        const refs = obj.citations.map((c) => `[${c.ref}] ${c.source}${c.heading ? `｜${c.heading}` : ""}`);
+        lines.push(`\n**參考段落**:\n- ${refs.join("\n- ")}`);
+    }
 
     els.result.textContent = lines.join("\n");
     // Simple markdown-ish rendering could be added here if needed, 
@@ -335,10 +625,7 @@ els.timerStart.addEventListener("click", () => {
     if (state.timer.running) return;
     state.timer.running = true;
     state.timer.startedAtMs = Date.now();
-    state.timer.tick = setInterval(() => {
-        const total = state.timer.elapsedMs + (Date.now() - state.timer.startedAtMs);
-        els.timerValue.textContent = formatMs(total);
-    }, 250);
+    state.timer.tick = setInterval(renderTimer, 250);
 });
 
 els.timerPause.addEventListener("click", () => {
@@ -346,17 +633,19 @@ els.timerPause.addEventListener("click", () => {
     state.timer.running = false;
     clearInterval(state.timer.tick);
     state.timer.elapsedMs += (Date.now() - state.timer.startedAtMs);
+    renderTimer();
 });
 
-els.timerReset.addEventListener("click", () => {
-    state.timer.running = false;
-    clearInterval(state.timer.tick);
-    state.timer.elapsedMs = 0;
-    els.timerValue.textContent = "00:00";
-});
+els.timerReset.addEventListener("click", () => resetTimer());
 
 els.randomBtn.addEventListener("click", () => randomQuestion());
 if (els.exportHistoryBtn) els.exportHistoryBtn.addEventListener("click", () => exportHistory());
+els.reviewRefreshBtn.addEventListener("click", () => refreshReview());
+els.reviewList.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-question]");
+    if (!btn) return;
+    await practiceReviewItem(btn.dataset.set, btn.dataset.question);
+});
 
 // Init
 state.provider = localStorage.getItem(STORAGE_KEYS.provider) || "openai";
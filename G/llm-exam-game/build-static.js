@@ -0,0 +1,111 @@
+/* eslint-disable no-console */
+// Regenerates llm-exam-game-static/data/ from the canonical question bank in data/. Besides
+// sets.json and the questions files, each set gets <setId>.context.json holding what server.js
+// puts in the grading prompt: every question's notes section, the booklist block and the
+// retrieved passages, so the static grader sends the same grounded prompt.
+//
+//   node build-static.js [--out <dir>] [--check]
+//
+// --check writes nothing and exits 1 when the static data is out of date.
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { createBank, formatJson } = require("./lib/bank");
+const { extractBooklistSection, extractNoteSection } = require("./lib/notes");
+const { createRetriever, SOURCES } = require("./lib/retrieval");
+
+const ROOT_DIR = __dirname;
+const DATA_DIR = path.join(ROOT_DIR, "data");
+const REPO_ROOT = path.resolve(ROOT_DIR, "..", "..");
+const STATIC_DATA_DIR = path.resolve(ROOT_DIR, "..", "llm-exam-game-static", "data");
+const RETRIEVAL_TOP_K = Math.max(0, Math.floor(Number(process.env.RETRIEVAL_TOP_K ?? 4)) || 0);
+
+// The static site is published, so passages come only from committed notes and templates under G/;
+// reading materials in C/ stay local (see .gitignore).
+const PUBLIC_SOURCES = SOURCES.filter((s) => s.dir === "G" || s.dir.startsWith("G/"));
+const GENERATED = /\.(questions|context)\.json$/;
+
+function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--check" || arg === "--help") flags[arg.slice(2)] = true;
+    else if (arg.startsWith("--")) flags[arg.slice(2)] = argv[++i];
+  }
+  return flags;
+}
+
+async function readNotes(set) {
+  if (!set?.notesMd) return "";
+  return await fsp.readFile(path.resolve(REPO_ROOT, set.notesMd), "utf8").catch(() => "");
+}
+
+// Same snippets and exclusions as the server; the retrieval query is the question alone,
+// since the answer is not known at build time.
+async function buildContext(set, questions, retriever) {
+  const notesMd = await readNotes(set);
+  const booklist = notesMd ? extractBooklistSection(notesMd) : null;
+  const perQuestion = {};
+  for (const question of questions) {
+    const notes = notesMd ? extractNoteSection(notesMd, question.noteHeading) : null;
+    const alreadyIncluded = [notes, booklist].filter(Boolean);
+    const passages = RETRIEVAL_TOP_K
+      ? await retriever.search(`${question.title}\n${question.text}`, {
+          k: RETRIEVAL_TOP_K,
+          exclude: (p) => p.source === set.notesMd && alreadyIncluded.some((snippet) => snippet.includes(p.text))
+        })
+      : [];
+    perQuestion[question.id] = { notes, passages };
+  }
+  return { setId: set.id, notesMd: set.notesMd || "", booklist, questions: perQuestion };
+}
+
+async function main() {
+  const flags = parseArgs(process.argv.slice(2));
+  if (flags.help) {
+    console.log("Usage: node build-static.js [--out <dir>] [--check]");
+    return;
+  }
+  const outDir = flags.out ? path.resolve(flags.out) : STATIC_DATA_DIR;
+
+  const bank = createBank({ dataDir: DATA_DIR, readNotes });
+  const retriever = createRetriever({ repoRoot: REPO_ROOT, sources: PUBLIC_SOURCES, log: (msg) => console.warn(msg) });
+  const sets = await bank.readSets();
+
+  const files = new Map([["sets.json", `${formatJson({ sets })}\n`]]);
+  for (const set of sets) {
+    const questions = await bank.readQuestions(set.id);
+    files.set(`${set.id}.questions.json`, `${formatJson({ setId: set.id, questions })}\n`);
+    files.set(`${set.id}.context.json`, `${formatJson(await buildContext(set, questions, retriever))}\n`);
+  }
+
+  const existing = (await fsp.readdir(outDir).catch(() => [])).filter((name) => GENERATED.test(name));
+  const stale = existing.filter((name) => !files.has(name));
+  const changed = [];
+  for (const [name, text] of files) {
+    const current = await fsp.readFile(path.join(outDir, name), "utf8").catch(() => null);
+    if (current !== text) changed.push(name);
+  }
+  const label = path.relative(process.cwd(), outDir) || ".";
+
+  if (flags.check) {
+    for (const name of changed) console.log(`需要更新：${name}`);
+    for (const name of stale) console.log(`需要刪除：${name}`);
+    if (changed.length || stale.length) {
+      console.log(`${label} 與題庫不同步；請執行 node build-static.js`);
+      process.exitCode = 1;
+    } else {
+      console.log(`${label} 已是最新`);
+    }
+    return;
+  }
+
+  await fsp.mkdir(outDir, { recursive: true });
+  for (const name of changed) await fsp.writeFile(path.join(outDir, name), files.get(name), "utf8");
+  for (const name of stale) await fsp.rm(path.join(outDir, name), { force: true });
+  console.log(`已更新 ${label}：${changed.length} 個檔案寫入、${stale.length} 個刪除（共 ${sets.length} 個題庫）`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+});
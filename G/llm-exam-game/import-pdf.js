@@ -0,0 +1,81 @@
+/* eslint-disable no-console */
+// Drafts data/<setId>.questions.draft.json from a past-paper PDF (or a folder of PDFs).
+//
+//   node import-pdf.js <setId> [--pdf <file-or-folder>] [--text <file>] [--out <file>] [--dry-run]
+//
+// Without --pdf the set's sourcePdf from data/sets.json is used (repo-relative).
+// --text skips PDF extraction and splits a plain-text file instead (e.g. OCR output).
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { createBank, formatJson } = require("./lib/bank");
+const { draftFromSource } = require("./lib/importer");
+
+const ROOT_DIR = __dirname;
+const DATA_DIR = path.join(ROOT_DIR, "data");
+const REPO_ROOT = path.resolve(ROOT_DIR, "..", "..");
+
+function parseArgs(argv) {
+  const args = { flags: {}, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run" || arg === "--help") {
+      args.flags[arg.slice(2)] = true;
+    } else if (arg.startsWith("--")) {
+      args.flags[arg.slice(2)] = argv[++i];
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { flags, positional } = parseArgs(process.argv.slice(2));
+  const setId = positional[0];
+  if (!setId || flags.help) {
+    console.log("Usage: node import-pdf.js <setId> [--pdf <file-or-folder>] [--text <file>] [--out <file>] [--dry-run]");
+    process.exitCode = setId ? 0 : 1;
+    return;
+  }
+
+  const bank = createBank({ dataDir: DATA_DIR, readNotes: async () => "" });
+  const set = (await bank.readSets()).find((s) => s.id === setId);
+  const sourcePath = flags.pdf
+    ? path.resolve(flags.pdf)
+    : set?.sourcePdf
+      ? path.resolve(REPO_ROOT, set.sourcePdf)
+      : null;
+  if (!flags.text && !sourcePath) {
+    throw new Error(set ? `題庫 ${setId} 沒有設定 sourcePdf；請用 --pdf 指定` : `data/sets.json 沒有題庫 ${setId}；請用 --pdf 指定`);
+  }
+
+  const draft = await draftFromSource({
+    setId,
+    sourcePath,
+    text: flags.text ? await fsp.readFile(flags.text, "utf8") : undefined,
+    label: (file) => path.relative(REPO_ROOT, file)
+  });
+
+  for (const source of draft.draft.sources) {
+    console.log(`${source.file || flags.text}: ${source.questions} 題`);
+  }
+  for (const warning of draft.draft.warnings) console.warn(`! ${warning}`);
+
+  if (flags["dry-run"]) {
+    console.log(formatJson(draft));
+    return;
+  }
+  let outPath;
+  if (flags.out) {
+    outPath = path.resolve(flags.out);
+    await fsp.writeFile(outPath, `${formatJson(draft)}\n`, "utf8");
+  } else {
+    outPath = await bank.writeDraft(setId, draft);
+  }
+  console.log(`已寫入 ${path.relative(process.cwd(), outPath)}（共 ${draft.questions.length} 題，請校對後再改名為 ${setId}.questions.json）`);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,110 @@
+// Mastery aggregates over graded attempts. Attempts only store ids, so tags, booklistTopics and
+// section come from the current question bank (renaming a tag regroups past attempts; attempts on
+// deleted questions are left out).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_PER_QUESTION = 3;
+const WEAKEST_LIMIT = 5;
+
+const DIMENSIONS = {
+  tags: (question) => question.tags || [],
+  booklistTopics: (question) => question.booklistTopics || [],
+  section: (question) => [question.section].filter(Boolean)
+};
+
+function round(value, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+// Monday of the attempt's week as YYYY-MM-DD (local time), the x-axis of the trend charts.
+function weekOf(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  d.setTime(d.getTime() - ((d.getDay() + 6) % 7) * DAY_MS);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function trendOf(attempts) {
+  const weeks = new Map();
+  for (const a of attempts) {
+    const week = weekOf(a.at);
+    if (!weeks.has(week)) weeks.set(week, []);
+    weeks.get(week).push(a.scoreRatio);
+  }
+  return Array.from(weeks, ([week, ratios]) => ({ week, mean: round(mean(ratios)), attempts: ratios.length })).sort((a, b) =>
+    a.week.localeCompare(b.week)
+  );
+}
+
+/**
+ * Aggregates one group of attempts (sorted oldest first). `mastery` is the mean over attempted questions of
+ * each question's last RECENT_PER_QUESTION score ratios, so old misses fade once a question is answered well;
+ * `average` is the plain mean of every attempt.
+ */
+function summarize(attempts, totalQuestions) {
+  const perQuestion = new Map();
+  for (const a of attempts) {
+    const key = `${a.setId}:${a.questionId}`;
+    if (!perQuestion.has(key)) perQuestion.set(key, []);
+    perQuestion.get(key).push(a.scoreRatio);
+  }
+  const mastery = mean(Array.from(perQuestion.values(), (ratios) => mean(ratios.slice(-RECENT_PER_QUESTION))));
+  // Untimed answers are stored with elapsedSeconds 0 (or null in older records), so only positive times count.
+  const timed = attempts.filter((a) => a.elapsedSeconds > 0);
+  return {
+    attempts: attempts.length,
+    questionsAttempted: perQuestion.size,
+    totalQuestions,
+    mastery: mastery == null ? null : round(mastery),
+    average: attempts.length ? round(mean(attempts.map((a) => a.scoreRatio))) : null,
+    timeSpentSeconds: timed.reduce((sum, a) => sum + a.elapsedSeconds, 0),
+    timedAttempts: timed.length,
+    lastAt: attempts.length ? attempts[attempts.length - 1].at : null,
+    trend: trendOf(attempts)
+  };
+}
+
+/**
+ * `questions` need { setId, id, section, tags, booklistTopics }; `attempts` need { setId, questionId, at,
+ * scoreRatio, elapsedSeconds }. Returns { totals, trend, dimensions: { tags, booklistTopics, section },
+ * weakest } where each dimension lists { key, ...summary } weakest first (never-practised keys last).
+ */
+function buildMastery({ questions, attempts }) {
+  const bank = new Map(questions.map((q) => [`${q.setId}:${q.id}`, q]));
+  const sorted = attempts
+    .filter((a) => Number.isFinite(a?.at) && bank.has(`${a.setId}:${a.questionId}`))
+    .map((a) => ({ ...a, scoreRatio: Number(a.scoreRatio) || 0 }))
+    .sort((a, b) => a.at - b.at);
+
+  const dimensions = {};
+  for (const [name, keysOf] of Object.entries(DIMENSIONS)) {
+    const groups = new Map();
+    const group = (key) => {
+      if (!groups.has(key)) groups.set(key, { questions: new Set(), attempts: [] });
+      return groups.get(key);
+    };
+    for (const q of questions) for (const key of keysOf(q)) group(key).questions.add(`${q.setId}:${q.id}`);
+    for (const a of sorted) {
+      for (const key of keysOf(bank.get(`${a.setId}:${a.questionId}`))) group(key).attempts.push(a);
+    }
+    dimensions[name] = Array.from(groups, ([key, g]) => ({ key, ...summarize(g.attempts, g.questions.size) })).sort(
+      (a, b) => (a.mastery ?? Infinity) - (b.mastery ?? Infinity) || b.attempts - a.attempts
+    );
+  }
+
+  const weakest = ["booklistTopics", "tags"]
+    .flatMap((dimension) => dimensions[dimension].filter((d) => d.attempts).map((d) => ({ dimension, ...d })))
+    .sort((a, b) => a.mastery - b.mastery || b.attempts - a.attempts)
+    .slice(0, WEAKEST_LIMIT);
+
+  const { trend, ...totals } = summarize(sorted, questions.length);
+  return { totals, trend, dimensions, weakest };
+}
+
+module.exports = { buildMastery };
@@ -0,0 +1,115 @@
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDateBound(value, { endOfDay = false } = {}) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  if (/^\d+$/.test(v)) return Number(v);
+  const ms = Date.parse(v);
+  if (!Number.isFinite(ms)) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(v)) return ms + DAY_MS - 1;
+  return ms;
+}
+
+function toSummary(attempt) {
+  const { answer, raw, result, followups, defense, ...rest } = attempt;
+  return { ...rest, summary: result?.rationale?.slice(0, 120) || "" };
+}
+
+function createAttemptStore({ filePath }) {
+  let cache = null;
+
+  function load() {
+    if (cache) return cache;
+    cache = new Map();
+    if (!fs.existsSync(filePath)) return cache;
+    const raw = fs.readFileSync(filePath, "utf8");
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (record?.op === "delete") cache.delete(record.id);
+      else if (record?.op === "followup") cache.get(record.id)?.followups.push(...(record.turns || []));
+      else if (record?.id) cache.set(record.id, { ...record, followups: [] });
+    }
+    return cache;
+  }
+
+  async function append(record) {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.appendFile(filePath, `${JSON.stringify(record)}\n`, "utf8");
+  }
+
+  async function add(fields) {
+    const score = Number(fields.result?.score) || 0;
+    const maxScore = Number(fields.result?.maxScore) || 0;
+    const attempt = {
+      id: crypto.randomUUID(),
+      at: Date.now(),
+      ...fields,
+      score,
+      maxScore,
+      scoreRatio: maxScore ? score / maxScore : 0
+    };
+    await append(attempt);
+    load().set(attempt.id, { ...attempt, followups: [] });
+    return attempt;
+  }
+
+  function get(id) {
+    return load().get(String(id || "")) || null;
+  }
+
+  async function remove(id) {
+    const attempt = get(id);
+    if (!attempt) return false;
+    await append({ op: "delete", id: attempt.id, at: Date.now() });
+    load().delete(attempt.id);
+    return true;
+  }
+
+  // Follow-up chat turns ({ role, text, at, ... }) are appended as their own records, so the graded attempt stays as written.
+  async function addFollowup(id, turns) {
+    const attempt = get(id);
+    if (!attempt) return null;
+    await append({ op: "followup", id: attempt.id, at: Date.now(), turns });
+    attempt.followups.push(...turns);
+    return attempt;
+  }
+
+  function list({ setId, questionId, provider, from, to, limit } = {}) {
+    const fromMs = parseDateBound(from);
+    const toMs = parseDateBound(to, { endOfDay: true });
+    const max = Math.min(1000, Math.max(1, Number(limit) || 200));
+
+    return Array.from(load().values())
+      .filter((a) => !setId || a.setId === setId)
+      .filter((a) => !questionId || a.questionId === questionId)
+      .filter((a) => !provider || a.provider === provider)
+      .filter((a) => fromMs == null || a.at >= fromMs)
+      .filter((a) => toMs == null || a.at <= toMs)
+      .sort((a, b) => b.at - a.at)
+      .slice(0, max)
+      .map(toSummary);
+  }
+
+  // Every summary (oldest first), for aggregates that must not stop at list()'s limit.
+  function all({ setId } = {}) {
+    return Array.from(load().values())
+      .filter((a) => !setId || a.setId === setId)
+      .sort((a, b) => a.at - b.at)
+      .map(toSummary);
+  }
+
+  return { add, get, remove, addFollowup, list, all };
+}
+
+module.exports = { createAttemptStore };
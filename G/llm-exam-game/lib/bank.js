@@ -0,0 +1,382 @@
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+const ID_PATTERN = /^[A-Za-z0-9][\w-]{0,63}$/;
+const DEFAULT_SECTIONS = ["必選", "選考"];
+const DRILL_SECTION = "練習";
+const DRILLS_SUFFIX = "-drills";
+const INLINE_OBJECT_MAX = 120;
+
+function bankError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Same layout as the hand-written data files: objects expanded, short lists and flat objects
+// inside lists kept on one line, so authoring through the API produces small diffs.
+function formatJson(value, indent = "") {
+  const inner = `${indent}  `;
+  const isFlat = (v) => v === null || typeof v !== "object";
+  const inlineObject = (v) => {
+    if (!v || typeof v !== "object" || Array.isArray(v) || !Object.values(v).every(isFlat)) return null;
+    const entries = Object.entries(v).filter(([, x]) => x !== undefined);
+    const text = `{ ${entries.map(([k, x]) => `${JSON.stringify(k)}: ${JSON.stringify(x)}`).join(", ")} }`;
+    return inner.length + text.length <= INLINE_OBJECT_MAX ? text : null;
+  };
+
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    if (value.every(isFlat)) return `[${value.map((v) => JSON.stringify(v)).join(", ")}]`;
+    const items = value.map((v) => inlineObject(v) || formatJson(v, inner));
+    return `[\n${items.map((item) => `${inner}${item}`).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (!entries.length) return "{}";
+    const lines = entries.map(([k, v]) => `${inner}${JSON.stringify(k)}: ${formatJson(v, inner)}`);
+    return `{\n${lines.join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function writeFileAtomic(filePath, text) {
+  const tmp = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fsp.writeFile(tmp, text, "utf8");
+  try {
+    await fsp.rename(tmp, filePath);
+  } catch (e) {
+    await fsp.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+function requireId(value, label) {
+  const id = String(value ?? "").trim();
+  if (!ID_PATTERN.test(id)) throw bankError(400, `${label} 只能用英數字、底線與連字號（最多 64 字）`);
+  return id;
+}
+
+function optionalString(value) {
+  const s = typeof value === "string" ? value.trim() : "";
+  return s || undefined;
+}
+
+function stringList(value, label) {
+  if (value == null) return undefined;
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    throw bankError(400, `${label} 必須是字串陣列`);
+  }
+  const list = value.map((v) => v.trim()).filter(Boolean);
+  return list.length ? list : undefined;
+}
+
+function positiveNumber(value, label) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n) || n <= 0) throw bankError(400, `${label} 必須是大於 0 的數字`);
+  return n;
+}
+
+function sectionsOf(set) {
+  const rules = Array.isArray(set?.sectionRules) ? set.sectionRules : [];
+  return rules.length ? rules.map((r) => r.section) : DEFAULT_SECTIONS;
+}
+
+function validateSectionRules(value) {
+  if (value == null) return undefined;
+  if (!Array.isArray(value)) throw bankError(400, "sectionRules 必須是陣列");
+  const seen = new Set();
+  return value.map((rule) => {
+    const section = optionalString(rule?.section);
+    if (!section) throw bankError(400, "sectionRules 每一項都需要 section");
+    if (seen.has(section)) throw bankError(400, `sectionRules 重複的區塊：${section}`);
+    seen.add(section);
+    if (rule.pick === "all" || rule.pick == null) return { section, pick: "all" };
+    const pick = Number(rule.pick);
+    if (!Number.isInteger(pick) || pick <= 0) throw bankError(400, `「${section}」的 pick 必須是 "all" 或正整數`);
+    return { section, pick };
+  });
+}
+
+function validateRubric(value, points) {
+  if (value == null) return undefined;
+  if (!Array.isArray(value)) throw bankError(400, "rubric 必須是陣列");
+  if (!value.length) return undefined;
+  const seen = new Set();
+  const rubric = value.map((c) => {
+    const id = requireId(c?.id, "rubric id");
+    if (seen.has(id)) throw bankError(400, `rubric id 重複：${id}`);
+    seen.add(id);
+    const description = optionalString(c.description);
+    if (!description) throw bankError(400, `rubric「${id}」缺少 description`);
+    return { id, description, points: positiveNumber(c.points, `rubric「${id}」的 points`) };
+  });
+  const total = rubric.reduce((sum, c) => sum + c.points, 0);
+  if (Math.abs(total - points) > 1e-9) throw bankError(400, `rubric 配分加總（${total}）必須等於題目配分（${points}）`);
+  return rubric;
+}
+
+/**
+ * File-backed question bank: `sets.json` plus one `<setId>.questions.json` per set.
+ * `readNotes(set)` returns the set's notes markdown ("" when missing), used to check noteHeading.
+ * Writes are serialized and atomic (temp file + rename).
+ */
+function createBank({ dataDir, readNotes }) {
+  const setsPath = path.join(dataDir, "sets.json");
+  const questionsPath = (setId) => path.join(dataDir, `${setId}.questions.json`);
+  const draftPath = (setId) => path.join(dataDir, `${setId}.questions.draft.json`);
+  let queue = Promise.resolve();
+
+  function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readSets() {
+    const json = JSON.parse(await fsp.readFile(setsPath, "utf8"));
+    return json.sets || [];
+  }
+
+  async function writeSets(sets) {
+    await writeFileAtomic(setsPath, `${formatJson({ sets })}\n`);
+  }
+
+  async function getSet(setId) {
+    const set = (await readSets()).find((s) => s.id === setId);
+    if (!set) throw bankError(404, "Set not found");
+    return set;
+  }
+
+  async function readQuestions(setId) {
+    if (!ID_PATTERN.test(String(setId || ""))) throw bankError(404, "Set not found");
+    let raw;
+    try {
+      raw = await fsp.readFile(questionsPath(setId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") throw bankError(404, "Set not found");
+      throw e;
+    }
+    return JSON.parse(raw).questions || [];
+  }
+
+  async function writeQuestions(setId, questions) {
+    await writeFileAtomic(questionsPath(setId), `${formatJson({ setId, questions })}\n`);
+  }
+
+  function validateSet(input, id) {
+    const title = optionalString(input?.title);
+    if (!title) throw bankError(400, "Missing title");
+    const examTimeMinutes = input.examTimeMinutes == null || input.examTimeMinutes === ""
+      ? undefined
+      : positiveNumber(input.examTimeMinutes, "examTimeMinutes");
+    return {
+      id,
+      title,
+      language: optionalString(input.language) || "zh-TW",
+      sourcePdf: optionalString(input.sourcePdf),
+      notesMd: optionalString(input.notesMd),
+      examTimeMinutes,
+      sectionRules: validateSectionRules(input.sectionRules)
+    };
+  }
+
+  async function validateQuestion(set, input, id) {
+    const points = positiveNumber(input?.points, "points");
+    const section = optionalString(input.section);
+    const sections = sectionsOf(set);
+    if (!section || !sections.includes(section)) {
+      throw bankError(400, `section 必須是 ${sections.join(" / ")} 之一`);
+    }
+    const title = optionalString(input.title);
+    const text = optionalString(input.text);
+    if (!title) throw bankError(400, "Missing title");
+    if (!text) throw bankError(400, "Missing text");
+
+    const noteHeading = optionalString(input.noteHeading);
+    if (noteHeading) {
+      if (!set.notesMd) throw bankError(400, "這個題庫沒有設定 notesMd，不能指定 noteHeading");
+      const notes = await readNotes(set);
+      if (!notes) throw bankError(400, `找不到筆記檔：${set.notesMd}`);
+      if (!notes.includes(noteHeading)) throw bankError(400, `筆記中找不到 noteHeading「${noteHeading}」`);
+    }
+
+    return {
+      id,
+      section,
+      points,
+      title,
+      noteHeading,
+      text,
+      rubric: validateRubric(input.rubric, points),
+      booklistTopics: stringList(input.booklistTopics, "booklistTopics"),
+      tags: stringList(input.tags, "tags")
+    };
+  }
+
+  function createSet(input) {
+    return exclusive(async () => {
+      const id = requireId(input?.id, "Set id");
+      const sets = await readSets();
+      if (sets.some((s) => s.id === id)) throw bankError(409, `Set id 已存在：${id}`);
+      const set = validateSet(input, id);
+      if (!fs.existsSync(questionsPath(id))) await writeQuestions(id, []);
+      await writeSets([...sets, set]);
+      return set;
+    });
+  }
+
+  function updateSet(setId, input) {
+    return exclusive(async () => {
+      const sets = await readSets();
+      const index = sets.findIndex((s) => s.id === setId);
+      if (index === -1) throw bankError(404, "Set not found");
+      // drillsFor marks an auto-managed drills set; the editor form does not carry it.
+      const set = { ...validateSet(input, setId), drillsFor: sets[index].drillsFor };
+      const questions = await readQuestions(setId);
+      const sections = sectionsOf(set);
+      const orphan = questions.find((q) => !sections.includes(q.section));
+      if (orphan) throw bankError(400, `題目「${orphan.id}」的 section「${orphan.section}」不在新的 sectionRules 中`);
+      sets[index] = set;
+      await writeSets(sets);
+      return set;
+    });
+  }
+
+  function deleteSet(setId) {
+    return exclusive(async () => {
+      const sets = await readSets();
+      if (!sets.some((s) => s.id === setId)) throw bankError(404, "Set not found");
+      await writeSets(sets.filter((s) => s.id !== setId));
+      await fsp.rm(questionsPath(setId), { force: true });
+      return true;
+    });
+  }
+
+  function createQuestion(setId, input, { index } = {}) {
+    return exclusive(async () => {
+      const set = await getSet(setId);
+      const questions = await readQuestions(setId);
+      const id = requireId(input?.id, "Question id");
+      if (questions.some((q) => q.id === id)) throw bankError(409, `Question id 已存在：${id}`);
+      const question = await validateQuestion(set, input, id);
+      const at = Number.isInteger(index) && index >= 0 && index <= questions.length ? index : questions.length;
+      questions.splice(at, 0, question);
+      await writeQuestions(setId, questions);
+      return question;
+    });
+  }
+
+  function updateQuestion(setId, questionId, input) {
+    return exclusive(async () => {
+      const set = await getSet(setId);
+      const questions = await readQuestions(setId);
+      const index = questions.findIndex((q) => q.id === questionId);
+      if (index === -1) throw bankError(404, "Question not found");
+      const { timeboxMinutes, parent } = questions[index];
+      questions[index] = { ...(await validateQuestion(set, input, questionId)), timeboxMinutes, parent };
+      await writeQuestions(setId, questions);
+      return questions[index];
+    });
+  }
+
+  function deleteQuestion(setId, questionId) {
+    return exclusive(async () => {
+      await getSet(setId);
+      const questions = await readQuestions(setId);
+      if (!questions.some((q) => q.id === questionId)) throw bankError(404, "Question not found");
+      await writeQuestions(setId, questions.filter((q) => q.id !== questionId));
+      return true;
+    });
+  }
+
+  function reorderQuestions(setId, order) {
+    return exclusive(async () => {
+      await getSet(setId);
+      const questions = await readQuestions(setId);
+      const ids = Array.isArray(order) ? order.map(String) : [];
+      const same = ids.length === questions.length && new Set(ids).size === ids.length && questions.every((q) => ids.includes(q.id));
+      if (!same) throw bankError(400, "order 必須剛好列出這個題庫的每一個 question id");
+      const reordered = ids.map((id) => questions.find((q) => q.id === id));
+      await writeQuestions(setId, reordered);
+      return reordered;
+    });
+  }
+
+  /**
+   * Saves a grading result's nextDrill as a question in the source set's drills set ("<setId>-drills",
+   * sharing its notes file), created on first use. The drill keeps the parent's points, noteHeading,
+   * booklistTopics and tags, and `parent` links back. Saving the same attempt twice returns the first drill.
+   */
+  function createDrill({ set, question, drill, attemptId }) {
+    return exclusive(async () => {
+      const prompt = optionalString(drill?.prompt);
+      if (!prompt) throw bankError(400, "這次評分沒有建議的練習題");
+
+      const sets = await readSets();
+      const drillsSetId = set.drillsFor ? set.id : `${set.id.slice(0, 64 - DRILLS_SUFFIX.length)}${DRILLS_SUFFIX}`;
+      let drillsSet = sets.find((s) => s.id === drillsSetId);
+      if (!drillsSet) {
+        drillsSet = {
+          id: drillsSetId,
+          title: `${set.title}｜練習題`,
+          language: set.language || "zh-TW",
+          notesMd: set.notesMd,
+          sectionRules: [{ section: DRILL_SECTION, pick: "all" }],
+          drillsFor: set.id
+        };
+        if (!fs.existsSync(questionsPath(drillsSetId))) await writeQuestions(drillsSetId, []);
+        await writeSets([...sets, drillsSet]);
+      }
+
+      const questions = await readQuestions(drillsSetId);
+      const existing = attemptId ? questions.find((q) => q.parent?.attemptId === attemptId) : null;
+      if (existing) return { set: drillsSet, question: existing, created: false };
+
+      let n = questions.length + 1;
+      while (questions.some((q) => q.id === `drill-${n}`)) n++;
+      const created = {
+        id: `drill-${n}`,
+        section: DRILL_SECTION,
+        points: question.points,
+        title: `練習｜${question.title}`,
+        noteHeading: question.noteHeading,
+        text: prompt,
+        booklistTopics: question.booklistTopics,
+        tags: question.tags,
+        timeboxMinutes: Number(drill.timeboxMinutes) || undefined,
+        parent: { setId: set.id, questionId: question.id, attemptId: attemptId || undefined }
+      };
+      await writeQuestions(drillsSetId, [...questions, created]);
+      return { set: drillsSet, question: created, created: true };
+    });
+  }
+
+  // Imported drafts sit next to the live file until someone reviews and renames them.
+  function writeDraft(setId, draft) {
+    return exclusive(async () => {
+      requireId(setId, "Set id");
+      await writeFileAtomic(draftPath(setId), `${formatJson(draft)}\n`);
+      return draftPath(setId);
+    });
+  }
+
+  return {
+    readSets,
+    readQuestions,
+    getSet,
+    createSet,
+    updateSet,
+    deleteSet,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion,
+    reorderQuestions,
+    createDrill,
+    writeDraft
+  };
+}
+
+module.exports = { createBank, formatJson };
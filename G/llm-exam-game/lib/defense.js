@@ -0,0 +1,185 @@
+const crypto = require("node:crypto");
+
+const DEFAULT_ROUNDS = 4;
+const MAX_ROUNDS = 8;
+const DEFAULT_REPLY_SECONDS = 120;
+const MIN_REPLY_SECONDS = 30;
+const MAX_REPLY_SECONDS = 600;
+const MAX_REPLY_CHARS = 4000;
+// Network and typing lag: replies this late still count as on time.
+const OVERTIME_GRACE_MS = 3000;
+
+const sessions = new Map();
+
+function defenseError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function openTurn(session) {
+  const last = session.turns[session.turns.length - 1];
+  return last && last.reply == null ? last : null;
+}
+
+function remainingSeconds(turn, now = Date.now()) {
+  return Math.max(0, Math.ceil((turn.deadlineAt - now) / 1000));
+}
+
+function toPublicDefense(session) {
+  const { apiKey, ...rest } = session;
+  const turn = session.status === "in-progress" ? openTurn(session) : null;
+  return { ...rest, remainingSeconds: turn ? remainingSeconds(turn) : 0 };
+}
+
+// `owner` as in exams.getExam: a session started by someone else reads as missing.
+function getDefense(id, owner = null) {
+  const session = sessions.get(String(id || ""));
+  if (!session || session.owner !== owner) throw defenseError(404, "Defense session not found");
+  return session;
+}
+
+// Panel members take turns in the order they were picked.
+function nextExaminer(session) {
+  return session.panel[session.turns.length % session.panel.length];
+}
+
+// Runs one model step at a time per session; a second click while the examiner is "thinking" is refused.
+async function busy(session, step) {
+  if (session.busy) throw defenseError(409, "委員還在整理問題，請稍候");
+  session.busy = true;
+  try {
+    return await step();
+  } finally {
+    session.busy = false;
+  }
+}
+
+async function askNext(session, ask) {
+  const examiner = nextExaminer(session);
+  const question = await ask({ session, examiner, round: session.turns.length + 1 });
+  const askedAt = Date.now();
+  session.turns.push({
+    examiner,
+    question,
+    askedAt,
+    replySeconds: session.replySeconds,
+    deadlineAt: askedAt + session.replySeconds * 1000,
+    reply: null
+  });
+  return session;
+}
+
+async function scoreSession(session, score) {
+  session.status = "scoring";
+  try {
+    const { result, attemptId } = await score(session);
+    session.result = result;
+    session.attemptId = attemptId;
+    session.status = "scored";
+    session.finishedAt = Date.now();
+    session.apiKey = "";
+  } catch (e) {
+    session.status = "in-progress";
+    throw e;
+  }
+  return session;
+}
+
+/**
+ * `panel` is a list of persona ids (validated by the caller). The first examiner question is asked by
+ * `start(session, { ask })`; nothing is stored as an attempt until the session is scored.
+ */
+function createDefense({ set, question, answer, panel, rounds, replySeconds, provider, model, apiKey, baseUrl, owner = null }) {
+  const text = String(answer || "").trim();
+  if (!text) throw defenseError(400, "請先寫好書面回答，口試會從這份回答開始追問");
+  if (!panel?.length) throw defenseError(400, "請至少選一位口試委員");
+
+  const session = {
+    id: crypto.randomUUID(),
+    owner,
+    setId: set?.id || "",
+    setTitle: set?.title || "",
+    question,
+    answer: text,
+    panel,
+    rounds: clampInt(rounds, 1, MAX_ROUNDS, DEFAULT_ROUNDS),
+    replySeconds: clampInt(replySeconds, MIN_REPLY_SECONDS, MAX_REPLY_SECONDS, DEFAULT_REPLY_SECONDS),
+    provider,
+    model,
+    apiKey,
+    baseUrl: baseUrl || "",
+    status: "in-progress",
+    startedAt: Date.now(),
+    turns: [],
+    result: null,
+    attemptId: null,
+    // Tokens and cost of the examiner questions so far (server-booked), added to the attempt when scored.
+    usage: null,
+    busy: false
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+// A session whose first question could not be asked is discarded; the client starts over.
+async function start(session, { ask }) {
+  try {
+    return await busy(session, () => askNext(session, ask));
+  } catch (e) {
+    sessions.delete(session.id);
+    throw e;
+  }
+}
+
+/**
+ * Records the reply to the open question, then asks the next one or, after the last round, scores the
+ * session. Replies past the deadline are kept but flagged `overtime`; an empty reply once time is up counts
+ * as `timedOut`. Resending after a failed model call retries the step without recording the reply twice.
+ */
+async function reply(session, text, { ask, score }) {
+  if (session.status !== "in-progress") throw defenseError(409, "這場口試已經結束");
+  return await busy(session, async () => {
+    const turn = openTurn(session);
+    if (turn) {
+      const now = Date.now();
+      const trimmed = String(text || "").trim();
+      if (trimmed.length > MAX_REPLY_CHARS) throw defenseError(400, `回答請在 ${MAX_REPLY_CHARS} 字以內`);
+      if (!trimmed && now < turn.deadlineAt) throw defenseError(400, "請先輸入回答");
+      turn.reply = trimmed;
+      turn.repliedAt = now;
+      turn.elapsedSeconds = Math.round((now - turn.askedAt) / 1000);
+      turn.overtime = now > turn.deadlineAt + OVERTIME_GRACE_MS;
+      turn.timedOut = !trimmed;
+    }
+    if (session.turns.length < session.rounds) return await askNext(session, ask);
+    return await scoreSession(session, score);
+  });
+}
+
+// Ends the session early: an unanswered question is dropped and the rounds so far are scored.
+async function finish(session, { score }) {
+  if (session.status !== "in-progress") throw defenseError(409, "這場口試已經結束");
+  return await busy(session, async () => {
+    if (openTurn(session)) session.turns.pop();
+    if (!session.turns.length) throw defenseError(400, "還沒有回答任何問題，無法評分");
+    return await scoreSession(session, score);
+  });
+}
+
+module.exports = {
+  DEFAULT_ROUNDS,
+  DEFAULT_REPLY_SECONDS,
+  MAX_ROUNDS,
+  createDefense,
+  getDefense,
+  start,
+  reply,
+  finish,
+  toPublicDefense
+};
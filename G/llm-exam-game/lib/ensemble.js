@@ -0,0 +1,99 @@
+const DEFAULT_THRESHOLD = 0.2;
+
+function roundScore(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function combine(values, method) {
+  return roundScore(method === "mean" ? mean(values) : median(values));
+}
+
+function spreadOf(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const avg = mean(values);
+  const stdev = Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+  return { min, max, range: roundScore(max - min), stdev: roundScore(stdev) };
+}
+
+function dedupeKey(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+// Union of string lists; an item is dropped when its normalized form equals or is contained in one already kept.
+function mergeUnique(lists) {
+  const kept = [];
+  for (const item of lists.flat()) {
+    if (typeof item !== "string" || !item.trim()) continue;
+    const key = dedupeKey(item);
+    if (!key) continue;
+    const dupIndex = kept.findIndex((k) => k.key.includes(key) || key.includes(k.key));
+    if (dupIndex === -1) kept.push({ key, text: item.trim() });
+    else if (key.length > kept[dupIndex].key.length) kept[dupIndex] = { key, text: item.trim() };
+  }
+  return kept.map((k) => k.text);
+}
+
+function combineCriteria(results, method) {
+  const withCriteria = results.filter((r) => Array.isArray(r.criteria) && r.criteria.length);
+  if (!withCriteria.length) return undefined;
+  return withCriteria[0].criteria.map((c) => {
+    const scores = withCriteria.map((r) => r.criteria.find((x) => x.id === c.id)?.score).filter((s) => typeof s === "number");
+    return { ...c, score: scores.length ? combine(scores, method) : c.score };
+  });
+}
+
+/**
+ * Combine several graded results of the same answer into one.
+ * members: [{ provider, model, result }] (results already normalized).
+ */
+function combineGrades(members, { maxScore, method = "median", threshold = DEFAULT_THRESHOLD } = {}) {
+  if (!members.length) throw new Error("No ensemble results to combine");
+
+  const results = members.map((m) => m.result);
+  const scores = results.map((r) => r.score);
+  const criteria = combineCriteria(results, method);
+  // With a rubric the total stays the sum of the combined criteria, as for a single grade.
+  const combined = criteria ? roundScore(criteria.reduce((sum, c) => sum + c.score, 0)) : combine(scores, method);
+  const score = Math.min(maxScore, combined);
+  const spread = spreadOf(scores);
+  const disagreement = members.length > 1 && spread.range > threshold * maxScore;
+
+  // Narrative fields come from the grader whose score sits closest to the combined score.
+  const representative = results.reduce((best, r) => (Math.abs(r.score - score) < Math.abs(best.score - score) ? r : best));
+
+  const merged = {
+    ...representative,
+    score,
+    maxScore,
+    missingPoints: mergeUnique(results.map((r) => r.missingPoints || [])),
+    improvements: mergeUnique(results.map((r) => r.improvements || [])),
+    ensemble: {
+      method,
+      threshold,
+      members: members.map((m) => ({ provider: m.provider, model: m.model, score: m.result.score })),
+      spread,
+      disagreement
+    }
+  };
+  delete merged.reportedScore;
+
+  if (criteria) merged.criteria = criteria;
+  else delete merged.criteria;
+
+  return merged;
+}
+
+module.exports = { combineGrades, DEFAULT_THRESHOLD };
@@ -0,0 +1,202 @@
+const crypto = require("node:crypto");
+
+const DEFAULT_EXAM_MINUTES = 180;
+// Answers saved up to this long after the deadline still count (the page's last save at 0:00 arrives a
+// little late: its clock is rounded up to the second and the request takes time); then the paper is auto-submitted.
+const AUTO_SUBMIT_GRACE_MS = 5000;
+
+const exams = new Map();
+
+function examError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sectionRulesFor(set, questions) {
+  const configured = Array.isArray(set?.sectionRules) ? set.sectionRules : [];
+  const sections = [];
+  for (const q of questions) {
+    if (!sections.includes(q.section)) sections.push(q.section);
+  }
+
+  return sections.map((section) => {
+    const ids = questions.filter((q) => q.section === section).map((q) => q.id);
+    const rule = configured.find((r) => r?.section === section);
+    const pick = Number(rule?.pick);
+    if (!rule || rule.pick === "all" || !Number.isInteger(pick) || pick <= 0 || pick >= ids.length) {
+      return { section, pick: "all", questionIds: ids };
+    }
+    return { section, pick, questionIds: ids };
+  });
+}
+
+function paperMaxScore(rules, questions) {
+  let total = 0;
+  for (const rule of rules) {
+    const points = rule.questionIds
+      .map((id) => Number(questions.find((q) => q.id === id)?.points) || 0)
+      .sort((a, b) => b - a);
+    const counted = rule.pick === "all" ? points : points.slice(0, rule.pick);
+    total += counted.reduce((sum, p) => sum + p, 0);
+  }
+  return total;
+}
+
+function remainingSeconds(exam, now = Date.now()) {
+  return Math.max(0, Math.ceil((exam.deadlineAt - now) / 1000));
+}
+
+function toPublicExam(exam) {
+  const { apiKey, timer, ...rest } = exam;
+  return { ...rest, remainingSeconds: exam.status === "in-progress" ? remainingSeconds(exam) : 0 };
+}
+
+// `owner` is the signed-in user's id (null without accounts); someone else's exam reads as missing.
+function getExam(id, owner = null) {
+  const exam = exams.get(String(id || ""));
+  if (!exam || exam.owner !== owner) throw examError(404, "Exam not found");
+  return exam;
+}
+
+function listExams(owner = null) {
+  return Array.from(exams.values())
+    .filter((exam) => exam.owner === owner)
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .map(toPublicExam);
+}
+
+function answeredIn(exam, rule) {
+  return rule.questionIds.filter((id) => exam.answers[id]?.text);
+}
+
+function recordAnswer(exam, questionId, text) {
+  if (exam.status !== "in-progress") throw examError(409, "Exam is no longer accepting answers");
+  if (Date.now() > exam.deadlineAt + AUTO_SUBMIT_GRACE_MS) throw examError(409, "Time is up");
+
+  const rule = exam.rules.find((r) => r.questionIds.includes(questionId));
+  if (!rule) throw examError(404, "Question is not part of this exam");
+
+  const trimmed = String(text || "").trim();
+  if (!trimmed) {
+    delete exam.answers[questionId];
+    return exam;
+  }
+
+  if (rule.pick !== "all" && !exam.answers[questionId]?.text && answeredIn(exam, rule).length >= rule.pick) {
+    throw examError(400, `「${rule.section}」只能選答 ${rule.pick} 題；請先清空另一題的答案`);
+  }
+
+  exam.answers[questionId] = { text: trimmed, updatedAt: Date.now() };
+  return exam;
+}
+
+function missingRequired(exam) {
+  const missing = [];
+  for (const rule of exam.rules) {
+    const answered = answeredIn(exam, rule);
+    if (rule.pick === "all") {
+      for (const id of rule.questionIds) {
+        if (answered.includes(id)) continue;
+        const title = exam.questions.find((q) => q.id === id)?.title || id;
+        missing.push(`${rule.section}：${title}`);
+      }
+    } else if (answered.length < rule.pick) {
+      missing.push(`${rule.section}：還需選答 ${rule.pick - answered.length} 題`);
+    }
+  }
+  return missing;
+}
+
+async function gradeExam(exam, grade) {
+  exam.status = "grading";
+  exam.submittedAt = Date.now();
+  if (exam.timer) clearTimeout(exam.timer);
+  exam.timer = null;
+
+  let total = 0;
+  let incomplete = false;
+  for (const rule of exam.rules) {
+    for (const id of rule.questionIds) {
+      const answer = exam.answers[id];
+      if (!answer?.text) continue;
+      const question = exam.questions.find((q) => q.id === id);
+      try {
+        const { result } = await grade({ question, answer: answer.text, examId: exam.id });
+        exam.results[id] = { score: result.score, maxScore: result.maxScore, result };
+        total += result.score;
+      } catch (e) {
+        exam.results[id] = { score: 0, maxScore: Number(question.points) || 0, error: e?.message || "評分失敗" };
+        incomplete = true;
+      }
+    }
+  }
+
+  exam.totalScore = total;
+  exam.score100 = exam.maxScore ? Math.round((total / exam.maxScore) * 1000) / 10 : 0;
+  exam.incomplete = incomplete;
+  exam.status = "graded";
+  exam.gradedAt = Date.now();
+  exam.apiKey = "";
+  return exam;
+}
+
+async function submitExam(exam, grade, { auto = false } = {}) {
+  if (exam.status !== "in-progress") return exam;
+
+  if (!auto && Date.now() <= exam.deadlineAt) {
+    const missing = missingRequired(exam);
+    if (missing.length) throw examError(400, `尚未作答完整：${missing.join("、")}`);
+  }
+
+  exam.autoSubmitted = auto || Date.now() > exam.deadlineAt;
+  return await gradeExam(exam, grade);
+}
+
+function createExam({ set, questions, provider, model, apiKey, baseUrl, grade, owner = null }) {
+  if (!questions.length) throw examError(400, "This set has no questions");
+
+  const rules = sectionRulesFor(set, questions);
+  const minutes = Number(set?.examTimeMinutes) > 0 ? Number(set.examTimeMinutes) : DEFAULT_EXAM_MINUTES;
+  const startedAt = Date.now();
+
+  const exam = {
+    id: crypto.randomUUID(),
+    owner,
+    setId: set?.id || "",
+    setTitle: set?.title || "",
+    provider,
+    model,
+    apiKey,
+    baseUrl: baseUrl || "",
+    status: "in-progress",
+    startedAt,
+    durationMinutes: minutes,
+    deadlineAt: startedAt + minutes * 60 * 1000,
+    rules,
+    questions,
+    maxScore: paperMaxScore(rules, questions),
+    answers: {},
+    results: {},
+    timer: null
+  };
+
+  exam.timer = setTimeout(() => {
+    submitExam(exam, grade, { auto: true }).catch((e) => {
+      exam.status = "graded";
+      exam.error = e?.message || "Auto-submit failed";
+    });
+  }, exam.deadlineAt - startedAt + AUTO_SUBMIT_GRACE_MS);
+
+  exams.set(exam.id, exam);
+  return exam;
+}
+
+module.exports = {
+  createExam,
+  getExam,
+  listExams,
+  recordAnswer,
+  submitExam,
+  toPublicExam
+};
@@ -0,0 +1,67 @@
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+/**
+ * Content-addressed store of grading results: one JSON file per key under `dir` (fanned out by the first two
+ * hex digits), so a repeated submission is served from disk instead of paying for the same call again.
+ * Entries are never rewritten except by a forced regrade; deleting the directory just empties the cache.
+ */
+function createGradeCache({ dir }) {
+  function fileFor(key) {
+    return path.join(dir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async function get(key) {
+    try {
+      const entry = JSON.parse(await fsp.readFile(fileFor(key), "utf8"));
+      return entry?.key === key && entry.result ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Written to a temp file and renamed, so a crash never leaves half an entry behind.
+  async function put(key, fields) {
+    const entry = { key, at: Date.now(), ...fields };
+    const file = fileFor(key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    // Random suffix: two grades of the same answer (two tabs, two users) must not share a temp file.
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(entry), "utf8");
+    try {
+      await fsp.rename(tmp, file);
+    } catch (e) {
+      await fsp.rm(tmp, { force: true });
+      throw e;
+    }
+    return entry;
+  }
+
+  return { get, put };
+}
+
+/**
+ * Cache key for grading `answer` on `question` with `graders` ([{ provider, model }], several for an ensemble,
+ * plus its method/threshold) under `promptVersion`. Everything else the grading prompt is built from is part
+ * of the key too: `pacing` and `elapsedSeconds` (the prompt reports the time taken and asks for time advice on
+ * an overrun) and `context`, the notes/booklist snippets and retrieved passages. So any edit to the question,
+ * to the answer beyond surrounding whitespace, to the notes a question points at, or a different time gives a new key.
+ * `owner` scopes the entry to one account: hits are only shared between people when the server has no accounts.
+ */
+function gradeCacheKey({ question, answer, graders, ensemble = null, promptVersion, pacing = null, elapsedSeconds = null, context = null, owner = null }) {
+  const material = JSON.stringify({
+    owner,
+    promptVersion,
+    question,
+    answer: String(answer || "").trim(),
+    graders: graders.map((g) => `${g.provider}:${g.model}`),
+    ensemble,
+    pacing,
+    elapsedSeconds,
+    context
+  });
+  return crypto.createHash("sha256").update(material).digest("hex");
+}
+
+module.exports = { createGradeCache, gradeCacheKey };
@@ -0,0 +1,220 @@
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { extractPdfText } = require("./pdf-text");
+
+const CN_DIGITS = { 一: 1, 二: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9, 十: 10 };
+const SECTION_IDS = { 必選: "req", 選考: "opt" };
+const TITLE_MAX = 30;
+
+function importError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Full-width digits and punctuation as they appear in the papers -> ASCII, for matching only.
+function toHalfWidth(text) {
+  return text.replace(/[０-９．（）]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+}
+
+function chineseNumber(text) {
+  if (/^\d+$/.test(text)) return Number(text);
+  if (text.length === 1) return CN_DIGITS[text] ?? null;
+  // 十一 … 十九, 二十 … 九十九
+  const m = /^([二三四五六七八九])?十([一二三四五六七八九])?$/.exec(text);
+  if (!m) return null;
+  return (m[1] ? CN_DIGITS[m[1]] : 1) * 10 + (m[2] ? CN_DIGITS[m[2]] : 0);
+}
+
+// Page furniture that repeats on every page: page numbers, "第 1 頁／共 3 頁", "- 2 -".
+function isPageNoise(line) {
+  const s = toHalfWidth(line).replace(/\s+/g, "");
+  return /^(?:-?\d+-?|\d+\/\d+|第\d+頁(?:[,，/／]?共\d+頁)?|共\d+頁[,，]?第\d+頁|page\d+(?:of\d+)?)$/i.test(s);
+}
+
+function sectionHeader(line) {
+  const s = toHalfWidth(line).replace(/\s+/g, "");
+  if (s.length > 40) return null;
+  const m = /^(?:[一二三四五六七八九十]+[、.]|[(][一二三四五六七八九十]+[)]|第[一二三四五六七八九十]+部分[:：]?)?(必選|必考|必答|選考|選答)/.exec(s);
+  if (!m) return null;
+  const section = m[1].startsWith("必") ? "必選" : "選考";
+  const pick = /([一二三四五六七八九十\d]+)選([一二三四五六七八九十\d]+)/.exec(s);
+  const each = /每題(\d+(?:\.\d+)?)分/.exec(s);
+  return {
+    section,
+    pick: pick ? chineseNumber(pick[2]) : null,
+    pointsEach: each ? Number(each[1]) : null
+  };
+}
+
+// "1." "1、" "1)" "第1題" "一、" at the start of a line; "(1)" sub-parts are not question starts.
+function questionNumber(line) {
+  const raw = line.trimStart();
+  const s = toHalfWidth(raw);
+  const m = /^(?:第\s*)?(\d{1,2}|[一二三四五六七八九十]{1,3})\s*(?:[、.)]|題[、.:：]?)\s*/.exec(s);
+  if (!m) return null;
+  if (/^\d+\.\d/.test(s)) return null; // "1.5 分" or a decimal, not a numbered item
+  const n = chineseNumber(m[1]);
+  return n == null ? null : { n, rest: raw.slice(m[0].length) };
+}
+
+function detectPoints(text, fallback) {
+  const s = toHalfWidth(text).replace(/\s+/g, "");
+  const total = /共(\d+(?:\.\d+)?)分/.exec(s);
+  if (total) return { points: Number(total[1]) };
+  const marks = Array.from(s.matchAll(/[(]([^()]{0,12}?)(\d+(?:\.\d+)?)分(?!鐘)[^()]{0,6}[)]/g));
+  if (marks.some((m) => m[1].includes("各"))) {
+    return { points: fallback ?? null, warning: "配分寫成「各 N 分」，請確認總分" };
+  }
+  if (marks.length) return { points: marks.reduce((sum, m) => sum + Number(m[2]), 0) };
+  if (fallback != null) return { points: fallback };
+  return { points: null, warning: "找不到配分（N 分）" };
+}
+
+function examMinutes(text) {
+  const s = toHalfWidth(text).replace(/\s+/g, "");
+  const minutes = /(?:時間|時限)[:：]?(\d+)分鐘/.exec(s);
+  if (minutes) return Number(minutes[1]);
+  const hours = /(?:時間|時限)[:：]?([一二三四五六七八九十\d]+)(?:小時|hr)/.exec(s);
+  return hours ? chineseNumber(hours[1]) * 60 || null : null;
+}
+
+function titleOf(text) {
+  const first = text.split("\n")[0].replace(/[（(][^（()）]*分[^（()）]*[）)]/g, "").trim();
+  const sentence = first.split(/[。？?！!]/)[0].trim() || first;
+  return sentence.length > TITLE_MAX ? `${sentence.slice(0, TITLE_MAX)}…` : sentence;
+}
+
+/**
+ * Splits one paper's text into draft questions. Section headers (必選/選考) switch the section;
+ * numbered lines start a question only when they continue the numbering, so numbered lists
+ * inside a question stay in its text.
+ */
+function parsePaper(text, { idPrefix = "", tags } = {}) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/\s+$/, ""))
+    .filter((l) => !isPageNoise(l));
+
+  const warnings = [];
+  const sectionRules = [];
+  const drafts = [];
+  let section = null;
+  let pointsEach = null;
+  let current = null;
+  let lastNumber = 0;
+  let sawSection = false;
+
+  for (const line of lines) {
+    const header = sectionHeader(line);
+    if (header) {
+      section = header.section;
+      pointsEach = header.pointsEach;
+      sawSection = true;
+      lastNumber = 0;
+      current = null;
+      if (!sectionRules.some((r) => r.section === section)) {
+        sectionRules.push({ section, pick: header.pick || "all" });
+      }
+      continue;
+    }
+
+    const num = questionNumber(line);
+    if (num && num.n === lastNumber + 1) {
+      lastNumber = num.n;
+      current = { section: section || "必選", number: num.n, pointsEach, lines: [num.rest] };
+      drafts.push(current);
+      continue;
+    }
+    if (current) current.lines.push(line.trim());
+  }
+
+  if (!drafts.length) {
+    warnings.push("找不到編號題目（1. / 一、 / 第1題）");
+    return { questions: [], warnings, sectionRules: [], examTimeMinutes: examMinutes(text) };
+  }
+  if (!sawSection) warnings.push("沒有偵測到必選／選考標題，全部先歸在「必選」");
+
+  const counters = {};
+  const questions = drafts.map((d) => {
+    const body = d.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+    counters[d.section] = (counters[d.section] || 0) + 1;
+    const id = `${idPrefix}${SECTION_IDS[d.section] || "q"}-${counters[d.section]}`;
+    const { points, warning } = detectPoints(body, d.pointsEach);
+    if (warning) warnings.push(`${id}：${warning}`);
+    return { id, section: d.section, points, title: titleOf(body), text: body, tags };
+  });
+  return { questions, warnings, sectionRules, examTimeMinutes: examMinutes(text) };
+}
+
+// "112-2 健管所博士班資格考_研究法(行社組).pdf" -> "112-2"
+function termOf(fileName) {
+  const m = /(\d{2,3})\s*[-_]\s*([12])/.exec(toHalfWidth(fileName));
+  return m ? `${m[1]}-${m[2]}` : null;
+}
+
+async function listPdfs(sourcePath, label) {
+  const stat = await fsp.stat(sourcePath).catch(() => null);
+  if (!stat) throw importError(404, `找不到 PDF：${label(sourcePath)}`);
+  if (stat.isFile()) return [sourcePath];
+  const names = (await fsp.readdir(sourcePath)).filter((n) => n.toLowerCase().endsWith(".pdf")).sort();
+  if (!names.length) throw importError(404, `資料夾裡沒有 PDF：${label(sourcePath)}`);
+  return names.map((n) => path.join(sourcePath, n));
+}
+
+/**
+ * Builds a draft questions file for a set from its sourcePdf (a PDF or a folder of PDFs).
+ * With several papers, ids and tags are prefixed with the term ("112-2-req-1").
+ * `text` replaces PDF extraction (e.g. OCR output for scanned papers).
+ */
+async function draftFromSource({ setId, sourcePath, text, label = (p) => p }) {
+  const papers = [];
+  if (text != null) {
+    papers.push({ file: null, text: String(text) });
+  } else {
+    // One unreadable paper (encrypted, not a PDF) should not block the rest of a folder.
+    for (const file of await listPdfs(sourcePath, label)) {
+      try {
+        const { pages, warnings } = extractPdfText(await fsp.readFile(file));
+        papers.push({ file, text: pages.join("\n"), warnings });
+      } catch (e) {
+        if (!e?.status) throw e;
+        papers.push({ file, text: "", warnings: [e.message] });
+      }
+    }
+  }
+
+  const multiple = papers.length > 1;
+  const sources = [];
+  const warnings = [];
+  const questions = [];
+  const sectionRules = [];
+  let examTimeMinutes = null;
+
+  for (const paper of papers) {
+    const name = paper.file ? path.basename(paper.file) : "text";
+    const term = paper.file ? termOf(name) : null;
+    const prefix = multiple ? `${term || `paper${sources.length + 1}`}-` : "";
+    const parsed = parsePaper(paper.text, { idPrefix: prefix, tags: term ? [term] : undefined });
+
+    sources.push({ file: paper.file ? label(paper.file) : null, term, questions: parsed.questions.length });
+    for (const w of [...(paper.warnings || []), ...parsed.warnings]) warnings.push(`${name}：${w}`);
+    for (const q of parsed.questions) {
+      let id = q.id;
+      for (let i = 2; questions.some((x) => x.id === id); i++) id = `${q.id}-${i}`;
+      questions.push({ ...q, id });
+    }
+    for (const rule of parsed.sectionRules) {
+      if (!sectionRules.some((r) => r.section === rule.section)) sectionRules.push(rule);
+    }
+    examTimeMinutes = examTimeMinutes || parsed.examTimeMinutes;
+  }
+
+  return {
+    setId,
+    draft: { sources, warnings, sectionRules, examTimeMinutes },
+    questions
+  };
+}
+
+module.exports = { parsePaper, draftFromSource };
@@ -0,0 +1,149 @@
+// Helpers for the per-set notes markdown (G/模擬考/*_重點筆記.md): raw slices for the grading
+// prompt, and a structured tree for the "reference skeleton" panel.
+
+const BOOKLIST_MARKER = "## 參考書目校正（官方書單對照）";
+
+function extractBooklistSection(md) {
+  const idx = md.indexOf(BOOKLIST_MARKER);
+  if (idx === -1) return null;
+  return md.slice(idx).trim();
+}
+
+function extractNoteSection(md, noteHeading) {
+  if (!noteHeading) return null;
+  const start = md.indexOf(noteHeading);
+  if (start === -1) return null;
+
+  const searchFrom = start + noteHeading.length;
+  const nextH2 = md.indexOf("\n## ", searchFrom);
+  const nextH3 = md.indexOf("\n### ", searchFrom);
+
+  let end = md.length;
+  if (nextH2 !== -1) end = Math.min(end, nextH2);
+  if (nextH3 !== -1) end = Math.min(end, nextH3);
+
+  return md.slice(start, end).trim();
+}
+
+// Block labels used across the notes ("**題意**", "**答題骨架（建議 4 段）**", ...) -> a kind the UI can style.
+const BLOCK_KINDS = [
+  ["intent", /題意/],
+  ["skeleton", /骨架|模板|流程|步驟/],
+  ["pitfalls", /扣分|常見錯誤|地雷/],
+  ["examples", /例子|舉例|範例|實例/],
+  ["concepts", /概念|關鍵|定義|重點/]
+];
+
+function blockKind(label) {
+  if (!label) return "text";
+  return BLOCK_KINDS.find(([, re]) => re.test(label))?.[0] || "other";
+}
+
+// "3)（承上）…" / "選 2) …" / "3-(1) 選擇研究設計…" / "(2) 研究設計＋理由" -> label + title
+function splitPartLabel(title) {
+  const m = /^((?:選\s*)?\d+[)）]|\S*[(（]\d+[)）])\s*(.*)$/.exec(title);
+  return m ? { label: m[1], title: m[2] } : { label: null, title };
+}
+
+/**
+ * Groups the body of one heading into labelled blocks. Each block keeps its content in order:
+ * paragraphs and lists (numbered lists are skeleton steps; nested bullets become children).
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let block = null;
+  let list = null;
+
+  const open = (label, text) => {
+    block = { label, kind: blockKind(label), text: text || "", content: [] };
+    blocks.push(block);
+    list = null;
+  };
+
+  for (const raw of lines) {
+    const trimmed = raw.trim();
+    if (!trimmed || /^-{3,}$/.test(trimmed)) {
+      list = null;
+      continue;
+    }
+
+    const label = /^\*\*([^*]+)\*\*\s*[：:]?\s*(.*)$/.exec(trimmed);
+    if (label && raw === trimmed) {
+      open(label[1].trim(), label[2].trim());
+      continue;
+    }
+    if (!block) open(null, "");
+
+    const item = /^(\s*)(?:[-*+]|(\d+)[.)])\s*(.*)$/.exec(raw);
+    if (item) {
+      const depth = item[1].length >= 2 ? 1 : 0;
+      const node = { text: item[3].trim(), children: [] };
+      if (depth && list?.items.length) {
+        list.items[list.items.length - 1].children.push(node);
+        continue;
+      }
+      const ordered = Boolean(item[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: "list", ordered, items: [] };
+        block.content.push(list);
+      }
+      list.items.push(node);
+      continue;
+    }
+
+    list = null;
+    const last = block.content[block.content.length - 1];
+    if (last?.type === "paragraph") last.text += `\n${trimmed}`;
+    else block.content.push({ type: "paragraph", text: trimmed });
+  }
+  return blocks;
+}
+
+/**
+ * Parses notes markdown into a heading tree. Every node: { level, heading, label, title, blocks, children },
+ * where `heading` is the raw heading line (what a question's noteHeading is matched against).
+ */
+function parseNotes(md) {
+  const root = { level: 0, heading: "", label: null, title: "", lines: [], children: [] };
+  const stack = [root];
+  let inFence = false;
+
+  for (const line of String(md || "").split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const h = inFence ? null : /^(#{1,6})\s+(.*)$/.exec(line);
+    if (!h) {
+      stack[stack.length - 1].lines.push(line);
+      continue;
+    }
+    const level = h[1].length;
+    while (stack[stack.length - 1].level >= level) stack.pop();
+    const { label, title } = splitPartLabel(h[2].trim());
+    const node = { level, heading: line.trim(), label, title, lines: [], children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+
+  const finish = (node) => {
+    const { lines, ...rest } = node;
+    return { ...rest, blocks: parseBlocks(lines), children: node.children.map(finish) };
+  };
+  return finish(root);
+}
+
+function findHeading(node, noteHeading) {
+  for (const child of node.children) {
+    if (child.heading.startsWith(noteHeading)) return child;
+    const found = findHeading(child, noteHeading);
+    if (found) return found;
+  }
+  return null;
+}
+
+// The subtree for one question ("### 3)" -> its blocks plus "#### 3-(1)" / "#### 3-(2)" parts).
+function questionNotes(md, noteHeading) {
+  const heading = String(noteHeading || "").trim();
+  if (!heading) return null;
+  return findHeading(parseNotes(md), heading);
+}
+
+module.exports = { extractBooklistSection, extractNoteSection, parseNotes, questionNotes };
@@ -0,0 +1,472 @@
+const zlib = require("node:zlib");
+
+// Minimal PDF text extraction for the past papers (no dependencies): Flate streams, object
+// streams, ToUnicode CMaps and the common CJK encodings. Layout is reduced to one line per
+// baseline; images and form XObjects are ignored, so scanned papers come back empty.
+
+function pdfError(message) {
+  const err = new Error(message);
+  err.status = 422;
+  return err;
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set("()<>[]{}/%".split("").map((c) => c.charCodeAt(0)));
+
+function isRegular(code) {
+  return !Number.isNaN(code) && !WHITESPACE.has(code) && !DELIMITERS.has(code);
+}
+
+// Tokens over a latin1 string (one char per byte). Strings come back as latin1 byte strings.
+function readToken(s, pos) {
+  const n = s.length;
+  while (pos < n) {
+    const c = s.charCodeAt(pos);
+    if (WHITESPACE.has(c)) {
+      pos++;
+    } else if (c === 0x25) {
+      while (pos < n && s[pos] !== "\n" && s[pos] !== "\r") pos++;
+    } else {
+      break;
+    }
+  }
+  if (pos >= n) return null;
+
+  const ch = s[pos];
+  if (ch === "<" && s[pos + 1] === "<") return { type: "<<", end: pos + 2 };
+  if (ch === ">" && s[pos + 1] === ">") return { type: ">>", end: pos + 2 };
+  if (ch === "[" || ch === "]" || ch === "{" || ch === "}") return { type: ch, end: pos + 1 };
+  if (ch === "<") {
+    const close = s.indexOf(">", pos);
+    const end = close === -1 ? n : close;
+    let hex = s.slice(pos + 1, end).replace(/[^0-9a-fA-F]/g, "");
+    if (hex.length % 2) hex += "0";
+    return { type: "str", value: Buffer.from(hex, "hex").toString("latin1"), end: end + 1 };
+  }
+  if (ch === "(") return readLiteralString(s, pos + 1);
+  if (ch === "/") {
+    let end = pos + 1;
+    while (end < n && isRegular(s.charCodeAt(end))) end++;
+    const name = s.slice(pos + 1, end).replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    return { type: "name", value: name, end };
+  }
+  let end = pos;
+  while (end < n && isRegular(s.charCodeAt(end))) end++;
+  if (end === pos) return { type: "kw", value: ch, end: pos + 1 };
+  const word = s.slice(pos, end);
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: "num", value: Number(word), end };
+  return { type: "kw", value: word, end };
+}
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+function readLiteralString(s, pos) {
+  let depth = 1;
+  let out = "";
+  while (pos < s.length) {
+    const ch = s[pos];
+    if (ch === "\\") {
+      const next = s[pos + 1];
+      if (ESCAPES[next]) {
+        out += ESCAPES[next];
+        pos += 2;
+      } else if (/[0-7]/.test(next)) {
+        const oct = /^[0-7]{1,3}/.exec(s.slice(pos + 1, pos + 4))[0];
+        out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        pos += 1 + oct.length;
+      } else if (next === "\r" || next === "\n") {
+        pos += next === "\r" && s[pos + 2] === "\n" ? 3 : 2;
+      } else {
+        out += next ?? "";
+        pos += 2;
+      }
+      continue;
+    }
+    if (ch === "(") depth++;
+    if (ch === ")" && --depth === 0) return { type: "str", value: out, end: pos + 1 };
+    out += ch;
+    pos++;
+  }
+  return { type: "str", value: out, end: pos };
+}
+
+// Values: dicts -> objects, arrays -> arrays, names -> strings, refs -> { ref }.
+function parseValue(s, pos) {
+  const tok = readToken(s, pos);
+  if (!tok) return { value: null, end: s.length };
+  if (tok.type === "<<") {
+    const dict = {};
+    let p = tok.end;
+    for (;;) {
+      const key = readToken(s, p);
+      if (!key || key.type === ">>") return { value: dict, end: key ? key.end : s.length };
+      if (key.type !== "name") {
+        p = key.end;
+        continue;
+      }
+      const item = parseValue(s, key.end);
+      dict[key.value] = item.value;
+      p = item.end;
+    }
+  }
+  if (tok.type === "[") {
+    const list = [];
+    let p = tok.end;
+    for (;;) {
+      const next = readToken(s, p);
+      if (!next || next.type === "]") return { value: list, end: next ? next.end : s.length };
+      const item = parseValue(s, p);
+      list.push(item.value);
+      p = item.end;
+    }
+  }
+  if (tok.type === "num" && Number.isInteger(tok.value)) {
+    const gen = readToken(s, tok.end);
+    if (gen?.type === "num") {
+      const r = readToken(s, gen.end);
+      if (r?.type === "kw" && r.value === "R") return { value: { ref: tok.value }, end: r.end };
+    }
+  }
+  if (tok.type === "kw") {
+    if (tok.value === "true") return { value: true, end: tok.end };
+    if (tok.value === "false") return { value: false, end: tok.end };
+    if (tok.value === "null") return { value: null, end: tok.end };
+  }
+  return { value: tok.value ?? null, end: tok.end };
+}
+
+function inflate(buf) {
+  try {
+    return zlib.inflateSync(buf);
+  } catch {
+    // Some writers leave trailing bytes or omit the checksum.
+    return zlib.inflateSync(buf, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+function decodeStream(dict, data) {
+  const filters = [].concat(dict?.Filter || []);
+  let buf = Buffer.from(data, "latin1");
+  for (const filter of filters) {
+    if (filter !== "FlateDecode" && filter !== "Fl") return null;
+    buf = inflate(buf);
+  }
+  return buf.toString("latin1");
+}
+
+function indexObjects(src) {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = header.exec(src))) {
+    const start = header.lastIndex;
+    const parsed = parseValue(src, start);
+    const after = readToken(src, parsed.end);
+    let stream = null;
+    let end = parsed.end;
+    if (after?.type === "kw" && after.value === "stream") {
+      let dataStart = after.end;
+      if (src[dataStart] === "\r") dataStart++;
+      if (src[dataStart] === "\n") dataStart++;
+      const length = parsed.value?.Length;
+      const byLength = typeof length === "number" && /^\s*endstream/.test(src.slice(dataStart + length, dataStart + length + 20));
+      let dataEnd = byLength ? dataStart + length : src.indexOf("endstream", dataStart);
+      if (dataEnd === -1) break;
+      if (!byLength) {
+        // Trailing EOL before "endstream" is not part of the data.
+        if (src[dataEnd - 1] === "\n") dataEnd--;
+        if (src[dataEnd - 1] === "\r") dataEnd--;
+      }
+      stream = src.slice(dataStart, dataEnd);
+      end = src.indexOf("endstream", dataEnd) + 9;
+    }
+    // Later definitions win, matching incremental updates.
+    objects.set(Number(m[1]), { value: parsed.value, stream });
+    header.lastIndex = end;
+  }
+
+  for (const obj of Array.from(objects.values())) {
+    if (obj.value?.Type !== "ObjStm" || obj.stream == null) continue;
+    const data = decodeStream(obj.value, obj.stream);
+    if (data == null) continue;
+    const first = Number(obj.value.First) || 0;
+    const nums = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < nums.length; i += 2) {
+      if (objects.has(nums[i])) continue;
+      objects.set(nums[i], { value: parseValue(data, first + nums[i + 1]).value, stream: null });
+    }
+  }
+  return objects;
+}
+
+function utf16be(bytes) {
+  const buf = Buffer.from(bytes, "latin1");
+  if (buf.length % 2) return "";
+  return Buffer.from(buf).swap16().toString("utf16le");
+}
+
+function bytesToCode(bytes) {
+  let code = 0;
+  for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+  return code;
+}
+
+function parseCMap(text) {
+  const map = new Map();
+  let width = 0;
+  const ranges = /begincodespacerange([\s\S]*?)endcodespacerange/g;
+  let m;
+  while ((m = ranges.exec(text))) {
+    for (const hex of m[1].match(/<([0-9a-fA-F]+)>/g) || []) width = Math.max(width, (hex.length - 2) / 2);
+  }
+
+  const sections = /begin(bfchar|bfrange)([\s\S]*?)end\1/g;
+  while ((m = sections.exec(text))) {
+    const values = [];
+    let p = 0;
+    for (;;) {
+      const item = parseValue(m[2], p);
+      if (item.end >= m[2].length && item.value == null) break;
+      values.push(item.value);
+      p = item.end;
+    }
+    if (m[1] === "bfchar") {
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        if (typeof values[i] === "string" && typeof values[i + 1] === "string") {
+          map.set(bytesToCode(values[i]), utf16be(values[i + 1]));
+        }
+      }
+      continue;
+    }
+    for (let i = 0; i + 2 < values.length; i += 3) {
+      const [lo, hi, dst] = [values[i], values[i + 1], values[i + 2]];
+      if (typeof lo !== "string" || typeof hi !== "string") continue;
+      const from = bytesToCode(lo);
+      const to = bytesToCode(hi);
+      for (let code = from; code <= to && code - from < 0x10000; code++) {
+        if (Array.isArray(dst)) {
+          if (typeof dst[code - from] === "string") map.set(code, utf16be(dst[code - from]));
+        } else if (typeof dst === "string" && dst.length) {
+          // Increment the last byte of the destination, per the CMap spec.
+          const base = dst.slice(0, -1);
+          const last = dst.charCodeAt(dst.length - 1) + (code - from);
+          map.set(code, utf16be(base + String.fromCharCode(last & 0xff)));
+        }
+      }
+    }
+  }
+  return { map, width };
+}
+
+function createExtractor(src) {
+  const objects = indexObjects(src);
+  const fonts = new Map();
+
+  const resolve = (value) => {
+    let v = value;
+    for (let i = 0; i < 32 && v && typeof v === "object" && "ref" in v; i++) v = objects.get(v.ref)?.value;
+    return v ?? null;
+  };
+  const streamOf = (value) => {
+    const obj = value && typeof value === "object" && "ref" in value ? objects.get(value.ref) : null;
+    return obj?.stream == null ? null : decodeStream(obj.value, obj.stream);
+  };
+
+  function loadFont(ref) {
+    const key = ref && typeof ref === "object" && "ref" in ref ? ref.ref : null;
+    if (key != null && fonts.has(key)) return fonts.get(key);
+    const dict = resolve(ref) || {};
+    const encoding = typeof dict.Encoding === "string" ? dict.Encoding : "";
+    const font = { width: dict.Subtype === "Type0" ? 2 : 1, map: null, decoder: null, ucs2: false, unmapped: false };
+    const cmap = dict.ToUnicode ? streamOf(dict.ToUnicode) : null;
+    if (cmap) {
+      const parsed = parseCMap(cmap);
+      font.map = parsed.map;
+      if (parsed.width) font.width = parsed.width;
+    } else if (/UCS2|UTF16/.test(encoding)) {
+      font.ucs2 = true;
+    } else if (/B5|ETen|CNS/.test(encoding)) {
+      font.decoder = new TextDecoder("big5");
+    } else if (/GBK|GB-|GBpc|GBT/.test(encoding)) {
+      font.decoder = new TextDecoder("gbk");
+    } else if (font.width === 2) {
+      font.unmapped = true;
+    }
+    if (key != null) fonts.set(key, font);
+    return font;
+  }
+
+  function decodeText(bytes, font) {
+    if (!font) return bytes;
+    if (font.decoder) return font.decoder.decode(Buffer.from(bytes, "latin1"));
+    if (font.ucs2) return utf16be(bytes);
+    if (font.unmapped) return "";
+    let out = "";
+    for (let i = 0; i + font.width <= bytes.length; i += font.width) {
+      const code = bytesToCode(bytes.slice(i, i + font.width));
+      const mapped = font.map?.get(code);
+      out += mapped ?? (font.width === 1 ? String.fromCharCode(code) : "");
+    }
+    return out;
+  }
+
+  function inherited(page, key) {
+    for (let node = page, i = 0; node && i < 32; node = resolve(node.Parent), i++) {
+      if (node[key] != null) return resolve(node[key]);
+    }
+    return null;
+  }
+
+  function pageText(page) {
+    const fontRefs = resolve(inherited(page, "Resources")?.Font) || {};
+    const contents = [].concat(page.Contents || []).map(streamOf).filter((s) => s != null);
+    const content = contents.join("\n");
+    const lines = [];
+    let line = "";
+    let font = null;
+    let size = 10;
+    let tm = [1, 0, 0, 1, 0, 0];
+    let lm = tm;
+    let leading = 0;
+    let lastY = null;
+    let operands = [];
+    let unmapped = false;
+
+    const flush = () => {
+      if (line.trim()) lines.push(line.trim());
+      line = "";
+    };
+    const moveLine = (tx, ty) => {
+      lm = [lm[0], lm[1], lm[2], lm[3], lm[4] + tx * lm[0] + ty * lm[2], lm[5] + tx * lm[1] + ty * lm[3]];
+      tm = lm;
+    };
+    const show = (bytes) => {
+      const y = tm[5];
+      const threshold = Math.max(1, (size * Math.abs(tm[3] || 1)) / 2);
+      if (lastY !== null && Math.abs(y - lastY) > threshold) flush();
+      lastY = y;
+      if (font?.unmapped) unmapped = true;
+      line += decodeText(bytes, font);
+    };
+
+    let pos = 0;
+    for (;;) {
+      const tok = readToken(content, pos);
+      if (!tok) break;
+      if (tok.type === "[" || tok.type === "<<") {
+        const item = parseValue(content, pos);
+        operands.push(item.value);
+        pos = item.end;
+        continue;
+      }
+      pos = tok.end;
+      if (tok.type !== "kw") {
+        operands.push(tok.value);
+        continue;
+      }
+      const op = tok.value;
+      const args = operands;
+      operands = [];
+      switch (op) {
+        case "BT":
+          tm = lm = [1, 0, 0, 1, 0, 0];
+          break;
+        case "Tf":
+          font = loadFont(fontRefs[args[0]]);
+          size = Number(args[1]) || size;
+          break;
+        case "Tm":
+          if (args.length === 6) tm = lm = args.map(Number);
+          break;
+        case "Td":
+          moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+          break;
+        case "TD":
+          leading = -(Number(args[1]) || 0);
+          moveLine(Number(args[0]) || 0, Number(args[1]) || 0);
+          break;
+        case "TL":
+          leading = Number(args[0]) || 0;
+          break;
+        case "T*":
+          moveLine(0, -leading);
+          break;
+        case "Tj":
+          if (typeof args[0] === "string") show(args[0]);
+          break;
+        case "'":
+          moveLine(0, -leading);
+          if (typeof args[0] === "string") show(args[0]);
+          break;
+        case '"':
+          moveLine(0, -leading);
+          if (typeof args[2] === "string") show(args[2]);
+          break;
+        case "TJ":
+          for (const part of Array.isArray(args[0]) ? args[0] : []) {
+            if (typeof part === "string") {
+              show(part);
+            } else if (typeof part === "number" && part < -250 && /[!-~]$/.test(line)) {
+              line += " ";
+            }
+          }
+          break;
+        case "BI": {
+          // Inline image: skip binary data up to "EI".
+          const id = content.indexOf("ID", pos);
+          const ei = id === -1 ? -1 : content.indexOf("EI", id + 2);
+          pos = ei === -1 ? content.length : ei + 2;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    flush();
+    return { text: lines.join("\n"), unmapped };
+  }
+
+  function pages() {
+    const catalog = Array.from(objects.values()).find((o) => o.value?.Type === "Catalog")?.value;
+    const ordered = [];
+    const walk = (node, depth) => {
+      const n = resolve(node);
+      if (!n || depth > 32) return;
+      if (n.Type === "Page") ordered.push(n);
+      else for (const kid of n.Kids || []) walk(kid, depth + 1);
+    };
+    if (catalog?.Pages) walk(catalog.Pages, 0);
+    if (ordered.length) return ordered;
+    return Array.from(objects.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([, o]) => o.value)
+      .filter((v) => v?.Type === "Page");
+  }
+
+  return { pages, pageText };
+}
+
+/**
+ * Extracts text from a PDF buffer. Returns one string per page (lines separated by "\n")
+ * plus warnings for pages without a usable text layer.
+ */
+function extractPdfText(buffer) {
+  const src = Buffer.isBuffer(buffer) ? buffer.toString("latin1") : String(buffer || "");
+  if (!src.startsWith("%PDF-")) throw pdfError("不是 PDF 檔");
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(src)) throw pdfError("PDF 有加密，無法擷取文字");
+
+  const extractor = createExtractor(src);
+  const pageList = extractor.pages();
+  if (!pageList.length) throw pdfError("PDF 裡找不到頁面");
+
+  const warnings = [];
+  const pages = pageList.map((page, i) => {
+    const { text, unmapped } = extractor.pageText(page);
+    if (unmapped) warnings.push(`第 ${i + 1} 頁有字型缺少 ToUnicode 對照，部分文字無法還原`);
+    else if (!text) warnings.push(`第 ${i + 1} 頁沒有文字層（可能是掃描檔，需要先 OCR）`);
+    return text;
+  });
+  return { pages, warnings };
+}
+
+module.exports = { extractPdfText };
@@ -0,0 +1,45 @@
+/**
+ * Sliding-window limiter: each key may spend at most `limit` units in any `windowMs`. Kept in memory, so a
+ * restart starts everyone over; that is enough to stop one person from draining a shared key in an afternoon.
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const spent = new Map(); // key -> [{ at, units }], oldest first
+
+  function recent(key, now) {
+    const list = (spent.get(key) || []).filter((s) => s.at > now - windowMs);
+    if (list.length) spent.set(key, list);
+    else spent.delete(key);
+    return list;
+  }
+
+  /**
+   * Spends `units` for `key` if they fit in the window. Returns { ok, remaining, retryAfterSeconds }, where
+   * retryAfterSeconds is how long until enough earlier units leave the window (0 when ok).
+   */
+  function take(key, units = 1, now = Date.now()) {
+    const list = recent(key, now);
+    const used = list.reduce((sum, s) => sum + s.units, 0);
+    if (used + units <= limit) {
+      list.push({ at: now, units });
+      spent.set(key, list);
+      return { ok: true, remaining: limit - used - units, retryAfterSeconds: 0 };
+    }
+    let freed = 0;
+    let retryAt = now + windowMs;
+    for (const s of list) {
+      freed += s.units;
+      retryAt = s.at + windowMs;
+      if (used - freed + units <= limit) break;
+    }
+    return { ok: false, remaining: Math.max(0, limit - used), retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now) / 1000)) };
+  }
+
+  /** Units `key` could spend right now. */
+  function remaining(key, now = Date.now()) {
+    return Math.max(0, limit - recent(key, now).reduce((sum, s) => sum + s.units, 0));
+  }
+
+  return { take, remaining };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,173 @@
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const { extractPdfText } = require("./pdf-text");
+
+// BM25 over notes, answer templates and reading materials, kept in memory. Files are re-read
+// only when their mtime changes, so editing a note shows up on the next grade.
+
+const K1 = 1.2;
+const B = 0.75;
+const MAX_PASSAGE_CHARS = 700;
+const MIN_PASSAGE_CHARS = 20;
+const MAX_QUERY_CHARS = 4000;
+
+const SOURCES = [
+  { dir: "G/模擬考", match: (name) => name.endsWith(".md") },
+  { dir: "G", match: (name) => name.endsWith("_答題模板.md") },
+  { dir: "C/閱讀材料", match: (name) => /\.(pdf|md|txt)$/i.test(name) && name !== "README.md", recursive: true }
+];
+
+const STOPWORDS = new Set(["the", "and", "of", "to", "in", "a", "an", "is", "are", "for", "on", "or", "with", "by", "as", "be"]);
+
+// Latin words as-is; CJK runs as overlapping bigrams (plus the character itself for one-char runs).
+function tokenize(text) {
+  const tokens = [];
+  for (const m of String(text || "").toLowerCase().matchAll(/[a-z0-9]+|[\u3400-\u9fff\uf900-\ufaff]+/g)) {
+    const word = m[0];
+    if (/^[a-z0-9]/.test(word)) {
+      if (word.length > 1 && !STOPWORDS.has(word)) tokens.push(word);
+      continue;
+    }
+    if (word.length === 1) tokens.push(word);
+    for (let i = 0; i + 1 < word.length; i++) tokens.push(word.slice(i, i + 2));
+  }
+  return tokens;
+}
+
+// Splits text into windows of whole paragraphs, each at most MAX_PASSAGE_CHARS (longer paragraphs are cut).
+function windows(text) {
+  const out = [];
+  let current = "";
+  for (const para of text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean)) {
+    if (current && current.length + para.length + 2 > MAX_PASSAGE_CHARS) {
+      out.push(current);
+      current = "";
+    }
+    if (para.length > MAX_PASSAGE_CHARS) {
+      for (let i = 0; i < para.length; i += MAX_PASSAGE_CHARS) out.push(para.slice(i, i + MAX_PASSAGE_CHARS));
+      continue;
+    }
+    current = current ? `${current}\n\n${para}` : para;
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+// Passages per markdown section; `heading` is the nearest two headings below the title ("### 3)… > #### 3-(2)…").
+function markdownPassages(md) {
+  const passages = [];
+  const trail = [];
+  let body = [];
+  const flush = () => {
+    const heading = trail.slice(1).filter(Boolean).slice(-2).join(" > ");
+    for (const text of windows(body.join("\n"))) {
+      if (text.replace(/\s/g, "").length >= MIN_PASSAGE_CHARS) passages.push({ heading, text });
+    }
+    body = [];
+  };
+  for (const line of md.split(/\r?\n/)) {
+    const h = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (!h) {
+      body.push(line);
+      continue;
+    }
+    flush();
+    trail.length = h[1].length;
+    trail[h[1].length - 1] = line.trim();
+  }
+  flush();
+  return passages;
+}
+
+async function filePassages(file) {
+  if (file.toLowerCase().endsWith(".pdf")) {
+    const { pages } = extractPdfText(await fsp.readFile(file));
+    return pages.flatMap((page, i) => windows(page.replace(/\n/g, "\n\n")).map((text) => ({ heading: `p.${i + 1}`, text })));
+  }
+  const text = await fsp.readFile(file, "utf8");
+  return file.endsWith(".md") ? markdownPassages(text) : windows(text).map((t) => ({ heading: "", text: t }));
+}
+
+async function listFiles(dir, match, recursive) {
+  const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive) files.push(...(await listFiles(full, match, recursive)));
+    else if (entry.isFile() && match(entry.name)) files.push(full);
+  }
+  return files.sort();
+}
+
+/**
+ * `search(query, { k, exclude })` returns the top-k passages as { source, heading, text, score },
+ * `source` being the repo-relative path. `exclude(passage)` drops passages the prompt already has.
+ * `sources` narrows what gets indexed (defaults to SOURCES).
+ */
+function createRetriever({ repoRoot, sources = SOURCES, log = () => {} }) {
+  const files = new Map(); // abs path -> { mtimeMs, passages }
+  let index = null;
+
+  async function refresh() {
+    const found = [];
+    for (const source of sources) found.push(...(await listFiles(path.join(repoRoot, source.dir), source.match, source.recursive)));
+
+    let changed = files.size !== found.length || found.some((f) => !files.has(f));
+    for (const file of Array.from(files.keys())) if (!found.includes(file)) files.delete(file);
+    for (const file of found) {
+      const stat = await fsp.stat(file).catch(() => null);
+      if (!stat || files.get(file)?.mtimeMs === stat.mtimeMs) continue;
+      let passages = [];
+      try {
+        passages = await filePassages(file);
+      } catch (e) {
+        log(`檢索索引略過 ${path.relative(repoRoot, file)}：${e?.message || e}`);
+      }
+      files.set(file, { mtimeMs: stat.mtimeMs, passages });
+      changed = true;
+    }
+    if (!changed && index) return index;
+
+    const docs = [];
+    for (const [file, { passages }] of files) {
+      const source = path.relative(repoRoot, file).split(path.sep).join("/");
+      for (const p of passages) {
+        const tokens = tokenize(`${p.heading}\n${p.text}`);
+        const tf = new Map();
+        for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+        docs.push({ source, heading: p.heading, text: p.text, tf, length: tokens.length });
+      }
+    }
+    const df = new Map();
+    for (const doc of docs) for (const t of doc.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+    index = { docs, df, avgLength };
+    return index;
+  }
+
+  async function search(query, { k = 4, exclude } = {}) {
+    if (!(k > 0)) return [];
+    const { docs, df, avgLength } = await refresh();
+    const terms = Array.from(new Set(tokenize(String(query || "").slice(0, MAX_QUERY_CHARS)))).filter((t) => df.has(t));
+    if (!terms.length) return [];
+
+    const n = docs.length;
+    const scored = [];
+    for (const doc of docs) {
+      if (exclude?.(doc)) continue;
+      let score = 0;
+      for (const t of terms) {
+        const f = doc.tf.get(t);
+        if (!f) continue;
+        const idf = Math.log(1 + (n - df.get(t) + 0.5) / (df.get(t) + 0.5));
+        score += (idf * f * (K1 + 1)) / (f + K1 * (1 - B + (B * doc.length) / avgLength));
+      }
+      if (score > 0) scored.push({ source: doc.source, heading: doc.heading, text: doc.text, score: Math.round(score * 100) / 100 });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  return { search, refresh };
+}
+
+module.exports = { createRetriever, tokenize, SOURCES };
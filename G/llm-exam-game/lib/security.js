@@ -0,0 +1,87 @@
+const crypto = require("node:crypto");
+const path = require("node:path");
+
+// Pages load only their own scripts and styles and talk only to this server; nothing may frame them.
+const SECURITY_HEADERS = {
+  "Content-Security-Policy": [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self' data:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join("; "),
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Resource-Policy": "same-origin"
+};
+
+const TOKEN_HEADER = "x-session-token";
+// The served pages carry this tag empty; serveStatic fills in the launch token.
+const TOKEN_META = '<meta name="session-token" content="" />';
+
+function accessError(message) {
+  const err = new Error(message);
+  err.status = 403;
+  return err;
+}
+
+// True when `target` is `dir` or inside it (a sibling such as "<dir>-old" is not).
+function isInside(dir, target) {
+  const rel = path.relative(dir, target);
+  return rel === "" || (!rel.startsWith(`..${path.sep}`) && rel !== ".." && !path.isAbsolute(rel));
+}
+
+/**
+ * Guards the API of a server bound to the user's machine, where every page the browser has open is a
+ * potential caller: the Host header must name this server (stops DNS rebinding), a cross-site Origin is
+ * refused, and /api requests must echo the per-launch token that only pages served from here receive.
+ * `allowedHosts` adds host[:port] entries (e.g. a LAN address when HOST=0.0.0.0).
+ */
+function createAccessGuard({ host, port, allowedHosts = [] }) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const hosts = new Set(
+    ["127.0.0.1", "localhost", "[::1]", host]
+      .filter(Boolean)
+      .map((h) => `${h}:${port}`)
+      .concat(allowedHosts.map((h) => (h.includes(":") && !h.endsWith("]") ? h : `${h}:${port}`)))
+      .map((h) => h.toLowerCase())
+  );
+
+  function tokenMatches(value) {
+    const given = Buffer.from(String(value || ""));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Throws 403 unless the request may proceed; static files only need an allowed Host.
+  function check(req, url) {
+    if (!hosts.has(String(req.headers.host || "").toLowerCase())) throw accessError("Host 不在允許清單（可用 ALLOWED_HOSTS 加入）");
+    const origin = req.headers.origin;
+    if (origin !== undefined) {
+      let originHost = null;
+      try {
+        originHost = new URL(origin).host.toLowerCase();
+      } catch {
+        // "null" (sandboxed frames, file://) and garbage are refused below.
+      }
+      if (!originHost || !hosts.has(originHost)) throw accessError("不接受其他網站發出的請求");
+    }
+    if (url.pathname.startsWith("/api/") && !tokenMatches(req.headers[TOKEN_HEADER])) {
+      throw accessError("Session token 不符：伺服器可能已重新啟動，請重新整理頁面");
+    }
+  }
+
+  function embedToken(html) {
+    return html.replace(TOKEN_META, `<meta name="session-token" content="${token}" />`);
+  }
+
+  return { token, check, embedToken };
+}
+
+module.exports = { SECURITY_HEADERS, TOKEN_HEADER, createAccessGuard, isInside };
@@ -0,0 +1,83 @@
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+function addTo(totals, record) {
+  totals.calls += 1;
+  totals.inputTokens += record.inputTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+  if (record.cost == null) totals.unpricedCalls += 1;
+  else totals.cost = Math.round((totals.cost + record.cost) * 1e6) / 1e6;
+}
+
+// Start of the local day and month containing `now`; spending caps reset at local midnight.
+function periodStarts(now) {
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  const month = new Date(day);
+  month.setDate(1);
+  return { day: day.getTime(), month: month.getTime() };
+}
+
+/**
+ * Append-only ledger of model calls ({ at, provider, model, purpose, inputTokens, outputTokens, cost }),
+ * one JSON line each. `cost` is the estimate from public/pricing.mjs at the time of the call
+ * (null for models missing from the price table), so later price changes do not rewrite history.
+ */
+function createUsageLedger({ filePath }) {
+  let cache = null;
+
+  function load() {
+    if (cache) return cache;
+    cache = [];
+    if (!fs.existsSync(filePath)) return cache;
+    const raw = fs.readFileSync(filePath, "utf8");
+    for (const line of raw.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (Number.isFinite(record?.at)) cache.push(record);
+      } catch {
+        continue;
+      }
+    }
+    return cache;
+  }
+
+  async function record(fields) {
+    const entry = {
+      at: Date.now(),
+      provider: fields.provider,
+      model: fields.model,
+      purpose: fields.purpose,
+      inputTokens: Number(fields.inputTokens) || 0,
+      outputTokens: Number(fields.outputTokens) || 0,
+      cost: fields.cost ?? null
+    };
+    // Loaded before appending, or a cold cache would read this entry from the file and then add it again.
+    const cache = load();
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+    cache.push(entry);
+    return entry;
+  }
+
+  /** Spending so far in the local day and month of `now`: { day, month }, each { calls, inputTokens, outputTokens, cost, unpricedCalls }. */
+  function totals(now = Date.now()) {
+    const starts = periodStarts(now);
+    const out = { day: emptyTotals(), month: emptyTotals() };
+    for (const r of load()) {
+      if (r.at >= starts.month) addTo(out.month, r);
+      if (r.at >= starts.day) addTo(out.day, r);
+    }
+    return out;
+  }
+
+  return { record, totals };
+}
+
+module.exports = { createUsageLedger };
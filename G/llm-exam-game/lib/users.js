@@ -0,0 +1,214 @@
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { promisify } = require("node:util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "exam_sid";
+// Sessions end after this long without a request; a server restart ends them all.
+const SESSION_IDLE_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSCODE_CHARS = 6;
+const MAX_PASSCODE_CHARS = 200;
+const NAME_PATTERN = /^[\p{L}\p{N}_.-]{1,32}$/u;
+const MAX_SETTINGS = 100;
+const MAX_SETTING_CHARS = 500;
+const MAX_DRAFT_CHARS = 100_000;
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+async function hashPasscode(passcode, salt) {
+  return (await scrypt(String(passcode), salt, 64)).toString("hex");
+}
+
+async function writeFileAtomic(filePath, text) {
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fsp.writeFile(tmp, text, "utf8");
+  try {
+    await fsp.rename(tmp, filePath);
+  } catch (e) {
+    await fsp.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1 || part.slice(0, eq).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // A malformed value ("%") is just no session, not an error on every request.
+      return "";
+    }
+  }
+  return "";
+}
+
+function toPublicUser(user) {
+  return { id: user.id, name: user.name, createdAt: user.createdAt };
+}
+
+/**
+ * Accounts for a server shared by a study group: `users.json` under `dir` holds names and scrypt-hashed
+ * passcodes, and each user gets `users/<id>/` for their attempts (see userDir) and `profile.json`
+ * ({ settings, drafts }). New accounts need `inviteCode`. Login sessions live in memory and travel in an
+ * HttpOnly cookie. Writes are serialized and atomic (temp file + rename).
+ */
+function createUserStore({ dir, inviteCode }) {
+  const usersPath = path.join(dir, "users.json");
+  const sessions = new Map(); // sid -> { userId, lastSeenAt }
+  let cache = null;
+  let queue = Promise.resolve();
+
+  function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function load() {
+    if (cache) return cache;
+    if (!fs.existsSync(usersPath)) return (cache = []);
+    try {
+      const users = JSON.parse(fs.readFileSync(usersPath, "utf8")).users;
+      if (!Array.isArray(users)) throw new Error("missing a \"users\" array");
+      cache = users;
+    } catch (e) {
+      throw new Error(`Cannot read ${usersPath}: ${e.message}. Fix or move the file, then start the server again.`);
+    }
+    return cache;
+  }
+
+  function userDir(userId) {
+    return path.join(dir, "users", userId);
+  }
+
+  function findByName(name) {
+    const key = String(name || "").trim().toLowerCase();
+    return load().find((u) => u.name.toLowerCase() === key) || null;
+  }
+
+  async function register({ name, passcode, inviteCode: given }) {
+    const trimmed = String(name || "").trim();
+    if (!safeEqual(given, inviteCode)) throw authError(403, "邀請碼不正確");
+    if (!NAME_PATTERN.test(trimmed)) throw authError(400, "名稱請用 1–32 個字母、數字或 _ . -");
+    const code = String(passcode || "");
+    if (code.length < MIN_PASSCODE_CHARS || code.length > MAX_PASSCODE_CHARS) {
+      throw authError(400, `通關碼至少 ${MIN_PASSCODE_CHARS} 個字元`);
+    }
+    return exclusive(async () => {
+      if (findByName(trimmed)) throw authError(409, "這個名稱已經有人使用");
+      const salt = crypto.randomBytes(16).toString("hex");
+      const user = { id: crypto.randomUUID(), name: trimmed, salt, hash: await hashPasscode(code, salt), createdAt: Date.now() };
+      const users = [...load(), user];
+      await writeFileAtomic(usersPath, `${JSON.stringify({ users }, null, 2)}\n`);
+      cache = users;
+      return toPublicUser(user);
+    });
+  }
+
+  // The same error (and the same hashing work) whether the name or the passcode is wrong.
+  async function verify(name, passcode) {
+    const user = findByName(name);
+    const hash = await hashPasscode(String(passcode || ""), user?.salt || "no-such-user");
+    if (!user || !safeEqual(hash, user.hash)) throw authError(401, "名稱或通關碼不正確");
+    return toPublicUser(user);
+  }
+
+  function startSession(user) {
+    const sid = crypto.randomBytes(32).toString("hex");
+    sessions.set(sid, { userId: user.id, lastSeenAt: Date.now() });
+    return sid;
+  }
+
+  function endSession(req) {
+    sessions.delete(readCookie(req, SESSION_COOKIE));
+  }
+
+  /** The signed-in user of `req` ({ id, name, createdAt }), or null; each call extends the session. */
+  function userFor(req, now = Date.now()) {
+    const sid = readCookie(req, SESSION_COOKIE);
+    const session = sid && sessions.get(sid);
+    if (!session) return null;
+    const user = load().find((u) => u.id === session.userId);
+    if (!user || now - session.lastSeenAt > SESSION_IDLE_MS) {
+      sessions.delete(sid);
+      return null;
+    }
+    session.lastSeenAt = now;
+    return toPublicUser(user);
+  }
+
+  function sessionCookie(sid) {
+    const maxAge = sid ? Math.floor(SESSION_IDLE_MS / 1000) : 0;
+    return `${SESSION_COOKIE}=${sid || ""}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+  }
+
+  async function readProfile(userId) {
+    try {
+      const profile = JSON.parse(await fsp.readFile(path.join(userDir(userId), "profile.json"), "utf8"));
+      return { settings: profile.settings || {}, drafts: profile.drafts || {} };
+    } catch {
+      return { settings: {}, drafts: {} };
+    }
+  }
+
+  function updateProfile(userId, change) {
+    return exclusive(async () => {
+      const profile = change(await readProfile(userId));
+      await writeFileAtomic(path.join(userDir(userId), "profile.json"), `${JSON.stringify(profile, null, 2)}\n`);
+      return profile;
+    });
+  }
+
+  // Settings are the page's preferences (provider, model, set, question, ...) as string values; API keys never come here.
+  async function saveSettings(userId, settings) {
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) throw authError(400, "settings 必須是物件");
+    const entries = Object.entries(settings).filter(([, v]) => v != null);
+    if (entries.length > MAX_SETTINGS) throw authError(400, "設定項目太多");
+    const clean = {};
+    for (const [key, value] of entries) {
+      const text = String(value);
+      if (key.length > 100 || text.length > MAX_SETTING_CHARS) throw authError(400, `設定值太長：${key.slice(0, 40)}`);
+      clean[key] = text;
+    }
+    return (await updateProfile(userId, (profile) => ({ ...profile, settings: clean }))).settings;
+  }
+
+  // Drafts are keyed "<setId>:<questionId>"; empty text removes one.
+  async function saveDraft(userId, { setId, questionId, text }) {
+    const key = `${String(setId || "").trim()}:${String(questionId || "").trim()}`;
+    if (key.startsWith(":") || key.endsWith(":")) throw authError(400, "Missing setId or questionId");
+    const body = String(text || "");
+    if (body.length > MAX_DRAFT_CHARS) throw authError(400, `草稿請在 ${MAX_DRAFT_CHARS} 字以內`);
+    const savedAt = Date.now();
+    await updateProfile(userId, (profile) => {
+      const drafts = { ...profile.drafts };
+      if (body.trim()) drafts[key] = { text: body, savedAt };
+      else delete drafts[key];
+      return { ...profile, drafts };
+    });
+    return { key, savedAt };
+  }
+
+  // Read now, so a damaged users.json stops the server at startup instead of failing every request.
+  load();
+
+  return { register, verify, startSession, endSession, userFor, sessionCookie, userDir, readProfile, saveSettings, saveDraft };
+}
+
+module.exports = { createUserStore };
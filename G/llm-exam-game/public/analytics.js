@@ -0,0 +1,160 @@
+const els = {
+  status: document.getElementById("status"),
+  setSelect: document.getElementById("setSelect"),
+  totals: document.getElementById("totals"),
+  trendChart: document.getElementById("trendChart"),
+  weakest: document.getElementById("weakest"),
+  tables: {
+    booklistTopics: document.getElementById("booklistTopicsTable"),
+    tags: document.getElementById("tagsTable"),
+    section: document.getElementById("sectionTable")
+  }
+};
+
+// Per-launch token the server writes into this page; every /api request must send it back.
+const SESSION_TOKEN = document.querySelector('meta[name="session-token"]')?.content || "";
+
+const DIMENSION_LABELS = { booklistTopics: "書單主題", tags: "tag", section: "區塊" };
+
+function setStatus(text, tone = "info") {
+  const header = tone === "ok" ? "✓" : tone === "bad" ? "×" : "i";
+  els.status.textContent = `${header} ${text}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+async function apiGet(path) {
+  const res = await fetch(path, { headers: { "X-Session-Token": SESSION_TOKEN } });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
+  return json;
+}
+
+function percent(ratio) {
+  return ratio == null ? "—" : `${Math.round(ratio * 100)}%`;
+}
+
+function duration(seconds) {
+  if (!seconds) return "—";
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} 小時 ${minutes % 60} 分` : `${minutes} 分`;
+}
+
+function tone(ratio) {
+  return ratio == null ? "" : ratio >= 0.7 ? "ok" : ratio <= 0.4 ? "bad" : "";
+}
+
+// Weekly mean score ratio as an inline SVG line (y: 0–100%). `axes` adds gridlines and week labels.
+function lineChart(trend, { width, height, axes = false }) {
+  if (!trend.length) return `<span class="subtle">—</span>`;
+  const pad = axes ? { left: 34, right: 8, top: 8, bottom: 18 } : { left: 2, right: 2, top: 2, bottom: 2 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const x = (i) => pad.left + (trend.length === 1 ? w / 2 : (i / (trend.length - 1)) * w);
+  const y = (ratio) => pad.top + (1 - ratio) * h;
+  const points = trend.map((p, i) => `${x(i).toFixed(1)},${y(p.mean).toFixed(1)}`).join(" ");
+
+  const parts = [];
+  if (axes) {
+    for (const ratio of [0, 0.5, 1]) {
+      parts.push(`<line class="grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(ratio)}" y2="${y(ratio)}" />`);
+      parts.push(`<text x="${pad.left - 4}" y="${y(ratio) + 4}" text-anchor="end">${ratio * 100}%</text>`);
+    }
+    parts.push(`<text x="${x(0)}" y="${height - 4}" text-anchor="start">${trend[0].week}</text>`);
+    if (trend.length > 1) {
+      parts.push(`<text x="${x(trend.length - 1)}" y="${height - 4}" text-anchor="end">${trend[trend.length - 1].week}</text>`);
+    }
+  }
+  parts.push(`<polyline points="${points}" />`);
+  for (const [i, p] of trend.entries()) {
+    parts.push(`<circle cx="${x(i)}" cy="${y(p.mean)}" r="${axes ? 3 : 1.8}"><title>${p.week}：${percent(p.mean)}（${p.attempts} 次）</title></circle>`);
+  }
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${parts.join("")}</svg>`;
+}
+
+function renderTotals(data) {
+  const { totals, trend } = data;
+  els.totals.textContent = [
+    `作答 ${totals.attempts} 次｜練過 ${totals.questionsAttempted}/${totals.totalQuestions} 題`,
+    `熟練度（每題最近 3 次平均）${percent(totals.mastery)}｜全部平均 ${percent(totals.average)}`,
+    `計時作答 ${totals.timedAttempts} 次，共 ${duration(totals.timeSpentSeconds)}`
+  ].join("\n");
+  els.trendChart.innerHTML = trend.length ? lineChart(trend, { width: 520, height: 160, axes: true }) : `<div class="subtle">尚無作答紀錄。</div>`;
+}
+
+function renderWeakest(weakest) {
+  if (!weakest.length) {
+    els.weakest.innerHTML = `<div class="subtle">作答後這裡會列出熟練度最低的書單主題與 tag。</div>`;
+    return;
+  }
+  els.weakest.innerHTML = weakest
+    .map(
+      (w) => `
+        <div class="history-item">
+          <div>
+            <span class="pill ${tone(w.mastery)}">${percent(w.mastery)}</span>
+            <span class="pill">${DIMENSION_LABELS[w.dimension]}</span>
+            <span class="pill">${escapeHtml(w.key)}</span>
+          </div>
+          <div class="subtle">作答 ${w.attempts} 次｜練過 ${w.questionsAttempted}/${w.totalQuestions} 題｜上次 ${new Date(w.lastAt).toLocaleDateString()}</div>
+        </div>
+      `
+    )
+    .join("");
+}
+
+function renderTable(table, rows) {
+  if (!rows.length) {
+    table.innerHTML = `<tbody><tr><td class="subtle">題庫中沒有這類標記。</td></tr></tbody>`;
+    return;
+  }
+  const body = rows
+    .map(
+      (r) => `
+        <tr>
+          <td>${escapeHtml(r.key)}</td>
+          <td class="num"><span class="pill ${tone(r.mastery)}">${percent(r.mastery)}</span></td>
+          <td class="num">${r.attempts}</td>
+          <td class="num">${r.questionsAttempted}/${r.totalQuestions}</td>
+          <td class="num">${duration(r.timeSpentSeconds)}</td>
+          <td class="spark">${lineChart(r.trend, { width: 120, height: 28 })}</td>
+        </tr>
+      `
+    )
+    .join("");
+  table.innerHTML = `
+    <thead><tr><th>項目</th><th class="num">熟練度</th><th class="num">次數</th><th class="num">題數</th><th class="num">時間</th><th>每週趨勢</th></tr></thead>
+    <tbody>${body}</tbody>
+  `;
+}
+
+async function refresh() {
+  const setId = els.setSelect.value;
+  setStatus("統計中...");
+  try {
+    const data = await apiGet(`/api/analytics${setId ? `?set=${encodeURIComponent(setId)}` : ""}`);
+    renderTotals(data);
+    renderWeakest(data.weakest);
+    for (const [dimension, table] of Object.entries(els.tables)) renderTable(table, data.dimensions[dimension]);
+    setStatus(`已更新（${new Date().toLocaleTimeString()}）`, "ok");
+  } catch (e) {
+    setStatus(`讀取失敗：${e.message}`, "bad");
+  }
+}
+
+async function init() {
+  try {
+    const { sets } = await apiGet("/api/sets");
+    els.setSelect.innerHTML =
+      `<option value="">全部題庫</option>` + sets.map((s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.title)}</option>`).join("");
+  } catch (e) {
+    setStatus(`伺服器連線失敗：${e.message}`, "bad");
+    return;
+  }
+  els.setSelect.addEventListener("change", () => refresh());
+  await refresh();
+}
+
+init();
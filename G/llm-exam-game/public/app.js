@@ -1,11 +1,25 @@
 const els = {
   status: document.getElementById("status"),
+  accountBar: document.getElementById("accountBar"),
+  accountName: document.getElementById("accountName"),
+  logoutBtn: document.getElementById("logoutBtn"),
+  authPanel: document.getElementById("authPanel"),
+  authName: document.getElementById("authName"),
+  authPasscode: document.getElementById("authPasscode"),
+  authInvite: document.getElementById("authInvite"),
+  loginBtn: document.getElementById("loginBtn"),
+  registerBtn: document.getElementById("registerBtn"),
+  authStatus: document.getElementById("authStatus"),
+  mainLayout: document.getElementById("mainLayout"),
   setSelect: document.getElementById("setSelect"),
   providerSelect: document.getElementById("providerSelect"),
   modelInput: document.getElementById("modelInput"),
   modelCustomInput: document.getElementById("modelCustomInput"),
   apiKeyLabel: document.getElementById("apiKeyLabel"),
   apiKeyInput: document.getElementById("apiKeyInput"),
+  baseUrlField: document.getElementById("baseUrlField"),
+  baseUrlInput: document.getElementById("baseUrlInput"),
+  ensembleSelect: document.getElementById("ensembleSelect"),
   rememberKey: document.getElementById("rememberKey"),
   showKey: document.getElementById("showKey"),
   clearKeyBtn: document.getElementById("clearKeyBtn"),
@@ -16,13 +30,44 @@ const els = {
   submitBtn: document.getElementById("submitBtn"),
   saveDraftBtn: document.getElementById("saveDraftBtn"),
   clearBtn: document.getElementById("clearBtn"),
+  forceRegrade: document.getElementById("forceRegrade"),
+  usageLine: document.getElementById("usageLine"),
+  criteriaTable: document.getElementById("criteriaTable"),
   result: document.getElementById("result"),
+  notesBtn: document.getElementById("notesBtn"),
+  notesPanel: document.getElementById("notesPanel"),
+  drillBtn: document.getElementById("drillBtn"),
+  followupPanel: document.getElementById("followupPanel"),
+  followupLog: document.getElementById("followupLog"),
+  followupInput: document.getElementById("followupInput"),
+  followupSendBtn: document.getElementById("followupSendBtn"),
   history: document.getElementById("history"),
+  historyThisQuestion: document.getElementById("historyThisQuestion"),
+  reviewThisSet: document.getElementById("reviewThisSet"),
+  reviewRefreshBtn: document.getElementById("reviewRefreshBtn"),
+  reviewSummary: document.getElementById("reviewSummary"),
+  reviewList: document.getElementById("reviewList"),
   draftStatus: document.getElementById("draftStatus"),
   timerValue: document.getElementById("timerValue"),
+  timerHint: document.getElementById("timerHint"),
   timerStart: document.getElementById("timerStart"),
   timerPause: document.getElementById("timerPause"),
-  timerReset: document.getElementById("timerReset")
+  timerReset: document.getElementById("timerReset"),
+  examTimerValue: document.getElementById("examTimerValue"),
+  examStartBtn: document.getElementById("examStartBtn"),
+  examSubmitBtn: document.getElementById("examSubmitBtn"),
+  examPaper: document.getElementById("examPaper"),
+  examStatus: document.getElementById("examStatus"),
+  defensePanel: document.getElementById("defensePanel"),
+  defenseRounds: document.getElementById("defenseRounds"),
+  defenseReplySeconds: document.getElementById("defenseReplySeconds"),
+  defenseTimerValue: document.getElementById("defenseTimerValue"),
+  defenseStartBtn: document.getElementById("defenseStartBtn"),
+  defenseFinishBtn: document.getElementById("defenseFinishBtn"),
+  defenseLog: document.getElementById("defenseLog"),
+  defenseReplyInput: document.getElementById("defenseReplyInput"),
+  defenseReplyBtn: document.getElementById("defenseReplyBtn"),
+  defenseStatus: document.getElementById("defenseStatus")
 };
 
 const STORAGE_KEYS = {
@@ -30,8 +75,9 @@ const STORAGE_KEYS = {
   rememberKey: "llm-exam-game:rememberKey",
   setId: "llm-exam-game:setId",
   questionId: "llm-exam-game:questionId",
+  localBaseUrl: "llm-exam-game:localBaseUrl",
+  ensembleSamples: "llm-exam-game:ensembleSamples",
   draftPrefix: "llm-exam-game:draft:",
-  history: "llm-exam-game:history",
   legacyModel: "llm-exam-game:model",
   legacyApiKey: "llm-exam-game:apiKey"
 };
@@ -43,17 +89,16 @@ let state = {
   selectedQuestionId: null,
   provider: "openai",
   health: null,
-  timer: { running: false, startedAtMs: null, elapsedMs: 0, tick: null }
+  account: null, // { user, settings, drafts } when the server has accounts and someone is signed in
+  attempts: [],
+  review: null,
+  resultAttemptId: null, // attempt behind the feedback on screen (for "practice this drill" and follow-ups)
+  notesUnlocked: new Set(), // "setId:questionId" that have been submitted this session
+  timer: { running: false, startedAtMs: null, elapsedMs: 0, tick: null },
+  exam: { data: null, deadlineMs: null, tick: null, poll: null, saveTimer: null },
+  defense: { personas: [], data: null, deadlineMs: null, tick: null, sending: false }
 };
 
-function safeJsonParse(text, fallback) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    return fallback;
-  }
-}
-
 function formatMs(ms) {
   const totalSec = Math.max(0, Math.floor(ms / 1000));
   const m = String(Math.floor(totalSec / 60)).padStart(2, "0");
@@ -102,9 +147,39 @@ const PROVIDERS = {
       { value: "claude-3-5-sonnet-20241022", label: "claude-3-5-sonnet-20241022（建議）" },
       { value: "claude-3-opus-20240229", label: "claude-3-opus-20240229" }
     ]
+  },
+  local: {
+    id: "local",
+    label: "本機／OpenAI 相容",
+    envVar: "LOCAL_BASE_URL（key 選填：LOCAL_API_KEY）",
+    keyPlaceholder: "（選填；多數本機伺服器不需要）",
+    defaultModel: "llama3.1",
+    models: [{ value: "llama3.1", label: "llama3.1" }]
+  },
+  offline: {
+    id: "offline",
+    label: "離線規則評分（免 key）",
+    envVar: "",
+    keyPlaceholder: "（不需要 key）",
+    defaultModel: "rubric-v1",
+    models: [{ value: "rubric-v1", label: "rubric-v1（筆記要點涵蓋率）" }]
   }
 };
 
+function applyLocalProviderConfig(health) {
+  const local = health?.local;
+  if (!local) return;
+  if (Array.isArray(local.models) && local.models.length) {
+    PROVIDERS.local.models = local.models.map((m) => ({ value: m, label: m }));
+  }
+  if (local.defaultModel) PROVIDERS.local.defaultModel = local.defaultModel;
+  if (local.baseUrl) els.baseUrlInput.placeholder = local.baseUrl;
+}
+
+function getUiBaseUrl() {
+  return (els.baseUrlInput?.value || "").trim();
+}
+
 function normalizeProvider(value) {
   const v = String(value || "").toLowerCase().trim();
   if (v === "anthropic") return "claude";
@@ -112,6 +187,29 @@ function normalizeProvider(value) {
   return "openai";
 }
 
+let settingsSaveTimer = null;
+
+// Page preferences live in localStorage, or in the signed-in user's profile on the server when it has
+// accounts, so they follow the user to another machine. API keys (and "remember key") stay in this browser.
+function getPref(key) {
+  if (state.account) return state.account.settings[key] ?? null;
+  return localStorage.getItem(key);
+}
+
+function setPref(key, value) {
+  if (!state.account) {
+    localStorage.setItem(key, value);
+    return;
+  }
+  state.account.settings[key] = String(value);
+  clearTimeout(settingsSaveTimer);
+  settingsSaveTimer = setTimeout(() => {
+    apiPut("/api/profile/settings", { settings: state.account.settings }).catch((e) => {
+      els.draftStatus.textContent = `設定同步失敗：${e.message}`;
+    });
+  }, 500);
+}
+
 function apiKeyStorageKey(provider) {
   return `llm-exam-game:apiKey:${provider}`;
 }
@@ -150,14 +248,14 @@ function getSelectedModel() {
 function getStoredModel(provider) {
   const key = modelStorageKey(provider);
   return (
-    localStorage.getItem(key) ||
+    getPref(key) ||
     (provider === "openai" ? localStorage.getItem(STORAGE_KEYS.legacyModel) : null) ||
     ""
   );
 }
 
 function setStoredModel(provider, model) {
-  localStorage.setItem(modelStorageKey(provider), String(model || "").trim());
+  setPref(modelStorageKey(provider), String(model || "").trim());
 }
 
 function getStoredApiKey(provider) {
@@ -185,6 +283,9 @@ function updateProviderUi() {
     els.apiKeyInput.value = "";
   }
 
+  els.baseUrlField.classList.toggle("hidden", provider !== "local");
+  els.baseUrlInput.value = getPref(STORAGE_KEYS.localBaseUrl) || "";
+
   renderModelOptions(provider);
   const storedModel = getStoredModel(provider) || cfg.defaultModel;
   setModelValue(storedModel);
@@ -201,6 +302,13 @@ function getUiApiKey() {
   return (els.apiKeyInput?.value || "").trim();
 }
 
+function hasUsableKey(provider) {
+  if (provider === "offline") return true;
+  if (provider === "local") return Boolean(getUiBaseUrl() || state.health?.env?.local);
+  const envHasKey = Boolean(state.health?.env?.[provider] ?? state.health?.hasEnvApiKey ?? state.health?.hasApiKey);
+  return Boolean(getUiApiKey() || envHasKey);
+}
+
 function updateStatus() {
   const health = state.health;
   const uiKey = getUiApiKey();
@@ -215,6 +323,24 @@ function updateStatus() {
   const envHasKey = Boolean(health?.env?.[provider] ?? health.hasEnvApiKey ?? health.hasApiKey);
 
   const lines = [`伺服器：OK（${health.version}）`, `供應商：${cfg.label}`];
+  if (provider === "offline") {
+    lines.push("不呼叫任何 LLM：依筆記的核心概念／答題骨架、tags 與中英對照詞比對涵蓋率。");
+    setStatus(lines, "ok");
+    return;
+  }
+  if (provider === "local") {
+    const baseUrl = getUiBaseUrl();
+    const ready = hasUsableKey(provider);
+    lines.push(
+      baseUrl
+        ? `Base URL：${baseUrl}（瀏覽器）`
+        : ready
+          ? `Base URL：${health.local?.baseUrl}（伺服器環境變數）`
+          : `Base URL：未設定（需在此頁輸入或用環境變數 LOCAL_BASE_URL）`
+    );
+    setStatus(lines, ready ? "ok" : "warn");
+    return;
+  }
   const keyLine = uiKey
     ? `${cfg.label} API key：已輸入（瀏覽器）`
     : envHasKey
@@ -226,8 +352,35 @@ function updateStatus() {
   setStatus(lines, tone);
 }
 
+// Per-launch token the server writes into this page; every /api request must send it back.
+const SESSION_TOKEN = document.querySelector('meta[name="session-token"]')?.content || "";
+
 async function apiGet(path) {
-  const res = await fetch(path, { method: "GET" });
+  const res = await fetch(path, { method: "GET", headers: { "X-Session-Token": SESSION_TOKEN } });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = json?.error || `HTTP ${res.status}`;
+    throw new Error(msg);
+  }
+  return json;
+}
+
+async function apiDelete(path) {
+  const res = await fetch(path, { method: "DELETE", headers: { "X-Session-Token": SESSION_TOKEN } });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = json?.error || `HTTP ${res.status}`;
+    throw new Error(msg);
+  }
+  return json;
+}
+
+async function apiPut(path, body) {
+  const res = await fetch(path, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", "X-Session-Token": SESSION_TOKEN },
+    body: JSON.stringify(body)
+  });
   const json = await res.json().catch(() => ({}));
   if (!res.ok) {
     const msg = json?.error || `HTTP ${res.status}`;
@@ -239,7 +392,7 @@ async function apiGet(path) {
 async function apiPost(path, body) {
   const res = await fetch(path, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", "X-Session-Token": SESSION_TOKEN },
     body: JSON.stringify(body)
   });
   const json = await res.json().catch(() => ({}));
@@ -250,59 +403,166 @@ async function apiPost(path, body) {
   return json;
 }
 
+async function apiStream(path, body, onEvent) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Session-Token": SESSION_TOKEN },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const json = await res.json().catch(() => ({}));
+    const msg = json?.error || `HTTP ${res.status}`;
+    throw new Error(msg);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+    }
+  }
+}
+
+// Reads the (possibly unterminated) "rationale" string out of a partial JSON reply.
+function extractPartialRationale(text) {
+  const m = text.match(/"rationale"\s*:\s*"/);
+  if (!m) return "";
+  const escapes = { n: "\n", t: "\t", r: "", b: "", f: "" };
+  let out = "";
+  for (let i = m.index + m[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    out += next in escapes ? escapes[next] : next;
+    i++;
+  }
+  return out;
+}
+
 function getSelectedQuestion() {
   return state.questions.find((q) => q.id === state.selectedQuestionId) || null;
 }
 
 function loadLocalDefaults() {
-  const savedProvider = normalizeProvider(localStorage.getItem(STORAGE_KEYS.provider));
+  const savedProvider = normalizeProvider(getPref(STORAGE_KEYS.provider));
   state.provider = savedProvider;
   const rememberKey = localStorage.getItem(STORAGE_KEYS.rememberKey);
   els.rememberKey.checked = rememberKey == null ? false : rememberKey === "1";
-  const savedSetId = localStorage.getItem(STORAGE_KEYS.setId);
-  const savedQuestionId = localStorage.getItem(STORAGE_KEYS.questionId);
+  els.ensembleSelect.value = getPref(STORAGE_KEYS.ensembleSamples) || "1";
+  if (!els.ensembleSelect.value) els.ensembleSelect.value = "1";
+  const savedSetId = getPref(STORAGE_KEYS.setId);
+  const savedQuestionId = getPref(STORAGE_KEYS.questionId);
   return { savedSetId, savedQuestionId, savedProvider };
 }
 
 function saveLocalDefaults() {
-  localStorage.setItem(STORAGE_KEYS.provider, state.provider || "openai");
-  localStorage.setItem(STORAGE_KEYS.setId, state.selectedSetId || "");
-  localStorage.setItem(STORAGE_KEYS.questionId, state.selectedQuestionId || "");
+  setPref(STORAGE_KEYS.provider, state.provider || "openai");
+  setPref(STORAGE_KEYS.setId, state.selectedSetId || "");
+  setPref(STORAGE_KEYS.questionId, state.selectedQuestionId || "");
 }
 
 function getDraftKey(setId, questionId) {
   return `${STORAGE_KEYS.draftPrefix}${setId}:${questionId}`;
 }
 
+// Signed-in users keep drafts in their server profile, keyed "<setId>:<questionId>".
 function loadDraft() {
   if (!state.selectedSetId || !state.selectedQuestionId) return;
-  const key = getDraftKey(state.selectedSetId, state.selectedQuestionId);
-  const draft = localStorage.getItem(key);
+  const draft = state.account
+    ? state.account.drafts[`${state.selectedSetId}:${state.selectedQuestionId}`]?.text
+    : localStorage.getItem(getDraftKey(state.selectedSetId, state.selectedQuestionId));
   els.answerInput.value = draft || "";
   els.draftStatus.textContent = draft ? "已載入草稿。" : "";
 }
 
-function saveDraft() {
+async function saveDraft() {
   const q = getSelectedQuestion();
   if (!q || !state.selectedSetId) return;
-  const key = getDraftKey(state.selectedSetId, q.id);
-  localStorage.setItem(key, els.answerInput.value);
-  els.draftStatus.textContent = `已存草稿（${new Date().toLocaleString()}）`;
+  const text = els.answerInput.value;
+  if (!state.account) {
+    localStorage.setItem(getDraftKey(state.selectedSetId, q.id), text);
+    els.draftStatus.textContent = `已存草稿（${new Date().toLocaleString()}）`;
+    return;
+  }
+  const key = `${state.selectedSetId}:${q.id}`;
+  if (text.trim()) state.account.drafts[key] = { text, savedAt: Date.now() };
+  else delete state.account.drafts[key];
+  try {
+    const { savedAt } = await apiPut("/api/drafts", { setId: state.selectedSetId, questionId: q.id, text });
+    els.draftStatus.textContent = `已存草稿到帳號（${new Date(savedAt).toLocaleString()}）`;
+  } catch (e) {
+    els.draftStatus.textContent = `草稿儲存失敗：${e.message}`;
+  }
 }
 
-function loadHistory() {
-  return safeJsonParse(localStorage.getItem(STORAGE_KEYS.history) || "[]", []);
+async function refreshHistory() {
+  const params = new URLSearchParams();
+  if (els.historyThisQuestion.checked) {
+    params.set("set", state.selectedSetId || "");
+    params.set("question", state.selectedQuestionId || "");
+  }
+  try {
+    const data = await apiGet(`/api/attempts?${params}`);
+    state.attempts = data.attempts || [];
+  } catch (e) {
+    els.history.innerHTML = `<div class="subtle">讀取紀錄失敗：${escapeHtml(e.message)}</div>`;
+    return;
+  }
+  renderHistory();
 }
 
-function pushHistory(item) {
-  const history = loadHistory();
-  history.unshift(item);
-  localStorage.setItem(STORAGE_KEYS.history, JSON.stringify(history.slice(0, 50)));
-  renderHistory();
+async function openAttempt(id) {
+  const { attempt } = await apiGet(`/api/attempts/${encodeURIComponent(id)}`);
+  unlockNotes(attempt.setId, [attempt.questionId]);
+  const pacing = attempt.budgetSeconds == null ? null : attempt;
+  renderResult(attempt.result, {
+    attemptId: attempt.id,
+    followups: attempt.followups,
+    pacing,
+    usage: attempt.usage,
+    cachedAt: attempt.cached ? attempt.cachedAt : null
+  });
+  els.result.textContent += `\n\n作答內容（${new Date(attempt.at).toLocaleString()}）：\n${attempt.answer}`;
+  if (attempt.defense?.turns?.length) {
+    els.result.textContent += `\n\n口試逐字稿：\n${attempt.defense.turns.map(defenseTurnText).join("\n\n")}`;
+  }
+}
+
+async function deleteAttempt(id) {
+  if (!window.confirm("確定刪除這筆紀錄？")) return;
+  await apiDelete(`/api/attempts/${encodeURIComponent(id)}`);
+  await refreshHistory();
+  await refreshReview();
 }
 
 function renderHistory() {
-  const history = loadHistory();
+  const history = state.attempts;
   if (!history.length) {
     els.history.innerHTML = `<div class="subtle">尚無紀錄。</div>`;
     return;
@@ -314,17 +574,103 @@ function renderHistory() {
         <div class="history-item">
           <div>
             <span class="pill ${pillClass}">${h.score}/${h.maxScore}</span>
-            <span class="pill">${h.setTitle}</span>
-            <span class="pill">${h.questionTitle}</span>
+            <span class="pill">${escapeHtml(h.setTitle)}</span>
+            <span class="pill">${escapeHtml(h.questionTitle)}</span>
+            ${h.mode === "defense" ? `<span class="pill">口試</span>` : ""}
+            ${h.cached ? `<span class="pill">快取</span>` : ""}
+            ${h.overrunSeconds ? `<span class="pill bad">超時 ${formatMs(h.overrunSeconds * 1000)}</span>` : ""}
+          </div>
+          <div class="subtle">${new Date(h.at).toLocaleString()}｜供應商：${escapeHtml(PROVIDERS[h.provider]?.label || h.provider || "?")}｜模型：${escapeHtml(h.model)}${h.usage?.cost ? `｜${formatCost(h.usage.cost)}` : ""}</div>
+          <div class="subtle">${escapeHtml(h.summary || "")}</div>
+          <div class="inline">
+            <button class="secondary" type="button" data-action="open" data-id="${escapeHtml(h.id)}">開啟回饋</button>
+            <button class="secondary" type="button" data-action="delete" data-id="${escapeHtml(h.id)}">刪除</button>
           </div>
-          <div class="subtle">${new Date(h.at).toLocaleString()}｜供應商：${PROVIDERS[h.provider]?.label || h.provider || "?"}｜模型：${h.model}</div>
-          <div class="subtle">${h.summary || ""}</div>
         </div>
       `;
     })
     .join("");
 }
 
+async function refreshReview() {
+  const params = new URLSearchParams();
+  if (els.reviewThisSet.checked) params.set("set", state.selectedSetId || "");
+  try {
+    state.review = await apiGet(`/api/review?${params}`);
+  } catch (e) {
+    els.reviewList.innerHTML = `<div class="subtle">讀取複習清單失敗：${escapeHtml(e.message)}</div>`;
+    return;
+  }
+  renderReview();
+}
+
+const REVIEW_STATUS = { overdue: ["逾期", "bad"], due: ["今天到期", ""], new: ["尚未練習", ""] };
+
+function renderReview() {
+  const { items = [], counts = {}, nextDue } = state.review || {};
+  const next = nextDue ? `；下一題 ${new Date(nextDue).toLocaleDateString()} 到期` : "";
+  els.reviewSummary.textContent = `逾期 ${counts.overdue || 0}｜今天到期 ${counts.due || 0}｜未練習 ${counts.new || 0}｜之後才到期 ${counts.scheduled || 0}${next}`;
+  if (!items.length) {
+    els.reviewList.innerHTML = `<div class="subtle">今天沒有要複習的題目。</div>`;
+    return;
+  }
+  let lastGroup = null;
+  els.reviewList.innerHTML = items
+    .map((item) => {
+      const [label, tone] = REVIEW_STATUS[item.status] || [item.status, ""];
+      const header = item.group && item.group !== lastGroup ? `<div class="subtle">相關概念：${escapeHtml(item.group)}</div>` : "";
+      lastGroup = item.group;
+      const last = item.lastAt
+        ? `上次 ${Math.round(item.lastRatio * 100)}%（${new Date(item.lastAt).toLocaleDateString()}）｜間隔 ${item.intervalDays} 天`
+        : "第一次練習";
+      return `${header}
+        <div class="history-item">
+          <div>
+            <span class="pill ${tone}">${label}${item.overdueDays ? ` ${item.overdueDays} 天` : ""}</span>
+            <span class="pill">${escapeHtml(item.setTitle)}</span>
+            <span class="pill">${escapeHtml(item.title)}</span>
+          </div>
+          <div class="subtle">${last}${item.tags.length ? `｜${escapeHtml(item.tags.join("、"))}` : ""}</div>
+          <div class="inline">
+            <button class="secondary" type="button" data-set="${escapeHtml(item.setId)}" data-question="${escapeHtml(item.questionId)}">練習這題</button>
+          </div>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// Switches the practice view to a question, loading its set first when needed (review queue, drills).
+async function selectQuestion(setId, questionId) {
+  if (isExamActive()) {
+    els.draftStatus.textContent = "整卷模擬考進行中，交卷後再切換題目。";
+    return;
+  }
+  if (setId !== state.selectedSetId || !state.questions.some((q) => q.id === questionId)) {
+    state.selectedSetId = setId;
+    els.setSelect.value = setId;
+    setPref(STORAGE_KEYS.questionId, questionId);
+    await refreshQuestions();
+  }
+  state.selectedQuestionId = questionId;
+  els.questionSelect.value = questionId;
+  timerReset();
+  renderQuestion();
+  loadDraft();
+  saveLocalDefaults();
+  if (els.historyThisQuestion.checked) refreshHistory();
+}
+
+async function refreshSets(preferSetId) {
+  const sets = await apiGet("/api/sets");
+  state.sets = sets.sets || [];
+  els.setSelect.innerHTML = state.sets
+    .map((s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.title)}</option>`)
+    .join("");
+  state.selectedSetId = state.sets.some((s) => s.id === preferSetId) ? preferSetId : state.sets[0]?.id;
+  els.setSelect.value = state.selectedSetId || "";
+}
+
 function renderQuestion() {
   const q = getSelectedQuestion();
   if (!q) {
@@ -332,18 +678,122 @@ function renderQuestion() {
     els.questionText.textContent = "";
     return;
   }
-  els.questionMeta.textContent = `${q.section}｜${q.points} 分｜${q.title}`;
+  const timebox = q.timeboxMinutes ? `｜建議 ${q.timeboxMinutes} 分鐘` : "";
+  const parent = q.parent ? `｜延伸自 ${q.parent.setId} / ${q.parent.questionId}` : "";
+  els.questionMeta.textContent = `${q.section}｜${q.points} 分｜${q.title}${timebox}${parent}`;
   els.questionText.textContent = q.text;
+  els.notesPanel.classList.add("hidden");
+  updateNotesButton();
+  renderTimer();
+}
+
+function notesKey(setId, questionId) {
+  return `${setId}:${questionId}`;
+}
+
+function unlockNotes(setId, questionIds) {
+  for (const id of questionIds) state.notesUnlocked.add(notesKey(setId, id));
+  updateNotesButton();
+}
+
+// The reference skeleton stays locked until the learner has submitted this question once.
+function updateNotesButton() {
+  const q = getSelectedQuestion();
+  const hasNotes = Boolean(q?.noteHeading);
+  const unlocked = hasNotes && state.notesUnlocked.has(notesKey(state.selectedSetId, q.id));
+  els.notesBtn.classList.toggle("hidden", !hasNotes);
+  els.notesBtn.disabled = !unlocked || isExamActive();
+  els.notesBtn.textContent = unlocked ? "顯示參考答題骨架" : "參考答題骨架（送出評分後解鎖）";
+}
+
+function inlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/`([^`]+)`/g, "<code>$1</code>");
+}
+
+function renderNoteItems(list) {
+  const tag = list.ordered ? "ol" : "ul";
+  const items = list.items
+    .map((item) => {
+      const children = item.children.length ? renderNoteItems({ ordered: false, items: item.children }) : "";
+      return `<li>${inlineMarkdown(item.text)}${children}</li>`;
+    })
+    .join("");
+  return `<${tag}>${items}</${tag}>`;
+}
+
+function renderNoteNode(node) {
+  const blocks = node.blocks
+    .map((block) => {
+      const label = block.label ? `<div class="notes-label">${inlineMarkdown(block.label)}</div>` : "";
+      const text = block.text ? `<p>${inlineMarkdown(block.text)}</p>` : "";
+      const content = block.content
+        .map((c) => (c.type === "list" ? renderNoteItems(c) : `<p>${inlineMarkdown(c.text)}</p>`))
+        .join("");
+      return `<div class="notes-block ${block.kind}">${label}${text}${content}</div>`;
+    })
+    .join("");
+  const parts = node.children
+    .map((child) => `<div class="notes-part"><h3>${escapeHtml([child.label, child.title].filter(Boolean).join(" "))}</h3>${renderNoteNode(child)}</div>`)
+    .join("");
+  return blocks + parts;
+}
+
+async function showNotes() {
+  const q = getSelectedQuestion();
+  if (!q) return;
+  const params = new URLSearchParams({ set: state.selectedSetId, question: q.id });
+  try {
+    const { notes, source } = await apiGet(`/api/notes?${params}`);
+    els.notesPanel.innerHTML = `<div class="subtle">出處：${escapeHtml(source || "")}</div>${renderNoteNode(notes)}`;
+  } catch (e) {
+    els.notesPanel.innerHTML = `<div class="subtle">讀取筆記失敗：${escapeHtml(e.message)}</div>`;
+  }
+  els.notesPanel.classList.remove("hidden");
+}
+
+// pacing.mjs (budgets and countdown levels shared with the server and the static site); loaded in init().
+let pacingEngine = null;
+
+const PACING_HINTS = {
+  ok: "",
+  half: "已用掉一半時間。",
+  warn: "剩不到 20%：開始收尾、補上結論。",
+  over: "已超時：先把結論寫完，交卷後看回饋如何取捨。"
+};
+
+function timerElapsedMs() {
+  return state.timer.elapsedMs + (state.timer.running ? Date.now() - state.timer.startedAtMs : 0);
+}
+
+// Counts down the selected question's budget; past zero it shows the overrun as +mm:ss.
+function renderTimer() {
+  const q = getSelectedQuestion();
+  const elapsedMs = timerElapsedMs();
+  if (!pacingEngine || !q) {
+    els.timerValue.textContent = formatMs(elapsedMs);
+    els.timerHint.textContent = "";
+    return;
+  }
+  const set = state.sets.find((s) => s.id === state.selectedSetId);
+  const pacing = pacingEngine.pacingFor(q, set, elapsedMs / 1000);
+  els.timerValue.textContent = pacing.overrunSeconds
+    ? `+${formatMs(pacing.overrunSeconds * 1000)}`
+    : formatMs(pacing.budgetSeconds * 1000 - elapsedMs);
+  els.timerValue.dataset.level = pacing.level;
+  const budget =
+    pacing.source === "timebox"
+      ? `本題建議 ${formatMs(pacing.budgetSeconds * 1000)}（延伸題指定）`
+      : `本題建議 ${formatMs(pacing.budgetSeconds * 1000)}（${q.points} 分 × ${pacing.minutesPerPoint} 分鐘）`;
+  els.timerHint.textContent = [budget, PACING_HINTS[pacing.level]].filter(Boolean).join("｜");
 }
 
 function timerStart() {
   if (state.timer.running) return;
   state.timer.running = true;
   state.timer.startedAtMs = Date.now();
-  state.timer.tick = window.setInterval(() => {
-    const elapsed = state.timer.elapsedMs + (Date.now() - state.timer.startedAtMs);
-    els.timerValue.textContent = formatMs(elapsed);
-  }, 250);
+  state.timer.tick = window.setInterval(renderTimer, 250);
 }
 
 function timerPause() {
@@ -353,7 +803,7 @@ function timerPause() {
   state.timer.startedAtMs = null;
   if (state.timer.tick) window.clearInterval(state.timer.tick);
   state.timer.tick = null;
-  els.timerValue.textContent = formatMs(state.timer.elapsedMs);
+  renderTimer();
 }
 
 function timerReset() {
@@ -362,17 +812,207 @@ function timerReset() {
   state.timer.elapsedMs = 0;
   if (state.timer.tick) window.clearInterval(state.timer.tick);
   state.timer.tick = null;
-  els.timerValue.textContent = "00:00";
+  renderTimer();
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function renderCriteria(criteria, total) {
+  if (!Array.isArray(criteria) || !criteria.length) {
+    els.criteriaTable.innerHTML = "";
+    els.criteriaTable.classList.add("hidden");
+    return;
+  }
+  const rows = criteria
+    .map(
+      (c) =>
+        `<tr><td>${escapeHtml(c.description || c.id)}</td><td class="num">${c.score}/${c.maxScore}</td><td>${escapeHtml(c.comment)}</td></tr>`
+    )
+    .join("");
+  els.criteriaTable.innerHTML =
+    `<thead><tr><th>評分細項</th><th class="num">得分</th><th>說明</th></tr></thead>` +
+    `<tbody>${rows}</tbody>` +
+    `<tfoot><tr><td>總分</td><td class="num">${total.score}/${total.maxScore}</td><td></td></tr></tfoot>`;
+  els.criteriaTable.classList.remove("hidden");
+}
+
+// Saves the feedback's nextDrill as a question in the drills set and switches to it.
+async function practiceDrill() {
+  if (!state.resultAttemptId) return;
+  if (isExamActive()) {
+    els.draftStatus.textContent = "整卷模擬考進行中，交卷後再練習延伸題。";
+    return;
+  }
+  els.drillBtn.disabled = true;
+  try {
+    const { set, question, created } = await apiPost("/api/drills", { attemptId: state.resultAttemptId });
+    if (!state.sets.some((s) => s.id === set.id)) await refreshSets(state.selectedSetId);
+    await selectQuestion(set.id, question.id);
+    refreshReview();
+    els.draftStatus.textContent = created ? `已存成「${set.title}」的 ${question.id}。` : `這題延伸題先前已存過（${question.id}）。`;
+  } catch (e) {
+    els.draftStatus.textContent = `存成練習題失敗：${e.message}`;
+  } finally {
+    els.drillBtn.disabled = false;
+  }
+}
+
+function renderFollowups(turns) {
+  els.followupLog.innerHTML = (turns || [])
+    .map((t) => {
+      const lines = [escapeHtml(t.text)];
+      if (t.refsToReview?.length) lines.push(`\n書單對照（建議回頭看）：\n- ${t.refsToReview.map(escapeHtml).join("\n- ")}`);
+      if (t.unverifiedRefs?.length) lines.push(`\n⚠ 已移除不在官方書單的參考：\n- ${t.unverifiedRefs.map(escapeHtml).join("\n- ")}`);
+      const who = t.role === "assistant" ? `老師（${escapeHtml(t.provider)}${t.model ? `：${escapeHtml(t.model)}` : ""}）` : "我";
+      return `
+        <div class="history-item followup-turn ${t.role === "assistant" ? "assistant" : "user"}">
+          <div class="subtle">${who}｜${new Date(t.at).toLocaleTimeString()}</div>
+          <div class="result">${lines.join("\n")}</div>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// pricing.mjs (cost formatting shared with the server and the static site); loaded in init().
+let pricing = null;
+let usageRefreshTimer = null;
+
+function formatCost(cost) {
+  return pricing ? pricing.formatCost(cost) : cost == null ? "—" : `$${cost.toFixed(4)}`;
+}
+
+// "用量：輸入 3,200／輸出 850 tokens，約 $0.0010" from { inputTokens, outputTokens, cost }.
+function usageText(usage) {
+  const tokens = `輸入 ${usage.inputTokens.toLocaleString()}／輸出 ${usage.outputTokens.toLocaleString()} tokens`;
+  return `用量：${tokens}，${usage.cost == null ? "模型不在價目表，無法估價" : `約 ${formatCost(usage.cost)}`}`;
+}
+
+// Spending so far (and the caps from .env) plus, when there is an answer to grade, what grading it would cost.
+function renderUsage({ totals, caps, estimate }) {
+  const period = (label, spent, cap) => `${label} ${formatCost(spent.cost)}${cap ? `／上限 ${formatCost(cap)}` : ""}`;
+  const parts = [`花費：${period("今日", totals.day, caps.day)}｜${period("本月", totals.month, caps.month)}`];
+  if (estimate?.cached) {
+    parts.push(`這次送出：同一份答案 ${new Date(estimate.cachedAt).toLocaleString()} 評過，直接用快取結果（$0）`);
+  } else if (estimate) {
+    const calls = estimate.calls > 1 ? `（${estimate.calls} 次評分）` : "";
+    const cost = estimate.cost == null ? "無法估價" : `≈ ${formatCost(estimate.cost)}`;
+    parts.push(`這次送出 ${cost}${calls}，約 ${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens`);
+  }
+  const over = ["day", "month"].some((p) => caps[p] && totals[p].cost + (estimate?.cost || 0) > caps[p]);
+  els.usageLine.textContent = parts.join("｜") + (over ? "｜⚠ 會超過花費上限，伺服器將拒絕評分" : "");
+  els.usageLine.dataset.level = over ? "over" : "";
+}
+
+// Body of /api/grade/stream, also sent to /api/grade/estimate so the estimate uses the same prompt and graders.
+function gradeRequestBody(q, answer) {
+  const provider = normalizeProvider(state.provider);
+  const samples = Number(els.ensembleSelect.value) || 1;
+  return {
+    setId: state.selectedSetId,
+    questionId: q.id,
+    provider,
+    model: getSelectedModel(),
+    apiKey: getUiApiKey(),
+    baseUrl: provider === "local" ? getUiBaseUrl() : undefined,
+    answer,
+    elapsedSeconds: Math.floor(timerElapsedMs() / 1000),
+    ensemble: samples > 1 ? { samples } : undefined,
+    force: els.forceRegrade.checked || undefined
+  };
+}
+
+async function refreshUsage() {
+  const q = getSelectedQuestion();
+  const answer = els.answerInput.value.trim();
+  try {
+    const data =
+      q && answer && !isExamActive()
+        ? await apiPost("/api/grade/estimate", gradeRequestBody(q, answer))
+        : await apiGet("/api/usage");
+    renderUsage(data);
+  } catch {
+    els.usageLine.textContent = "";
+  }
+}
+
+// The estimate builds the real prompt (notes, retrieval) on the server, so typing only refreshes it after a pause.
+function scheduleUsageRefresh() {
+  if (usageRefreshTimer) window.clearTimeout(usageRefreshTimer);
+  usageRefreshTimer = window.setTimeout(refreshUsage, 800);
+}
+
+// Asks the selected provider about the feedback on screen; the server keeps the conversation with the attempt.
+async function sendFollowup() {
+  const message = els.followupInput.value.trim();
+  if (!state.resultAttemptId || !message) return;
+  const provider = normalizeProvider(state.provider);
+  const model = getSelectedModel();
+  if (provider === "offline" || !model) {
+    els.draftStatus.textContent = "追問需要 LLM 供應商：請在左側選擇供應商與模型。";
+    return;
+  }
+  const attemptId = state.resultAttemptId;
+  els.followupSendBtn.disabled = true;
+  els.followupSendBtn.textContent = "回覆中...";
+  try {
+    const { followups } = await apiPost("/api/followup", {
+      attemptId,
+      message,
+      provider,
+      model,
+      apiKey: getUiApiKey(),
+      baseUrl: provider === "local" ? getUiBaseUrl() : undefined
+    });
+    refreshUsage();
+    if (state.resultAttemptId !== attemptId) return;
+    els.followupInput.value = "";
+    renderFollowups(followups);
+  } catch (e) {
+    els.draftStatus.textContent = `追問失敗：${e.message}`;
+  } finally {
+    els.followupSendBtn.disabled = false;
+    els.followupSendBtn.textContent = "送出追問";
+  }
 }
 
-function renderResult(obj) {
+// "實際 45:00／建議 39:36（超時 05:24）" from { budgetSeconds, elapsedSeconds, overrunSeconds }.
+function pacingLine(pacing) {
+  const budget = formatMs(pacing.budgetSeconds * 1000);
+  if (!pacing.elapsedSeconds) return `時間：建議 ${budget}（未計時）`;
+  const actual = formatMs(pacing.elapsedSeconds * 1000);
+  return `時間：實際 ${actual}／建議 ${budget}${pacing.overrunSeconds ? `（超時 ${formatMs(pacing.overrunSeconds * 1000)}）` : "（在時限內）"}`;
+}
+
+function renderResult(obj, { attemptId, followups, pacing, usage, cachedAt } = {}) {
+  renderCriteria(obj?.criteria, obj);
+  state.resultAttemptId = attemptId || null;
+  els.drillBtn.classList.toggle("hidden", !(attemptId && obj?.nextDrill?.prompt));
+  els.followupPanel.classList.toggle("hidden", !(attemptId && obj));
+  renderFollowups(followups);
   if (!obj) {
     els.result.textContent = "尚未評分。";
     els.result.classList.add("subtle");
     return;
   }
   const lines = [];
-  lines.push(`分數：${obj.score}/${obj.maxScore}`);
+  if (!obj.criteria?.length) lines.push(`分數：${obj.score}/${obj.maxScore}`);
+  if (pacing) lines.push(pacingLine(pacing));
+  if (cachedAt) {
+    lines.push(`快取結果：同一份答案 ${new Date(cachedAt).toLocaleString()} 評過，這次沒有呼叫模型（要重評請勾選「強制重新評分」）`);
+  }
+  if (usage) lines.push(usageText(usage));
+  if (typeof obj.reportedScore === "number") {
+    lines.push(`（模型原報總分 ${obj.reportedScore}，已依細項加總校正）`);
+  }
+  if (obj.ensemble) {
+    const { method, members, spread, disagreement } = obj.ensemble;
+    const scores = members.map((m) => m.score).join("、");
+    lines.push(`${members.length} 次評分取${method === "mean" ? "平均" : "中位數"}：${scores}（差距 ${spread.range}）`);
+    if (disagreement) lines.push("⚠ 各次評分差距偏大，這個分數不太穩定；建議對照漏掉/不足逐項自查。");
+  }
   if (obj.rationale) lines.push(`\n總評：\n${obj.rationale}`);
   if (Array.isArray(obj.strengths) && obj.strengths.length) {
     lines.push(`\n亮點：\n- ${obj.strengths.join("\n- ")}`);
@@ -389,6 +1029,16 @@ function renderResult(obj) {
   if (obj.booklistAlignment?.refsToReview?.length) {
     lines.push(`\n書單對照（建議回頭看）：\n- ${obj.booklistAlignment.refsToReview.join("\n- ")}`);
   }
+  if (obj.booklistAlignment?.unverifiedRefs?.length) {
+    lines.push(`\n⚠ 已移除不在官方書單的參考：\n- ${obj.booklistAlignment.unverifiedRefs.join("\n- ")}`);
+  }
+  if (obj.booklistAlignment?.unverifiedTopics?.length) {
+    lines.push(`\n⚠ 不屬於本題書單主題（已移除）：${obj.booklistAlignment.unverifiedTopics.join("、")}`);
+  }
+  if (obj.citations?.length) {
+    const refs = obj.citations.map((c) => `[${c.ref}] ${c.source}${c.heading ? `｜${c.heading}` : ""}`);
+    lines.push(`\n參考段落（本機檢索）：\n- ${refs.join("\n- ")}`);
+  }
   if (obj.nextDrill?.prompt) {
     lines.push(`\n下一題練習（建議）：\n${obj.nextDrill.prompt}`);
   }
@@ -396,6 +1046,440 @@ function renderResult(obj) {
   els.result.classList.remove("subtle");
 }
 
+function isExamActive() {
+  return state.exam.data?.status === "in-progress";
+}
+
+function renderExamPaper() {
+  const exam = state.exam.data;
+  if (!exam) {
+    els.examPaper.innerHTML = "";
+    return;
+  }
+  els.examPaper.innerHTML = exam.rules
+    .map((rule) => {
+      const section = escapeHtml(rule.section);
+      const header = rule.pick === "all" ? `${section}（全答）` : `${section}（選 ${rule.pick} 題）`;
+      const rows = rule.questionIds
+        .map((id) => {
+          const q = exam.questions.find((x) => x.id === id);
+          const graded = exam.results[id];
+          const mark = graded ? `${graded.score}/${graded.maxScore}` : exam.answers[id]?.text ? "已作答" : "未作答";
+          const active = id === state.selectedQuestionId ? " active" : "";
+          return `<div class="exam-row${active}"><span>${escapeHtml(q?.points ?? "?")} 分｜${escapeHtml(q?.title || id)}</span><span class="pill">${mark}</span></div>`;
+        })
+        .join("");
+      return `<div class="label">${header}</div>${rows}`;
+    })
+    .join("");
+}
+
+function renderExamSummary() {
+  const exam = state.exam.data;
+  if (!exam || exam.status !== "graded") return;
+  const lines = [`整卷總分：${exam.score100}/100（原始 ${exam.totalScore}/${exam.maxScore}）`];
+  if (exam.autoSubmitted) lines.push("（時間到，已自動交卷）");
+  if (exam.incomplete) lines.push("（部分題目評分失敗，該題以 0 分計）");
+  for (const rule of exam.rules) {
+    lines.push(`\n${rule.section}：`);
+    for (const id of rule.questionIds) {
+      const q = exam.questions.find((x) => x.id === id);
+      const r = exam.results[id];
+      const mark = !r ? "未作答" : r.error ? `評分失敗（${r.error}）` : `${r.score}/${r.maxScore}`;
+      lines.push(`- ${q?.title || id}：${mark}`);
+    }
+  }
+  lines.push("\n切換題目可查看該題的詳細回饋。");
+  renderCriteria(null);
+  els.result.textContent = lines.join("\n");
+  els.result.classList.remove("subtle");
+}
+
+function updateExamControls() {
+  const active = isExamActive();
+  els.examStartBtn.disabled = active;
+  els.examSubmitBtn.disabled = !active;
+  els.setSelect.disabled = active;
+  els.submitBtn.disabled = active;
+  updateNotesButton();
+}
+
+function applyExam(exam) {
+  state.exam.data = exam;
+  if (exam.status === "in-progress") state.exam.deadlineMs = Date.now() + exam.remainingSeconds * 1000;
+  if (exam.status === "graded") unlockNotes(exam.setId, Object.keys(exam.results || {}));
+  renderExamPaper();
+  updateExamControls();
+}
+
+function stopExamTimers() {
+  if (state.exam.tick) window.clearInterval(state.exam.tick);
+  if (state.exam.poll) window.clearInterval(state.exam.poll);
+  if (state.exam.saveTimer) window.clearTimeout(state.exam.saveTimer);
+  state.exam.tick = null;
+  state.exam.poll = null;
+  state.exam.saveTimer = null;
+}
+
+function startExamPolling() {
+  if (state.exam.poll) return;
+  state.exam.poll = window.setInterval(async () => {
+    try {
+      const res = await apiGet(`/api/exams/${encodeURIComponent(state.exam.data.id)}`);
+      applyExam(res.exam);
+      if (res.exam.status === "graded") {
+        stopExamTimers();
+        els.examStatus.textContent = "已自動交卷並完成評分。";
+        renderExamSummary();
+        refreshHistory();
+        refreshReview();
+      }
+    } catch (e) {
+      els.examStatus.textContent = `查詢考卷狀態失敗：${e.message}`;
+    }
+  }, 3000);
+}
+
+function updateExamTimer() {
+  const remaining = state.exam.deadlineMs - Date.now();
+  els.examTimerValue.textContent = formatMs(remaining);
+  if (remaining > 0) return;
+  if (state.exam.tick) window.clearInterval(state.exam.tick);
+  state.exam.tick = null;
+  // One last save so what was typed since the previous one is on the paper the server auto-submits.
+  if (state.exam.saveTimer) window.clearTimeout(state.exam.saveTimer);
+  state.exam.saveTimer = null;
+  persistExamAnswer();
+  els.examStatus.textContent = "時間到！伺服器自動交卷評分中...";
+  startExamPolling();
+}
+
+function startExamTick() {
+  if (state.exam.tick) window.clearInterval(state.exam.tick);
+  state.exam.tick = window.setInterval(updateExamTimer, 250);
+  updateExamTimer();
+}
+
+function loadExamAnswer() {
+  const text = state.exam.data?.answers?.[state.selectedQuestionId]?.text || "";
+  els.answerInput.value = text;
+  els.draftStatus.textContent = text ? "已載入考卷中的答案。" : "";
+}
+
+// The server still takes answers this long after the deadline (AUTO_SUBMIT_GRACE_MS in lib/exams.js), so the save at 0:00 lands.
+const EXAM_SAVE_GRACE_MS = 5000;
+
+async function persistExamAnswer() {
+  if (!isExamActive() || !state.selectedQuestionId) return true;
+  if (Date.now() > state.exam.deadlineMs + EXAM_SAVE_GRACE_MS) return false;
+  try {
+    const res = await apiPost(`/api/exams/${encodeURIComponent(state.exam.data.id)}/answer`, {
+      questionId: state.selectedQuestionId,
+      answer: els.answerInput.value
+    });
+    applyExam(res.exam);
+    return true;
+  } catch (e) {
+    els.examStatus.textContent = `存入考卷失敗：${e.message}`;
+    return false;
+  }
+}
+
+// Typing saves the open question to the paper after a short pause.
+function scheduleExamSave() {
+  if (!isExamActive()) return;
+  if (state.exam.saveTimer) window.clearTimeout(state.exam.saveTimer);
+  state.exam.saveTimer = window.setTimeout(() => {
+    state.exam.saveTimer = null;
+    persistExamAnswer();
+  }, 1500);
+}
+
+async function startExam() {
+  const provider = normalizeProvider(state.provider);
+  const cfg = PROVIDERS[provider] || PROVIDERS.openai;
+  if (!hasUsableKey(provider)) {
+    els.examStatus.textContent = `尚未設定 ${cfg.label} API key：交卷評分需要 key（或用環境變數 ${cfg.envVar}）。`;
+    return;
+  }
+  const model = getSelectedModel();
+  if (!model) {
+    els.examStatus.textContent = "請先選擇模型（或輸入自訂模型名稱）。";
+    return;
+  }
+  const set = state.sets.find((s) => s.id === state.selectedSetId);
+  const minutes = set?.examTimeMinutes || 180;
+  if (!window.confirm(`開始整卷模擬考？倒數 ${minutes} 分鐘，時間到會自動交卷。`)) return;
+
+  try {
+    const res = await apiPost("/api/exams", {
+      setId: state.selectedSetId,
+      provider,
+      model,
+      apiKey: getUiApiKey(),
+      baseUrl: provider === "local" ? getUiBaseUrl() : undefined
+    });
+    timerReset();
+    applyExam(res.exam);
+    startExamTick();
+    loadExamAnswer();
+    renderResult(null);
+    els.examStatus.textContent = "作答中：答案會自動存入考卷（停筆片刻、切換題目或按「存草稿」時）。";
+  } catch (e) {
+    els.examStatus.textContent = `無法開始：${e.message}`;
+  }
+}
+
+async function submitExam() {
+  if (!isExamActive()) return;
+  if (!(await persistExamAnswer())) return;
+  if (!window.confirm("確定交卷？交卷後會逐題評分。")) return;
+
+  els.examSubmitBtn.disabled = true;
+  els.examStatus.textContent = "交卷評分中...（逐題評分，可能需要數分鐘）";
+  try {
+    const res = await apiPost(`/api/exams/${encodeURIComponent(state.exam.data.id)}/submit`, {});
+    stopExamTimers();
+    applyExam(res.exam);
+    els.examStatus.textContent = "已交卷並完成評分。";
+    renderExamSummary();
+    refreshHistory();
+    refreshReview();
+  } catch (e) {
+    els.examStatus.textContent = `交卷失敗：${e.message}`;
+    updateExamControls();
+  }
+}
+
+async function resumeExam() {
+  const data = await apiGet("/api/exams");
+  const exam = (data.exams || []).find((x) => x.status === "in-progress" || x.status === "grading");
+  if (!exam) return;
+  if (exam.setId !== state.selectedSetId) {
+    state.selectedSetId = exam.setId;
+    els.setSelect.value = exam.setId;
+    await refreshQuestions();
+  }
+  applyExam(exam);
+  if (exam.status === "grading") {
+    els.examStatus.textContent = "考卷評分中...";
+    startExamPolling();
+    return;
+  }
+  startExamTick();
+  loadExamAnswer();
+  els.examStatus.textContent = "已恢復進行中的整卷模擬考。";
+}
+
+function examinerName(id) {
+  return state.defense.personas.find((p) => p.id === id)?.name || id;
+}
+
+function defenseTurnText(turn) {
+  const asked = `${examinerName(turn.examiner)}：${turn.question}`;
+  if (turn.reply == null) return asked;
+  const timing = turn.timedOut ? "時間到未回答" : `${turn.elapsedSeconds} 秒${turn.overtime ? "，超時" : ""}`;
+  return `${asked}\n我（${timing}）：${turn.reply || "（未回答）"}`;
+}
+
+async function loadDefensePersonas() {
+  try {
+    const { personas, defaults } = await apiGet("/api/defense/personas");
+    state.defense.personas = personas;
+    els.defensePanel.innerHTML = personas
+      .map(
+        (p, i) => `
+          <label class="check" title="${escapeHtml(p.focus)}">
+            <input type="checkbox" value="${escapeHtml(p.id)}"${i < 2 ? " checked" : ""} />
+            ${escapeHtml(p.name)}
+          </label>
+        `
+      )
+      .join("");
+    els.defenseRounds.innerHTML = Array.from({ length: defaults.maxRounds }, (_, i) => i + 1)
+      .map((n) => `<option value="${n}"${n === defaults.rounds ? " selected" : ""}>${n} 題</option>`)
+      .join("");
+  } catch (e) {
+    els.defenseStatus.textContent = `讀取口試委員失敗：${e.message}`;
+  }
+}
+
+function isDefenseActive() {
+  return state.defense.data?.status === "in-progress";
+}
+
+// The examiner question still waiting for a reply, if any.
+function defenseOpenTurn() {
+  const turns = state.defense.data?.turns || [];
+  const last = turns[turns.length - 1];
+  return isDefenseActive() && last && last.reply == null ? last : null;
+}
+
+function updateDefenseControls() {
+  const active = isDefenseActive();
+  const { sending } = state.defense;
+  const open = Boolean(defenseOpenTurn());
+  els.defenseStartBtn.disabled = active || sending;
+  els.defenseFinishBtn.disabled = !active || sending;
+  els.defenseReplyBtn.disabled = !open || sending;
+  els.defenseReplyInput.disabled = !open;
+  for (const input of els.defensePanel.querySelectorAll("input")) input.disabled = active;
+  els.defenseRounds.disabled = active;
+  els.defenseReplySeconds.disabled = active;
+}
+
+function renderDefense() {
+  const data = state.defense.data;
+  els.defenseLog.innerHTML = (data?.turns || [])
+    .map(
+      (t, i) => `
+        <div class="history-item">
+          <div class="subtle">第 ${i + 1}/${data.rounds} 題｜限時 ${t.replySeconds} 秒</div>
+          <div class="result">${escapeHtml(defenseTurnText(t))}</div>
+        </div>
+      `
+    )
+    .join("");
+  updateDefenseControls();
+}
+
+function stopDefenseTick() {
+  if (state.defense.tick) window.clearInterval(state.defense.tick);
+  state.defense.tick = null;
+}
+
+function updateDefenseTimer() {
+  if (!state.defense.deadlineMs) {
+    els.defenseTimerValue.textContent = "--:--";
+    return;
+  }
+  const remaining = state.defense.deadlineMs - Date.now();
+  els.defenseTimerValue.textContent = formatMs(remaining);
+  if (remaining > 0) return;
+  stopDefenseTick();
+  els.defenseStatus.textContent = "時間到！送出目前的回答...";
+  sendDefenseReply();
+}
+
+function startDefenseTick() {
+  stopDefenseTick();
+  state.defense.tick = window.setInterval(updateDefenseTimer, 250);
+  updateDefenseTimer();
+}
+
+function applyDefense(data) {
+  state.defense.data = data;
+  scheduleUsageRefresh();
+  state.defense.deadlineMs = defenseOpenTurn() ? Date.now() + data.remainingSeconds * 1000 : null;
+  renderDefense();
+  if (state.defense.deadlineMs) {
+    startDefenseTick();
+    els.defenseStatus.textContent = `請回答${examinerName(defenseOpenTurn().examiner)}的問題。`;
+  } else {
+    stopDefenseTick();
+    updateDefenseTimer();
+  }
+  if (data.status === "scored") {
+    renderResult(data.result, { attemptId: data.attemptId });
+    els.defenseStatus.textContent = `口試結束：${data.result.score}/${data.result.maxScore}（細項見評分回饋）。`;
+    refreshHistory();
+    refreshReview();
+  }
+}
+
+async function defenseRequest(path, body, pendingText) {
+  state.defense.sending = true;
+  updateDefenseControls();
+  els.defenseStatus.textContent = pendingText;
+  try {
+    const res = await apiPost(path, body);
+    applyDefense(res.defense);
+    return true;
+  } catch (e) {
+    els.defenseStatus.textContent = `口試中斷：${e.message}（可再按一次重試）`;
+    return false;
+  } finally {
+    state.defense.sending = false;
+    updateDefenseControls();
+  }
+}
+
+async function startDefense() {
+  const q = getSelectedQuestion();
+  if (!q) return;
+  if (isExamActive()) {
+    els.defenseStatus.textContent = "整卷模擬考進行中，交卷後再開始口試。";
+    return;
+  }
+  const answer = els.answerInput.value.trim();
+  if (!answer) {
+    els.defenseStatus.textContent = "請先在作答區寫好這題的答案，委員會從你的答案開始追問。";
+    return;
+  }
+  const provider = normalizeProvider(state.provider);
+  const model = getSelectedModel();
+  if (provider === "offline" || !model) {
+    els.defenseStatus.textContent = "口試模擬需要 LLM 供應商：請在左側選擇供應商與模型。";
+    return;
+  }
+  if (!hasUsableKey(provider)) {
+    els.defenseStatus.textContent = `尚未設定 ${PROVIDERS[provider]?.label || provider} API key。`;
+    return;
+  }
+  const panel = Array.from(els.defensePanel.querySelectorAll("input:checked"), (input) => input.value);
+  if (!panel.length) {
+    els.defenseStatus.textContent = "請至少選一位口試委員。";
+    return;
+  }
+  saveDraft();
+  await defenseRequest(
+    "/api/defense",
+    {
+      setId: state.selectedSetId,
+      questionId: q.id,
+      answer,
+      panel,
+      rounds: Number(els.defenseRounds.value),
+      replySeconds: Number(els.defenseReplySeconds.value),
+      provider,
+      model,
+      apiKey: getUiApiKey(),
+      baseUrl: provider === "local" ? getUiBaseUrl() : undefined
+    },
+    "委員正在看你的答案..."
+  );
+}
+
+// Also called by the countdown: once time is up an empty reply is sent (the server records it as unanswered).
+async function sendDefenseReply() {
+  const data = state.defense.data;
+  if (!isDefenseActive() || state.defense.sending) return;
+  const text = els.defenseReplyInput.value.trim();
+  const timeUp = state.defense.deadlineMs != null && Date.now() >= state.defense.deadlineMs;
+  if (!text && !timeUp && defenseOpenTurn()) return;
+  stopDefenseTick();
+  const lastRound = data.turns.length >= data.rounds;
+  const sent = await defenseRequest(
+    `/api/defense/${encodeURIComponent(data.id)}/reply`,
+    { text },
+    lastRound ? "委員會評分中..." : "下一位委員準備提問..."
+  );
+  if (sent) els.defenseReplyInput.value = "";
+}
+
+async function finishDefense() {
+  if (!isDefenseActive()) return;
+  if (!window.confirm("提前結束口試？還沒回答的這一題不列入評分。")) return;
+  stopDefenseTick();
+  await defenseRequest(`/api/defense/${encodeURIComponent(state.defense.data.id)}/finish`, {}, "委員會評分中...");
+}
+
+function renderStreaming(rationale) {
+  renderCriteria(null);
+  els.result.textContent = rationale ? `評分中...\n\n總評（即時）：\n${rationale}` : "評分中...（等待模型回應）";
+  els.result.classList.remove("subtle");
+}
+
 async function refreshQuestions() {
   if (!state.selectedSetId) return;
   els.questionSelect.innerHTML = `<option>載入中...</option>`;
@@ -404,11 +1488,11 @@ async function refreshQuestions() {
   els.questionSelect.innerHTML = state.questions
     .map((q) => {
       const label = `${q.section}｜${q.points}分｜${q.title}`;
-      return `<option value="${q.id}">${label}</option>`;
+      return `<option value="${escapeHtml(q.id)}">${escapeHtml(label)}</option>`;
     })
     .join("");
   if (state.questions.length) {
-    const prefer = localStorage.getItem(STORAGE_KEYS.questionId);
+    const prefer = getPref(STORAGE_KEYS.questionId);
     state.selectedQuestionId = state.questions.some((q) => q.id === prefer) ? prefer : state.questions[0].id;
     els.questionSelect.value = state.selectedQuestionId;
     renderQuestion();
@@ -417,24 +1501,72 @@ async function refreshQuestions() {
   saveLocalDefaults();
 }
 
+function showLogin() {
+  els.mainLayout.classList.add("hidden");
+  els.authPanel.classList.remove("hidden");
+  setStatus(["請先登入"]);
+  const submit = async (action) => {
+    els.authStatus.textContent = action === "register" ? "建立帳號中..." : "登入中...";
+    try {
+      await apiPost(`/api/auth/${action}`, {
+        name: els.authName.value,
+        passcode: els.authPasscode.value,
+        inviteCode: els.authInvite.value
+      });
+      location.reload();
+    } catch (e) {
+      els.authStatus.textContent = e.message;
+    }
+  };
+  els.loginBtn.addEventListener("click", () => submit("login"));
+  els.registerBtn.addEventListener("click", () => submit("register"));
+  els.authPasscode.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submit("login");
+  });
+}
+
+// On a server with accounts nothing else loads until someone signs in; false means the login form is up.
+async function loadAccount() {
+  const auth = await apiGet("/api/auth/status");
+  if (!auth.enabled) return true;
+  if (!auth.user) {
+    showLogin();
+    return false;
+  }
+  const profile = await apiGet("/api/profile");
+  state.account = { user: profile.user, settings: profile.settings, drafts: profile.drafts };
+  els.accountName.textContent = `使用者：${profile.user.name}`;
+  els.accountBar.classList.remove("hidden");
+  els.logoutBtn.addEventListener("click", async () => {
+    await apiPost("/api/auth/logout", {}).catch(() => {});
+    location.reload();
+  });
+  return true;
+}
+
 async function init() {
   setStatus(["連線中..."]);
+  try {
+    if (!(await loadAccount())) return;
+  } catch (e) {
+    setStatus([`伺服器連線失敗：${e.message}`], "bad");
+    return;
+  }
   const defaults = loadLocalDefaults();
   try {
     state.health = await apiGet("/api/health");
+    applyLocalProviderConfig(state.health);
     updateStatus();
   } catch (e) {
     setStatus([`伺服器連線失敗：${e.message}`], "bad");
     return;
   }
+  // Without it the timer just counts up.
+  pacingEngine = await import("./pacing.mjs").catch(() => null);
+  pricing = await import("./pricing.mjs").catch(() => null);
 
-  const sets = await apiGet("/api/sets");
-  state.sets = sets.sets || [];
-  els.setSelect.innerHTML = state.sets
-    .map((s) => `<option value="${s.id}">${s.title}</option>`)
-    .join("");
-  state.selectedSetId = state.sets.some((s) => s.id === defaults.savedSetId) ? defaults.savedSetId : state.sets[0]?.id;
-  els.setSelect.value = state.selectedSetId || "";
+  await refreshSets(defaults.savedSetId);
+  loadDefensePersonas();
 
   els.providerSelect.value = state.provider;
   updateProviderUi();
@@ -462,6 +1594,14 @@ async function init() {
   };
 
   els.rememberKey.addEventListener("change", persistKeyMaybe);
+  els.baseUrlInput.addEventListener("input", () => {
+    setPref(STORAGE_KEYS.localBaseUrl, getUiBaseUrl());
+    updateStatus();
+  });
+  els.ensembleSelect.addEventListener("change", () => {
+    setPref(STORAGE_KEYS.ensembleSamples, els.ensembleSelect.value);
+    scheduleUsageRefresh();
+  });
   els.apiKeyInput.addEventListener("input", () => {
     if (els.rememberKey.checked) {
       const key = getUiApiKey();
@@ -478,13 +1618,17 @@ async function init() {
   });
 
   await refreshQuestions();
-  renderHistory();
+  await refreshHistory();
+  await refreshReview();
+  await resumeExam().catch(() => {});
+  refreshUsage();
 
   els.providerSelect.addEventListener("change", () => {
     state.provider = normalizeProvider(els.providerSelect.value);
     timerReset();
     updateProviderUi();
     saveLocalDefaults();
+    scheduleUsageRefresh();
   });
 
   els.setSelect.addEventListener("change", async () => {
@@ -492,14 +1636,32 @@ async function init() {
     state.selectedQuestionId = null;
     timerReset();
     await refreshQuestions();
+    if (els.reviewThisSet.checked) refreshReview();
   });
 
-  els.questionSelect.addEventListener("change", () => {
+  els.questionSelect.addEventListener("change", async () => {
+    if (isExamActive()) {
+      if (!(await persistExamAnswer())) {
+        els.questionSelect.value = state.selectedQuestionId;
+        return;
+      }
+      state.selectedQuestionId = els.questionSelect.value;
+      renderQuestion();
+      loadExamAnswer();
+      renderExamPaper();
+      saveLocalDefaults();
+      return;
+    }
     state.selectedQuestionId = els.questionSelect.value;
     timerReset();
     renderQuestion();
     loadDraft();
     saveLocalDefaults();
+    const graded = state.exam.data?.results?.[state.selectedQuestionId];
+    if (graded?.result) renderResult(graded.result);
+    renderExamPaper();
+    if (els.historyThisQuestion.checked) refreshHistory();
+    scheduleUsageRefresh();
   });
 
   els.modelInput.addEventListener("change", () => {
@@ -512,21 +1674,66 @@ async function init() {
     }
     const model = getSelectedModel();
     if (model) setStoredModel(state.provider, model);
+    scheduleUsageRefresh();
   });
 
   els.modelCustomInput.addEventListener("input", () => {
     const model = getSelectedModel();
     if (model) setStoredModel(state.provider, model);
+    scheduleUsageRefresh();
+  });
+
+  els.answerInput.addEventListener("input", () => {
+    scheduleUsageRefresh();
+    scheduleExamSave();
   });
+  els.forceRegrade.addEventListener("change", () => scheduleUsageRefresh());
 
   els.timerStart.addEventListener("click", () => timerStart());
   els.timerPause.addEventListener("click", () => timerPause());
   els.timerReset.addEventListener("click", () => timerReset());
 
-  els.saveDraftBtn.addEventListener("click", () => saveDraft());
+  els.saveDraftBtn.addEventListener("click", () => {
+    saveDraft();
+    if (isExamActive()) persistExamAnswer();
+  });
+
+  els.historyThisQuestion.addEventListener("change", () => refreshHistory());
+  els.history.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-id]");
+    if (!btn) return;
+    try {
+      if (btn.dataset.action === "open") await openAttempt(btn.dataset.id);
+      if (btn.dataset.action === "delete") await deleteAttempt(btn.dataset.id);
+    } catch (err) {
+      els.draftStatus.textContent = `紀錄操作失敗：${err.message}`;
+    }
+  });
+
+  els.reviewThisSet.addEventListener("change", () => refreshReview());
+  els.reviewRefreshBtn.addEventListener("click", () => refreshReview());
+  els.reviewList.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-question]");
+    if (!btn) return;
+    try {
+      await selectQuestion(btn.dataset.set, btn.dataset.question);
+    } catch (err) {
+      els.draftStatus.textContent = `切換題目失敗：${err.message}`;
+    }
+  });
+
+  els.notesBtn.addEventListener("click", () => showNotes());
+  els.drillBtn.addEventListener("click", () => practiceDrill());
+  els.followupSendBtn.addEventListener("click", () => sendFollowup());
+  els.examStartBtn.addEventListener("click", () => startExam());
+  els.examSubmitBtn.addEventListener("click", () => submitExam());
+  els.defenseStartBtn.addEventListener("click", () => startDefense());
+  els.defenseReplyBtn.addEventListener("click", () => sendDefenseReply());
+  els.defenseFinishBtn.addEventListener("click", () => finishDefense());
   els.clearBtn.addEventListener("click", () => {
     els.answerInput.value = "";
     els.draftStatus.textContent = "";
+    refreshUsage();
   });
 
   els.submitBtn.addEventListener("click", async () => {
@@ -538,11 +1745,9 @@ async function init() {
       return;
     }
 
-    const apiKey = getUiApiKey();
     const provider = normalizeProvider(state.provider);
     const cfg = PROVIDERS[provider] || PROVIDERS.openai;
-    const envHasKey = Boolean(state.health?.env?.[provider] ?? state.health?.hasEnvApiKey ?? state.health?.hasApiKey);
-    if (!apiKey && !envHasKey) {
+    if (!hasUsableKey(provider)) {
       renderResult({
         score: 0,
         maxScore: q.points,
@@ -561,31 +1766,37 @@ async function init() {
     els.submitBtn.disabled = true;
     els.submitBtn.textContent = "評分中...";
     try {
-      const model = getSelectedModel();
-      if (!model) throw new Error("請先選擇模型（或輸入自訂模型名稱）");
-      const res = await apiPost("/api/grade", {
-        setId: state.selectedSetId,
-        questionId: q.id,
-        provider,
-        model,
-        apiKey,
-        answer,
-        elapsedSeconds: Math.floor(state.timer.elapsedMs / 1000)
+      const body = gradeRequestBody(q, answer);
+      if (!body.model) throw new Error("請先選擇模型（或輸入自訂模型名稱）");
+      let streamed = "";
+      let res = null;
+      renderStreaming("");
+      await apiStream("/api/grade/stream", body, (event, data) => {
+        if (event === "delta") {
+          streamed += data.text;
+          renderStreaming(extractPartialRationale(streamed));
+        } else if (event === "retry") {
+          streamed = "";
+          renderStreaming("");
+          els.result.textContent += `\n（上一次回覆格式不符，自動重新評分：第 ${data.attempt} 次）`;
+        } else if (event === "result") {
+          res = data;
+        } else if (event === "error") {
+          throw new Error(data.error);
+        }
       });
-      renderResult(res.result);
-      pushHistory({
-        at: Date.now(),
-        setId: state.selectedSetId,
-        setTitle: state.sets.find((s) => s.id === state.selectedSetId)?.title || state.selectedSetId,
-        questionId: q.id,
-        questionTitle: q.title,
-        model,
-        provider,
-        score: res.result?.score ?? 0,
-        maxScore: res.result?.maxScore ?? q.points,
-        scoreRatio: (res.result?.score ?? 0) / (res.result?.maxScore ?? q.points),
-        summary: res.result?.rationale?.slice(0, 120) || ""
+      if (!res) throw new Error("評分串流中斷，請重試");
+      // A forced regrade is a one-off; the next submit of the same answer uses the cache again.
+      els.forceRegrade.checked = false;
+      renderResult(res.result, {
+        attemptId: res.attemptId,
+        pacing: res.pacing,
+        usage: res.usage,
+        cachedAt: res.cached ? res.cachedAt : null
       });
+      unlockNotes(state.selectedSetId, [q.id]);
+      await refreshHistory();
+      await refreshReview();
     } catch (e) {
       const rawMsg = String(e?.message || "未知錯誤");
       let hint = rawMsg;
@@ -597,11 +1808,16 @@ async function init() {
         rawMsg.includes("Missing Anthropic API key")
       ) {
         hint = "請在左側輸入對應供應商的 API key（或用對應的環境變數）。";
+      } else if (rawMsg.includes("Missing local base URL")) {
+        hint = "請在左側輸入本機模型伺服器的 Base URL（或用環境變數 LOCAL_BASE_URL）。";
+      } else if (provider === "local" && rawMsg.includes("fetch failed")) {
+        hint = "連不到本機模型伺服器：請確認它已啟動、Base URL 正確（通常以 /v1 結尾）。";
       }
       renderResult({ score: 0, maxScore: q.points, rationale: `評分失敗：${hint}`, strengths: [], missingPoints: [], improvements: [], suggestedOutline: [] });
     } finally {
       els.submitBtn.disabled = false;
       els.submitBtn.textContent = "送出評分";
+      refreshUsage();
     }
   });
 }
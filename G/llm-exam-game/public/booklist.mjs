@@ -0,0 +1,133 @@
+/* booklist.mjs - Parses the 官方書單 section of a notes file and checks booklistAlignment against it.
+ * Runs in Node and the browser. */
+
+// A ref counts as the same entry when enough of its character bigrams appear in the entry;
+// very short refs ("研究方法") share too few bigrams to identify anything.
+const MATCH_THRESHOLD = 0.5;
+const MIN_SHARED_BIGRAMS = 5;
+const TOPIC_MIN_CHARS = 4;
+
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, "");
+}
+
+function bigrams(text) {
+  const s = normalize(text);
+  const grams = new Set();
+  for (let i = 0; i + 1 < s.length; i++) grams.add(s.slice(i, i + 2));
+  if (s.length === 1) grams.add(s);
+  return grams;
+}
+
+function years(text) {
+  return String(text || "").normalize("NFKC").match(/\b(?:19|20)\d{2}\b/g) || [];
+}
+
+/**
+ * Reads "- 主題：" bullets with nested "  - 參考" bullets from the booklist section
+ * (the "書單主題 → 代表參考" sub-section when present). Returns { topics: [{ topic, refs }], entries }.
+ */
+export function parseBooklist(md) {
+  const text = String(md || "");
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((l) => /^#{2,6}\s.*(代表參考|書單主題)/.test(l));
+  const body = start === -1 ? lines : lines.slice(start + 1);
+
+  const topics = [];
+  let current = null;
+  for (const line of body) {
+    if (start !== -1 && /^#{1,3}\s/.test(line)) break;
+    const top = /^[-*]\s+(.+?)\s*[：:]\s*$/.exec(line);
+    if (top) {
+      current = { topic: top[1].trim(), refs: [] };
+      topics.push(current);
+      continue;
+    }
+    const nested = /^\s{2,}[-*]\s+(.+)$/.exec(line);
+    if (nested && current) current.refs.push(nested[1].trim());
+    else if (/^[-*]\s/.test(line)) current = null;
+  }
+
+  const list = topics.filter((t) => t.refs.length);
+  const entries = list.flatMap((t) => t.refs.map((citation) => ({ citation, topic: t.topic, grams: bigrams(citation) })));
+  return { topics: list, entries };
+}
+
+function similarity(refGrams, entryGrams) {
+  if (!refGrams.size || !entryGrams.size) return 0;
+  let shared = 0;
+  for (const g of refGrams) if (entryGrams.has(g)) shared++;
+  if (shared < MIN_SHARED_BIGRAMS) return 0;
+  const overlap = shared / Math.min(refGrams.size, entryGrams.size);
+  const dice = (2 * shared) / (refGrams.size + entryGrams.size);
+  return overlap * 0.7 + dice * 0.3;
+}
+
+// Best booklist entry for a free-text ref, or null. A year in the ref must appear in the entry.
+export function matchBooklistRef(ref, booklist) {
+  const grams = bigrams(ref);
+  const refYears = years(ref);
+  let best = null;
+  for (const entry of booklist?.entries || []) {
+    if (refYears.length && !refYears.some((y) => entry.citation.includes(y))) continue;
+    const score = similarity(grams, entry.grams);
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) best = { entry, score };
+  }
+  return best ? best.entry : null;
+}
+
+/**
+ * Canonical citations for free-text refs: matches are replaced by the booklist's wording (deduplicated),
+ * the rest are returned as `unverifiedRefs`.
+ */
+export function verifyBooklistRefs(refs, booklist) {
+  const verified = [];
+  const unverifiedRefs = [];
+  for (const ref of refs || []) {
+    const entry = matchBooklistRef(ref, booklist);
+    if (!entry) unverifiedRefs.push(ref);
+    else if (!verified.includes(entry.citation)) verified.push(entry.citation);
+  }
+  return { refs: verified, unverifiedRefs };
+}
+
+function matchTopic(topic, allowed) {
+  const t = normalize(topic);
+  if (!t) return null;
+  return (
+    allowed.find((a) => normalize(a) === t) ||
+    allowed.find((a) => {
+      const n = normalize(a);
+      return Math.min(n.length, t.length) >= TOPIC_MIN_CHARS && (n.includes(t) || t.includes(n));
+    }) ||
+    null
+  );
+}
+
+/**
+ * Replaces each refsToReview item with its canonical booklist citation and each topic with the
+ * question's own wording. Anything that does not match is removed and listed under
+ * booklistAlignment.unverifiedRefs / unverifiedTopics, so the UI can say what was dropped.
+ */
+export function checkBooklistAlignment(result, { booklist, questionTopics = [] }) {
+  const alignment = result?.booklistAlignment;
+  if (!alignment) return result;
+
+  const { refs, unverifiedRefs } = verifyBooklistRefs(alignment.refsToReview, booklist);
+
+  const topics = [];
+  const unverifiedTopics = [];
+  for (const topic of alignment.topics || []) {
+    const match = matchTopic(topic, questionTopics);
+    if (!match) unverifiedTopics.push(topic);
+    else if (!topics.includes(match)) topics.push(match);
+  }
+
+  return {
+    ...result,
+    booklistAlignment: { ...alignment, topics, refsToReview: refs, unverifiedRefs, unverifiedTopics }
+  };
+}
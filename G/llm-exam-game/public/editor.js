@@ -0,0 +1,364 @@
+const els = {
+  status: document.getElementById("status"),
+  setSelect: document.getElementById("setSelect"),
+  newSetBtn: document.getElementById("newSetBtn"),
+  setId: document.getElementById("setId"),
+  setTitle: document.getElementById("setTitle"),
+  setNotesMd: document.getElementById("setNotesMd"),
+  setSourcePdf: document.getElementById("setSourcePdf"),
+  setExamMinutes: document.getElementById("setExamMinutes"),
+  setSectionRules: document.getElementById("setSectionRules"),
+  saveSetBtn: document.getElementById("saveSetBtn"),
+  deleteSetBtn: document.getElementById("deleteSetBtn"),
+  importBtn: document.getElementById("importBtn"),
+  importLog: document.getElementById("importLog"),
+  questionList: document.getElementById("questionList"),
+  newQuestionBtn: document.getElementById("newQuestionBtn"),
+  qId: document.getElementById("qId"),
+  qSection: document.getElementById("qSection"),
+  qPoints: document.getElementById("qPoints"),
+  qTitle: document.getElementById("qTitle"),
+  qNoteHeading: document.getElementById("qNoteHeading"),
+  qText: document.getElementById("qText"),
+  qRubric: document.getElementById("qRubric"),
+  qBooklistTopics: document.getElementById("qBooklistTopics"),
+  qTags: document.getElementById("qTags"),
+  saveQuestionBtn: document.getElementById("saveQuestionBtn"),
+  deleteQuestionBtn: document.getElementById("deleteQuestionBtn"),
+  editorStatus: document.getElementById("editorStatus"),
+  previewMeta: document.getElementById("previewMeta"),
+  previewText: document.getElementById("previewText"),
+  previewExtra: document.getElementById("previewExtra")
+};
+
+const DEFAULT_SECTIONS = ["必選", "選考"];
+
+let state = {
+  sets: [],
+  questions: [],
+  setId: null, // null while creating a new set
+  questionId: null // null while creating a new question
+};
+
+function setStatus(text, tone = "info") {
+  const header = tone === "ok" ? "✓" : tone === "bad" ? "×" : "i";
+  els.status.textContent = `${header} ${text}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Per-launch token the server writes into this page; every /api request must send it back.
+const SESSION_TOKEN = document.querySelector('meta[name="session-token"]')?.content || "";
+
+async function apiSend(method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: { "X-Session-Token": SESSION_TOKEN, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = json?.error || `HTTP ${res.status}`;
+    throw new Error(msg);
+  }
+  return json;
+}
+
+function currentSet() {
+  return state.sets.find((s) => s.id === state.setId) || null;
+}
+
+function sectionsOf(set) {
+  const rules = Array.isArray(set?.sectionRules) ? set.sectionRules : [];
+  return rules.length ? rules.map((r) => r.section) : DEFAULT_SECTIONS;
+}
+
+function parseSectionRules(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [section, pick = "all"] = line.split("=").map((s) => s.trim());
+      return { section, pick: pick === "all" ? "all" : Number(pick) };
+    });
+}
+
+function formatSectionRules(rules) {
+  return (rules || []).map((r) => `${r.section}=${r.pick}`).join("\n");
+}
+
+function parseRubric(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [id, description, points] = line.split(/[|｜]/).map((s) => s.trim());
+      return { id, description, points: Number(points) };
+    });
+}
+
+function formatRubric(rubric) {
+  return (rubric || []).map((c) => `${c.id}｜${c.description}｜${c.points}`).join("\n");
+}
+
+function lines(text) {
+  return text
+    .split("\n")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function renderSets() {
+  els.setSelect.innerHTML = state.sets
+    .map((s) => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.title)}</option>`)
+    .join("");
+  if (state.setId) els.setSelect.value = state.setId;
+}
+
+function fillSetForm(set) {
+  els.setId.value = set?.id || "";
+  els.setId.disabled = Boolean(set);
+  els.setTitle.value = set?.title || "";
+  els.setNotesMd.value = set?.notesMd || "";
+  els.setSourcePdf.value = set?.sourcePdf || "";
+  els.setExamMinutes.value = set?.examTimeMinutes ?? "";
+  els.setSectionRules.value = formatSectionRules(set?.sectionRules);
+  els.deleteSetBtn.disabled = !set;
+  els.importBtn.disabled = !set?.sourcePdf;
+  els.importLog.classList.add("hidden");
+  els.newQuestionBtn.disabled = !set;
+}
+
+function readSetForm() {
+  return {
+    id: els.setId.value.trim(),
+    title: els.setTitle.value,
+    notesMd: els.setNotesMd.value,
+    sourcePdf: els.setSourcePdf.value,
+    examTimeMinutes: els.setExamMinutes.value,
+    sectionRules: els.setSectionRules.value.trim() ? parseSectionRules(els.setSectionRules.value) : undefined
+  };
+}
+
+function renderQuestionList() {
+  if (!state.questions.length) {
+    els.questionList.innerHTML = `<div class="subtle">${state.setId ? "這個題庫還沒有題目。" : "請先儲存題庫。"}</div>`;
+    return;
+  }
+  els.questionList.innerHTML = state.questions
+    .map((q, i) => {
+      const active = q.id === state.questionId ? " active" : "";
+      return `<div class="editor-row${active}">
+        <span class="grow" data-action="select" data-id="${escapeHtml(q.id)}">${escapeHtml(q.section)}｜${q.points} 分｜${escapeHtml(q.title)}</span>
+        <button type="button" data-action="up" data-index="${i}" ${i === 0 ? "disabled" : ""}>↑</button>
+        <button type="button" data-action="down" data-index="${i}" ${i === state.questions.length - 1 ? "disabled" : ""}>↓</button>
+      </div>`;
+    })
+    .join("");
+}
+
+function fillQuestionForm(q) {
+  const sections = sectionsOf(currentSet());
+  els.qSection.innerHTML = sections.map((s) => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join("");
+  els.qId.value = q?.id || "";
+  els.qId.disabled = Boolean(q);
+  els.qSection.value = q?.section || sections[0];
+  els.qPoints.value = q?.points ?? "";
+  els.qTitle.value = q?.title || "";
+  els.qNoteHeading.value = q?.noteHeading || "";
+  els.qText.value = q?.text || "";
+  els.qRubric.value = formatRubric(q?.rubric);
+  els.qBooklistTopics.value = (q?.booklistTopics || []).join("\n");
+  els.qTags.value = (q?.tags || []).join(", ");
+  els.deleteQuestionBtn.disabled = !q;
+  els.editorStatus.textContent = q ? "" : "新題目：填完後按「儲存題目」。";
+  renderPreview();
+}
+
+function readQuestionForm() {
+  return {
+    id: els.qId.value.trim(),
+    section: els.qSection.value,
+    points: els.qPoints.value === "" ? null : Number(els.qPoints.value),
+    title: els.qTitle.value,
+    noteHeading: els.qNoteHeading.value,
+    text: els.qText.value,
+    rubric: els.qRubric.value.trim() ? parseRubric(els.qRubric.value) : undefined,
+    booklistTopics: lines(els.qBooklistTopics.value),
+    tags: els.qTags.value
+      .split(/[,，]/)
+      .map((s) => s.trim())
+      .filter(Boolean)
+  };
+}
+
+// Same meta line and text block as the practice page.
+function renderPreview() {
+  const q = readQuestionForm();
+  els.previewMeta.textContent = `${q.section}｜${q.points ?? "?"} 分｜${q.title || "（未命名）"}`;
+  els.previewText.textContent = q.text;
+  const extra = [];
+  if (q.rubric?.length) {
+    extra.push(`評分細項：\n- ${q.rubric.map((c) => `${c.description}（${c.points} 分）`).join("\n- ")}`);
+  }
+  if (q.booklistTopics.length) extra.push(`書單主題：\n- ${q.booklistTopics.join("\n- ")}`);
+  if (q.noteHeading) extra.push(`對應筆記：${q.noteHeading}`);
+  if (q.tags.length) extra.push(`tags：${q.tags.join(", ")}`);
+  els.previewExtra.textContent = extra.join("\n\n");
+}
+
+async function loadSets(selectId) {
+  const { sets } = await apiSend("GET", "/api/sets");
+  state.sets = sets || [];
+  state.setId = selectId && state.sets.some((s) => s.id === selectId) ? selectId : state.sets[0]?.id || null;
+  renderSets();
+  fillSetForm(currentSet());
+  await loadQuestions();
+}
+
+async function loadQuestions(selectQuestionId) {
+  if (!state.setId) {
+    state.questions = [];
+    state.questionId = null;
+  } else {
+    const { questions } = await apiSend("GET", `/api/questions?set=${encodeURIComponent(state.setId)}`);
+    state.questions = questions || [];
+    const keep = selectQuestionId || state.questionId;
+    state.questionId = state.questions.some((q) => q.id === keep) ? keep : state.questions[0]?.id || null;
+  }
+  renderQuestionList();
+  fillQuestionForm(state.questions.find((q) => q.id === state.questionId) || null);
+}
+
+async function saveSet() {
+  const body = readSetForm();
+  const creating = !state.setId;
+  const { set } = creating
+    ? await apiSend("POST", "/api/sets", body)
+    : await apiSend("PUT", `/api/sets/${encodeURIComponent(state.setId)}`, body);
+  await loadSets(set.id);
+  setStatus(creating ? `已建立題庫：${set.title}` : `已儲存題庫：${set.title}`, "ok");
+}
+
+async function deleteSet() {
+  const set = currentSet();
+  if (!set) return;
+  if (!window.confirm(`確定刪除題庫「${set.title}」與其所有題目？（作答紀錄不受影響）`)) return;
+  await apiSend("DELETE", `/api/sets/${encodeURIComponent(set.id)}`);
+  await loadSets();
+  setStatus(`已刪除題庫：${set.title}`, "ok");
+}
+
+// The draft is written next to the live questions file; it is not loaded until renamed.
+async function importDraft() {
+  const set = currentSet();
+  if (!set) return;
+  setStatus("擷取 PDF 文字中…");
+  const { draft, path } = await apiSend("POST", "/api/import", { setId: set.id });
+  const summary = draft.draft.sources.map((s) => `${s.file}：${s.questions} 題`);
+  const warnings = draft.draft.warnings.map((w) => `! ${w}`);
+  els.importLog.textContent = [...summary, ...warnings].join("\n");
+  els.importLog.classList.remove("hidden");
+  setStatus(`已寫入 ${path}（${draft.questions.length} 題，${warnings.length} 則警告）`, warnings.length ? "info" : "ok");
+}
+
+async function saveQuestion() {
+  const question = readQuestionForm();
+  const creating = !state.questionId;
+  const result = creating
+    ? await apiSend("POST", "/api/questions", { setId: state.setId, question })
+    : await apiSend("PUT", `/api/questions/${encodeURIComponent(state.questionId)}`, { setId: state.setId, question });
+  await loadQuestions(result.question.id);
+  setStatus(creating ? `已新增題目：${result.question.title}` : `已儲存題目：${result.question.title}`, "ok");
+}
+
+async function deleteQuestion() {
+  const q = state.questions.find((x) => x.id === state.questionId);
+  if (!q) return;
+  if (!window.confirm(`確定刪除題目「${q.title}」？`)) return;
+  await apiSend("DELETE", `/api/questions/${encodeURIComponent(q.id)}?set=${encodeURIComponent(state.setId)}`);
+  state.questionId = null;
+  await loadQuestions();
+  setStatus(`已刪除題目：${q.title}`, "ok");
+}
+
+async function moveQuestion(index, delta) {
+  const order = state.questions.map((q) => q.id);
+  const target = index + delta;
+  if (target < 0 || target >= order.length) return;
+  [order[index], order[target]] = [order[target], order[index]];
+  const { questions } = await apiSend("PUT", `/api/sets/${encodeURIComponent(state.setId)}/order`, { order });
+  state.questions = questions;
+  renderQuestionList();
+}
+
+// Errors from the API are validation messages meant for the author, so show them as-is.
+function guarded(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+    } catch (e) {
+      setStatus(e?.message || String(e), "bad");
+    }
+  };
+}
+
+function init() {
+  els.setSelect.addEventListener(
+    "change",
+    guarded(async () => {
+      state.setId = els.setSelect.value;
+      state.questionId = null;
+      fillSetForm(currentSet());
+      await loadQuestions();
+    })
+  );
+  els.newSetBtn.addEventListener("click", () => {
+    state.setId = null;
+    state.questions = [];
+    state.questionId = null;
+    fillSetForm(null);
+    renderQuestionList();
+    fillQuestionForm(null);
+    setStatus("新題庫：填完後按「儲存題庫」。");
+  });
+  els.saveSetBtn.addEventListener("click", guarded(saveSet));
+  els.deleteSetBtn.addEventListener("click", guarded(deleteSet));
+  els.importBtn.addEventListener("click", guarded(importDraft));
+
+  els.newQuestionBtn.addEventListener("click", () => {
+    state.questionId = null;
+    renderQuestionList();
+    fillQuestionForm(null);
+  });
+  els.saveQuestionBtn.addEventListener("click", guarded(saveQuestion));
+  els.deleteQuestionBtn.addEventListener("click", guarded(deleteQuestion));
+
+  els.questionList.addEventListener(
+    "click",
+    guarded(async (e) => {
+      const target = e.target.closest("[data-action]");
+      if (!target) return;
+      const { action, id, index } = target.dataset;
+      if (action === "select") {
+        state.questionId = id;
+        renderQuestionList();
+        fillQuestionForm(state.questions.find((q) => q.id === id) || null);
+      } else if (action === "up" || action === "down") {
+        await moveQuestion(Number(index), action === "up" ? -1 : 1);
+      }
+    })
+  );
+
+  for (const input of [els.qSection, els.qPoints, els.qTitle, els.qNoteHeading, els.qText, els.qRubric, els.qBooklistTopics, els.qTags]) {
+    input.addEventListener("input", renderPreview);
+  }
+
+  guarded(loadSets)();
+}
+
+init();
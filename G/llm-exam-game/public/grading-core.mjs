@@ -0,0 +1,946 @@
+/* grading-core.mjs - Prompt, provider calls and result contract shared by server.js and the static site.
+ * Runs in Node and the browser: no Node built-ins, and HTTP goes through a pluggable `transport`
+ * (any fetch-compatible function; defaults to the global fetch). */
+
+import { gradeOffline, OFFLINE_MODEL } from "./offline-grader.mjs";
+import {
+  GRADE_TOOL_NAME,
+  MAX_REPAIR_ATTEMPTS,
+  gradingSchema,
+  followupSchema,
+  examinerQuestionSchema,
+  defenseScoreSchema,
+  DEFENSE_DIMENSIONS,
+  providerSchema,
+  validateAgainstSchema,
+  repairPrompt
+} from "./grading-schema.mjs";
+import { parseBooklist, checkBooklistAlignment, verifyBooklistRefs } from "./booklist.mjs";
+import { addUsage } from "./pricing.mjs";
+
+export function clampNumber(n, min, max, fallback) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.min(max, Math.max(min, x));
+}
+
+export function safeJsonParse(text) {
+  if (typeof text !== "string") return null;
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // keep going
+  }
+
+  const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenceMatch?.[1]) {
+    try {
+      return JSON.parse(fenceMatch[1].trim());
+    } catch {
+      // keep going
+    }
+  }
+
+  const first = trimmed.indexOf("{");
+  const last = trimmed.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) {
+    try {
+      return JSON.parse(trimmed.slice(first, last + 1));
+    } catch {
+      // ignore
+    }
+  }
+
+  return null;
+}
+
+function transportOf(transport) {
+  const send = transport || globalThis.fetch;
+  if (typeof send !== "function") throw new Error("No HTTP transport available (pass `transport`)");
+  return send;
+}
+
+// ----------------------------------------------------------------------
+// Streaming (Server-Sent Events)
+// ----------------------------------------------------------------------
+
+export async function* readSseData(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+      let idx;
+      while ((idx = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        const data = block
+          .split("\n")
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).trimStart())
+          .join("\n");
+        if (data) yield data;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// `onEvent` sees every parsed event (token usage arrives in events that carry no text).
+export async function readStreamedText(res, pickDelta, onDelta, onEvent) {
+  let text = "";
+  for await (const data of readSseData(res)) {
+    if (data === "[DONE]") break;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      continue;
+    }
+    onEvent?.(event);
+    const delta = pickDelta(event);
+    if (typeof delta === "string" && delta) {
+      text += delta;
+      onDelta(delta);
+    }
+  }
+  return text;
+}
+
+// ----------------------------------------------------------------------
+// Prompt
+// ----------------------------------------------------------------------
+
+export function rubricFor(question) {
+  if (!Array.isArray(question?.rubric)) return [];
+  return question.rubric
+    .filter((c) => c && c.id && Number(c.points) > 0)
+    .map((c) => ({ id: String(c.id), description: String(c.description || c.id), points: Number(c.points) }));
+}
+
+function formatDuration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return s ? `${m} 分 ${s} 秒` : `${m} 分鐘`;
+}
+
+// Budget vs. actual time (pacing.mjs pacingStatus), so depth is judged against the time the question allows.
+function pacingPrompt(pacing, question) {
+  const lines = [];
+  const budget = formatDuration(pacing.budgetSeconds);
+  lines.push(
+    pacing.source === "timebox"
+      ? `建議作答時間：${budget}（本題指定）`
+      : `建議作答時間：${budget}（${Number(question.points) || 0} 分 × 每分 ${pacing.minutesPerPoint} 分鐘）`
+  );
+  if (pacing.elapsedSeconds != null) {
+    lines.push(
+      pacing.overrunSeconds
+        ? `實際作答：${formatDuration(pacing.elapsedSeconds)}，超時 ${formatDuration(pacing.overrunSeconds)}`
+        : `實際作答：${formatDuration(pacing.elapsedSeconds)}（在時限內）`
+    );
+  }
+  lines.push("請依建議時間衡量深度：在這個時間內寫得出的完整度即可給滿，不要要求超出時限的篇幅。");
+  if (pacing.overrunSeconds) lines.push("考生超時：內容照常評分，但請在 improvements 具體提醒怎麼取捨才能在時限內寫完。");
+  return `\n【時間配分】\n${lines.join("\n")}`;
+}
+
+// Part of the grading cache key (server.js): bump it whenever buildGradingMessages, the grading schema or
+// result normalization changes, so answers graded under the old prompt are graded again.
+export const GRADING_PROMPT_VERSION = 1;
+
+export function buildGradingMessages({ question, answer, maxScore, elapsedSeconds, pacing, notesSnippet, booklistSnippet, passages }) {
+  const system = [
+    "你是博士班資格考『研究法』閱卷老師，目標是幫考生用考試取向提升得分。",
+    "請使用繁體中文回覆。",
+    "你只能引用/建議回頭閱讀『官方書單對照』中出現的參考來源；不要自行杜撰書目或章節。",
+    "評分重點：概念正確、對齊配分、結構清楚、能舉例或情境化。",
+    "輸出必須是 JSON（不要 Markdown、不要多餘文字）。"
+  ].join("\n");
+
+  const userParts = [];
+  userParts.push(`【題目｜${question.section}｜${maxScore} 分】\n${question.text}`);
+  if (question.booklistTopics?.length) {
+    userParts.push(`\n【題目對應書單主題】\n- ${question.booklistTopics.join("\n- ")}`);
+  }
+  if (pacing) {
+    userParts.push(pacingPrompt(pacing, question));
+  } else if (typeof elapsedSeconds === "number") {
+    userParts.push(`\n【作答時間】\n${elapsedSeconds} 秒（僅供參考）`);
+  }
+  const rubric = rubricFor(question);
+  if (rubric.length) {
+    const lines = rubric.map((c) => `${c.id}｜${c.description}（${c.points} 分）`);
+    userParts.push(`\n【評分細項（逐項給分）】\n- ${lines.join("\n- ")}`);
+  }
+  userParts.push(`\n【考生答案】\n${answer}`);
+  if (notesSnippet) {
+    userParts.push(`\n【本專案重點筆記（校正用；不要逐字引用）】\n${notesSnippet}`);
+  }
+  if (booklistSnippet) {
+    userParts.push(`\n【官方書單對照（可引用；不可杜撰）】\n${booklistSnippet}`);
+  } else {
+    userParts.push("\n【官方書單對照】\n（本次未提供；booklistAlignment.refsToReview 請回傳空陣列）");
+  }
+  if (passages?.length) {
+    const lines = passages.map((p, i) => `[${i + 1}] ${p.source}${p.heading ? `｜${p.heading}` : ""}\n${p.text}`);
+    userParts.push(`\n【相關參考段落（本機檢索；可在 rationale 中以 [編號] 指出依據，但不可當作書目引用）】\n${lines.join("\n\n")}`);
+  }
+
+  const outputContract = {
+    score: "number (0..maxScore, preferably integer)",
+    maxScore: "number",
+    rationale: "string (總評，100~200字)",
+    strengths: "string[]",
+    missingPoints: "string[]",
+    improvements: "string[]",
+    suggestedOutline: "string[] (用可直接抄寫的答題段落骨架)",
+    booklistAlignment: {
+      topics: "string[] (從題目對應主題挑)",
+      refsToReview: "string[] (只能從官方書單對照出現過的條目挑)"
+    },
+    nextDrill: {
+      prompt: "string (下一題練習題，請你出一題同題型但換情境的題目)",
+      timeboxMinutes: "number (建議練習時間)"
+    }
+  };
+
+  if (rubric.length) {
+    outputContract.criteria = "[{ id, score, comment }] (每個評分細項一筆；score 不得超過該項配分)";
+  }
+
+  userParts.push(`\n【輸出格式（必須符合）】\n${JSON.stringify(outputContract, null, 2)}`);
+  userParts.push("\n【要求】score 不得超過 maxScore；若答案明顯離題/錯誤，請直接點出並給最短可補救版本。");
+  if (rubric.length) userParts.push("【要求】criteria 必須逐項給分，且各項 score 加總必須等於總分 score。");
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: userParts.join("\n\n") }
+  ];
+}
+
+// ----------------------------------------------------------------------
+// Result contract
+// ----------------------------------------------------------------------
+
+// Clamp each criterion to its own points and make the total agree with the breakdown.
+function normalizeCriteria(parsed, rubric, maxScore) {
+  const given = Array.isArray(parsed.criteria) ? parsed.criteria.filter((c) => c && typeof c === "object") : [];
+  if (!rubric.length || !given.length) {
+    delete parsed.criteria;
+    return;
+  }
+
+  parsed.criteria = rubric.map((c, i) => {
+    const match = given.find((g) => String(g.id) === c.id) || (given.every((g) => !g.id) ? given[i] : null);
+    return {
+      id: c.id,
+      description: c.description,
+      score: clampNumber(match?.score, 0, c.points, 0),
+      maxScore: c.points,
+      comment: typeof match?.comment === "string" ? match.comment : ""
+    };
+  });
+
+  const sum = Math.min(maxScore, parsed.criteria.reduce((total, c) => total + c.score, 0));
+  if (sum !== parsed.score) {
+    parsed.reportedScore = parsed.score;
+    parsed.score = sum;
+  }
+}
+
+export function normalizeGradeResult(parsed, maxScore, rubric = []) {
+  parsed.maxScore = maxScore;
+  if (typeof parsed.score !== "number" || !Number.isFinite(parsed.score)) parsed.score = 0;
+  parsed.score = Math.max(0, Math.min(maxScore, parsed.score));
+  normalizeCriteria(parsed, rubric, maxScore);
+
+  if (!Array.isArray(parsed.strengths)) parsed.strengths = [];
+  if (!Array.isArray(parsed.missingPoints)) parsed.missingPoints = [];
+  if (!Array.isArray(parsed.improvements)) parsed.improvements = [];
+  if (!Array.isArray(parsed.suggestedOutline)) parsed.suggestedOutline = [];
+  if (!parsed.booklistAlignment || typeof parsed.booklistAlignment !== "object") {
+    parsed.booklistAlignment = { topics: [], refsToReview: [] };
+  }
+  if (!Array.isArray(parsed.booklistAlignment.topics)) parsed.booklistAlignment.topics = [];
+  if (!Array.isArray(parsed.booklistAlignment.refsToReview)) parsed.booklistAlignment.refsToReview = [];
+  if (!parsed.nextDrill || typeof parsed.nextDrill !== "object") {
+    parsed.nextDrill = { prompt: "", timeboxMinutes: 10 };
+  }
+  if (typeof parsed.nextDrill.prompt !== "string") parsed.nextDrill.prompt = "";
+  parsed.nextDrill.timeboxMinutes = clampNumber(parsed.nextDrill.timeboxMinutes, 5, 120, 15);
+  return parsed;
+}
+
+// ----------------------------------------------------------------------
+// Providers
+// ----------------------------------------------------------------------
+
+// Token usage as { inputTokens, outputTokens } from each provider's own field (null when absent).
+function chatCompletionUsage(data) {
+  const u = data?.usage;
+  return u ? { inputTokens: Number(u.prompt_tokens) || 0, outputTokens: Number(u.completion_tokens) || 0 } : null;
+}
+
+function googleUsage(data) {
+  const u = data?.usageMetadata;
+  if (!u) return null;
+  return {
+    inputTokens: Number(u.promptTokenCount) || 0,
+    outputTokens: (Number(u.candidatesTokenCount) || 0) + (Number(u.thoughtsTokenCount) || 0)
+  };
+}
+
+function claudeUsage(data) {
+  const u = data?.usage;
+  return u ? { inputTokens: Number(u.input_tokens) || 0, outputTokens: Number(u.output_tokens) || 0 } : null;
+}
+
+async function requestChatCompletion({
+  url,
+  apiKey,
+  model,
+  messages,
+  jsonMode,
+  schema,
+  label,
+  streamUsage = false,
+  onDelta,
+  onUsage,
+  signal,
+  transport
+}) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await transportOf(transport)(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model,
+      temperature: 0.2,
+      ...(schema
+        ? { response_format: { type: "json_schema", json_schema: { name: "grading", strict: true, schema } } }
+        : jsonMode
+          ? { response_format: { type: "json_object" } }
+          : {}),
+      stream: Boolean(onDelta),
+      // Only OpenAI is asked for usage in the stream; local servers may reject stream_options.
+      ...(onDelta && streamUsage ? { stream_options: { include_usage: true } } : {}),
+      messages
+    }),
+    signal
+  });
+
+  if (res.ok && onDelta) {
+    let usage = null;
+    const text = await readStreamedText(
+      res,
+      (event) => event?.choices?.[0]?.delta?.content,
+      onDelta,
+      (event) => (usage = chatCompletionUsage(event) || usage)
+    );
+    if (usage) onUsage?.(usage);
+    if (!text.trim()) throw new Error(`${label} API returned empty content`);
+    return text;
+  }
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = data?.error?.message || `${label} API error (${res.status})`;
+    throw new Error(msg);
+  }
+
+  const usage = chatCompletionUsage(data);
+  if (usage) onUsage?.(usage);
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== "string" || !content.trim()) {
+    throw new Error(`${label} API returned empty content`);
+  }
+  return content;
+}
+
+async function callOpenAI({ apiKey, model, messages, schema, onDelta, onUsage, signal, transport }) {
+  const key = String(apiKey || "").trim();
+  if (!key) throw new Error("Missing OpenAI API key");
+  if (!key.startsWith("sk-") || key.length < 20) {
+    throw new Error("OpenAI API key format looks invalid");
+  }
+
+  return await requestChatCompletion({
+    url: "https://api.openai.com/v1/chat/completions",
+    apiKey: key,
+    model,
+    messages,
+    jsonMode: true,
+    schema: schema && providerSchema(schema, "openai"),
+    label: "OpenAI",
+    streamUsage: true,
+    onDelta,
+    onUsage,
+    signal,
+    transport
+  });
+}
+
+async function callLocal({ baseUrl, apiKey, model, messages, onDelta, onUsage, signal, transport }) {
+  const base = String(baseUrl || "").trim().replace(/\/+$/, "");
+  if (!base) throw new Error("Missing local base URL");
+
+  // Local servers (Ollama, llama.cpp, LM Studio, vLLM) disagree on response_format support,
+  // so JSON is requested through the prompt only.
+  return await requestChatCompletion({
+    url: `${base}/chat/completions`,
+    apiKey: String(apiKey || "").trim(),
+    model,
+    messages,
+    jsonMode: false,
+    label: "Local model",
+    onDelta,
+    onUsage,
+    signal,
+    transport
+  });
+}
+
+function sanitizeGoogleModel(model) {
+  const trimmed = String(model || "").trim();
+  const withoutPrefix = trimmed.startsWith("models/") ? trimmed.slice("models/".length) : trimmed;
+  if (!withoutPrefix) throw new Error("Missing Google model");
+  if (withoutPrefix.includes("/") || withoutPrefix.includes("?") || withoutPrefix.includes("#")) {
+    throw new Error("Google model name contains invalid characters");
+  }
+  return withoutPrefix;
+}
+
+function googleDeltaText(event) {
+  const parts = event?.candidates?.[0]?.content?.parts;
+  return Array.isArray(parts) ? parts.map((p) => p?.text).filter(Boolean).join("") : null;
+}
+
+async function callGoogle({ apiKey, model, system, user, schema, onDelta, onUsage, signal, transport }) {
+  const key = String(apiKey || "").trim();
+  if (!key) throw new Error("Missing Google API key");
+
+  const safeModel = sanitizeGoogleModel(model);
+  const method = onDelta ? "streamGenerateContent?alt=sse&" : "generateContent?";
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
+    safeModel
+  )}:${method}key=${encodeURIComponent(key)}`;
+
+  const res = await transportOf(transport)(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      systemInstruction: { parts: [{ text: system }] },
+      contents: [{ role: "user", parts: [{ text: user }] }],
+      generationConfig: {
+        temperature: 0.2,
+        responseMimeType: "application/json",
+        ...(schema ? { responseSchema: providerSchema(schema, "google") } : {})
+      }
+    }),
+    signal
+  });
+
+  if (res.ok && onDelta) {
+    // Every chunk repeats the running usageMetadata; the last one holds the totals.
+    let usage = null;
+    const text = await readStreamedText(res, googleDeltaText, onDelta, (event) => (usage = googleUsage(event) || usage));
+    if (usage) onUsage?.(usage);
+    if (!text.trim()) throw new Error("Google API returned empty content");
+    return text;
+  }
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = data?.error?.message || `Google API error (${res.status})`;
+    throw new Error(msg);
+  }
+
+  const usage = googleUsage(data);
+  if (usage) onUsage?.(usage);
+
+  const text = googleDeltaText(data);
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("Google API returned empty content");
+  }
+  return text;
+}
+
+// With a schema, Claude is forced to call a single tool whose input is the grading object;
+// its input is returned as JSON text so callers handle every provider the same way.
+async function callClaude({ apiKey, model, system, user, schema, onDelta, onUsage, signal, transport }) {
+  const key = String(apiKey || "").trim();
+  if (!key) throw new Error("Missing Anthropic API key");
+  if (key.length < 20) {
+    throw new Error("Anthropic API key format looks invalid");
+  }
+
+  const res = await transportOf(transport)("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": key,
+      "anthropic-version": "2023-06-01",
+      // Required for calls straight from a browser page (the static site); ignored server-side.
+      "anthropic-dangerous-direct-browser-access": "true"
+    },
+    body: JSON.stringify({
+      model,
+      temperature: 0.2,
+      max_tokens: 1400,
+      stream: Boolean(onDelta),
+      system,
+      messages: [{ role: "user", content: [{ type: "text", text: user }] }],
+      ...(schema
+        ? {
+            tools: [{ name: GRADE_TOOL_NAME, description: "提交評分結果", input_schema: schema }],
+            tool_choice: { type: "tool", name: GRADE_TOOL_NAME }
+          }
+        : {})
+    }),
+    signal
+  });
+
+  if (res.ok && onDelta) {
+    // Input tokens come with message_start, the running output count with each message_delta.
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const text = await readStreamedText(
+      res,
+      (event) => (event?.type === "content_block_delta" ? event.delta?.text ?? event.delta?.partial_json : null),
+      onDelta,
+      (event) => {
+        if (event?.type === "message_start") Object.assign(usage, claudeUsage(event.message));
+        else if (event?.type === "message_delta" && event.usage) usage.outputTokens = Number(event.usage.output_tokens) || 0;
+      }
+    );
+    if (usage.inputTokens || usage.outputTokens) onUsage?.(usage);
+    if (!text.trim()) throw new Error("Anthropic API returned empty content");
+    return text;
+  }
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const msg = data?.error?.message || `Anthropic API error (${res.status})`;
+    throw new Error(msg);
+  }
+
+  const usage = claudeUsage(data);
+  if (usage) onUsage?.(usage);
+
+  const parts = data?.content;
+  const toolUse = Array.isArray(parts) ? parts.find((p) => p?.type === "tool_use") : null;
+  if (toolUse?.input) return JSON.stringify(toolUse.input);
+  const text = Array.isArray(parts) ? parts.map((p) => p?.text).filter(Boolean).join("") : null;
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("Anthropic API returned empty content");
+  }
+  return text;
+}
+
+/**
+ * Provider registry. An entry either calls a model (`call`, returning the raw reply text,
+ * which is then validated and repaired here, and reporting token usage through `onUsage`)
+ * or grades directly (`grade`, returning a result).
+ */
+const providers = new Map();
+
+export function registerProvider(id, provider) {
+  if (!provider || (typeof provider.call !== "function" && typeof provider.grade !== "function")) {
+    throw new Error(`Provider "${id}" needs a call() or grade() function`);
+  }
+  providers.set(id, { id, ...provider });
+}
+
+export function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) throw new Error(`Unknown provider: ${id}`);
+  return provider;
+}
+
+export function listProviders() {
+  return Array.from(providers.values()).map(({ id, label, defaultModel }) => ({ id, label, defaultModel }));
+}
+
+registerProvider("openai", { label: "OpenAI", defaultModel: "gpt-4o-mini", call: callOpenAI });
+registerProvider("google", { label: "Google（Gemini）", defaultModel: "gemini-1.5-flash", call: callGoogle });
+registerProvider("claude", { label: "Claude（Anthropic）", defaultModel: "claude-3-5-sonnet-20241022", call: callClaude });
+registerProvider("local", { label: "本機／OpenAI 相容", defaultModel: "llama3.1", call: callLocal });
+registerProvider("offline", {
+  label: "離線規則評分",
+  defaultModel: OFFLINE_MODEL,
+  grade: ({ question, answer, maxScore, notesSnippet }) => gradeOffline({ question, answer, maxScore, notesSnippet })
+});
+
+// ----------------------------------------------------------------------
+// Grading
+// ----------------------------------------------------------------------
+
+// Passages shown to the model are returned as citations, numbered as in the prompt.
+function withCitations(result, passages) {
+  if (!passages?.length) return result;
+  return { ...result, citations: passages.map((p, i) => ({ ref: i + 1, source: p.source, heading: p.heading || "" })) };
+}
+
+// Calls a model provider and validates the reply against `schema`; an invalid reply is sent back with the
+// errors (up to MAX_REPAIR_ATTEMPTS times) instead of being used. Returns { parsed, raw, usage } with the
+// tokens of every try summed; a thrown error carries the tokens spent so far as `err.usage`.
+async function callValidated(provider, { messages, schema, apiKey, baseUrl, model, onDelta, onRetry, signal, transport }) {
+  const system = messages[0].content;
+  const user = messages[1].content;
+
+  let prompt = user;
+  let raw = "";
+  let errors = [];
+  let usage = null;
+  const onUsage = (u) => (usage = addUsage(usage, u));
+  const fail = (err) => {
+    if (err && typeof err === "object") err.usage = usage;
+    return err;
+  };
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0) onRetry?.({ attempt, errors });
+    raw = await provider.call({
+      apiKey,
+      baseUrl,
+      model: String(model || "").trim() || provider.defaultModel,
+      system,
+      user: prompt,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt }
+      ],
+      schema,
+      onDelta,
+      onUsage,
+      signal,
+      transport
+    }).catch((e) => {
+      throw fail(e);
+    });
+
+    const parsed = safeJsonParse(raw);
+    errors = parsed ? validateAgainstSchema(parsed, schema) : ["回覆不是合法的 JSON 物件"];
+    if (!errors.length) return { parsed, raw, usage };
+    prompt = repairPrompt(user, raw, errors);
+  }
+
+  const err = new Error(`模型回傳格式不符（已自動重試 ${MAX_REPAIR_ATTEMPTS} 次）：${errors.slice(0, 5).join("；")}`);
+  err.status = 502;
+  throw fail(err);
+}
+
+/**
+ * Grade one answer with a registered provider. Every model reply is validated against the
+ * grading schema; an invalid one is sent back with the errors (up to MAX_REPAIR_ATTEMPTS times)
+ * instead of being turned into a score. `pacing` (pacing.mjs pacingFor) adds the question's time budget
+ * and any overrun to the prompt. Returns { result, raw, usage }, where usage is { inputTokens, outputTokens }
+ * summed over repair attempts (null for offline).
+ */
+export async function gradeAnswer({
+  question,
+  answer,
+  provider: providerId,
+  model,
+  apiKey,
+  baseUrl,
+  elapsedSeconds,
+  pacing,
+  notesSnippet,
+  booklistSnippet,
+  passages,
+  onDelta,
+  onRetry,
+  signal,
+  transport
+}) {
+  const provider = getProvider(providerId);
+  const maxScore = Number(question.points) || 0;
+  const rubric = rubricFor(question);
+  // Refs and topics the model returns are checked against the booklist actually sent (none -> all dropped).
+  const booklist = parseBooklist(booklistSnippet);
+  const finish = (parsed) =>
+    withCitations(
+      checkBooklistAlignment(normalizeGradeResult(parsed, maxScore, rubric), { booklist, questionTopics: question.booklistTopics || [] }),
+      passages
+    );
+
+  if (provider.grade) {
+    const result = await provider.grade({ question, answer, maxScore, notesSnippet, booklistSnippet });
+    return { result: finish(result), raw: "", usage: null };
+  }
+
+  const messages = buildGradingMessages({ question, answer, maxScore, elapsedSeconds, pacing, notesSnippet, booklistSnippet, passages });
+  const { parsed, raw, usage } = await callValidated(provider, {
+    messages,
+    schema: gradingSchema({ maxScore, rubric }),
+    apiKey,
+    baseUrl,
+    model,
+    onDelta,
+    onRetry,
+    signal,
+    transport
+  });
+  return { result: finish(parsed), raw, usage };
+}
+
+// ----------------------------------------------------------------------
+// Follow-up questions about a graded answer
+// ----------------------------------------------------------------------
+
+// Provider for free-form model turns; rule-based graders (offline) only implement grade().
+function chatProvider(providerId, purpose) {
+  const provider = getProvider(providerId);
+  if (!provider.call) {
+    const err = new Error(`${provider.label || providerId} 不支援${purpose}，請改用 LLM 供應商`);
+    err.status = 400;
+    throw err;
+  }
+  return provider;
+}
+
+const MAX_FOLLOWUP_TURNS = 8;
+
+function feedbackSummary(result) {
+  const lines = [`分數：${result?.score ?? "?"}/${result?.maxScore ?? "?"}`, `總評：${result?.rationale || ""}`];
+  const list = (label, items) => {
+    if (Array.isArray(items) && items.length) lines.push(`${label}：\n${items.map((x, i) => `${i + 1}. ${x}`).join("\n")}`);
+  };
+  if (Array.isArray(result?.criteria)) {
+    list("細項", result.criteria.map((c) => `${c.description || c.id}｜${c.score}/${c.maxScore}${c.comment ? `｜${c.comment}` : ""}`));
+  }
+  list("亮點", result?.strengths);
+  list("漏掉/不足", result?.missingPoints);
+  list("改善建議", result?.improvements);
+  list("建議答題骨架", result?.suggestedOutline);
+  return lines.join("\n");
+}
+
+/**
+ * Prompt for one follow-up turn. The whole conversation is sent as a transcript in a single user message
+ * (every provider takes system + user), keeping the last MAX_FOLLOWUP_TURNS turns of `history` ([{ role, text }]).
+ */
+export function buildFollowupMessages({ question, answer, result, notesSnippet, booklistSnippet, history = [], message }) {
+  const system = [
+    "你是博士班資格考『研究法』閱卷老師，剛批改完這位考生的答案，現在回答他對評分的追問。",
+    "請使用繁體中文，具體指出答案哪裡不足、怎麼改寫；需要時直接示範可抄寫的段落。",
+    "你只能引用/建議回頭閱讀『官方書單對照』中出現的參考來源；不要自行杜撰書目或章節。",
+    "輸出必須是 JSON（不要 Markdown、不要多餘文字）。"
+  ].join("\n");
+
+  const parts = [];
+  parts.push(`【題目｜${question.section}｜${Number(question.points) || 0} 分】\n${question.text}`);
+  parts.push(`\n【考生答案】\n${answer}`);
+  parts.push(`\n【你先前的評分】\n${feedbackSummary(result)}`);
+  if (notesSnippet) parts.push(`\n【本專案重點筆記（校正用；不要逐字引用）】\n${notesSnippet}`);
+  if (booklistSnippet) {
+    parts.push(`\n【官方書單對照（可引用；不可杜撰）】\n${booklistSnippet}`);
+  } else {
+    parts.push("\n【官方書單對照】\n（本次未提供；refsToReview 請回傳空陣列）");
+  }
+  const turns = history.slice(-MAX_FOLLOWUP_TURNS);
+  if (turns.length) {
+    const transcript = turns.map((t) => `${t.role === "assistant" ? "老師" : "考生"}：${t.text}`).join("\n\n");
+    parts.push(`\n【先前的追問對話】\n${transcript}`);
+  }
+  parts.push(`\n【考生這次的追問】\n${message}`);
+  parts.push(
+    `\n【輸出格式（必須符合）】\n${JSON.stringify({ reply: "string（回答追問）", refsToReview: "string[]（只能從官方書單對照出現過的條目挑）" }, null, 2)}`
+  );
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: parts.join("\n\n") }
+  ];
+}
+
+/**
+ * Answers one follow-up message about a graded attempt. Refs are checked against the booklist like
+ * grading results. Returns { reply: { text, refsToReview, unverifiedRefs }, raw, usage }.
+ */
+export async function askFollowup({
+  question,
+  answer,
+  result,
+  message,
+  history,
+  provider: providerId,
+  model,
+  apiKey,
+  baseUrl,
+  notesSnippet,
+  booklistSnippet,
+  signal,
+  transport
+}) {
+  const provider = chatProvider(providerId, "追問");
+  const messages = buildFollowupMessages({ question, answer, result, notesSnippet, booklistSnippet, history, message });
+  const { parsed, raw, usage } = await callValidated(provider, {
+    messages,
+    schema: followupSchema(),
+    apiKey,
+    baseUrl,
+    model,
+    signal,
+    transport
+  });
+  const { refs, unverifiedRefs } = verifyBooklistRefs(parsed.refsToReview, parseBooklist(booklistSnippet));
+  return { reply: { text: parsed.reply.trim(), refsToReview: refs, unverifiedRefs }, raw, usage };
+}
+
+// ----------------------------------------------------------------------
+// Oral-defense simulation
+// ----------------------------------------------------------------------
+
+export const EXAMINER_PERSONAS = [
+  { id: "methodologist", name: "方法學委員", focus: "研究設計、測量、抽樣與效度威脅；要求說清楚操作步驟與取捨理由" },
+  { id: "theorist", name: "理論委員", focus: "概念定義、理論架構與典範立場；追問概念之間的關係與理論依據" },
+  { id: "practitioner", name: "實務委員", focus: "公共衛生實務與政策意涵、可行性與倫理；要求舉出具體情境" },
+  { id: "skeptic", name: "質疑型委員", focus: "挑戰答案中的假設與推論，提出反例；觀察考生能否穩住立場或坦承限制" }
+];
+
+export function getExaminerPersona(id) {
+  return EXAMINER_PERSONAS.find((p) => p.id === id) || null;
+}
+
+function defenseTranscript(turns) {
+  return turns
+    .map((t, i) => {
+      const examiner = getExaminerPersona(t.examiner)?.name || t.examiner;
+      const timing = t.timedOut
+        ? "（時間到仍未回答）"
+        : `（用時 ${t.elapsedSeconds} 秒／限時 ${t.replySeconds} 秒${t.overtime ? "，超時" : ""}）`;
+      const reply = t.reply == null ? "" : `\n考生${timing}：${t.reply || "（未回答）"}`;
+      return `第 ${i + 1} 輪｜${examiner}：${t.question}${reply}`;
+    })
+    .join("\n\n");
+}
+
+function defenseContextParts({ question, answer, notesSnippet, booklistSnippet }) {
+  const parts = [];
+  parts.push(`【口試題目｜${question.section}｜${Number(question.points) || 0} 分】\n${question.text}`);
+  parts.push(`\n【考生的書面回答（口試起點）】\n${answer}`);
+  if (notesSnippet) parts.push(`\n【本專案重點筆記（校正用；不要逐字引用）】\n${notesSnippet}`);
+  if (booklistSnippet) parts.push(`\n【官方書單對照（可引用；不可杜撰）】\n${booklistSnippet}`);
+  else parts.push("\n【官方書單對照】\n（本次未提供；不要提及任何書目）");
+  return parts;
+}
+
+/**
+ * Prompt for the next examiner question. `turns` are the earlier rounds ({ examiner, question, reply,
+ * elapsedSeconds, replySeconds, overtime, timedOut }); `round`/`rounds` tell the examiner how far along the session is.
+ */
+export function buildExaminerMessages({ question, answer, turns = [], persona, round, rounds, replySeconds, notesSnippet, booklistSnippet }) {
+  const system = [
+    `你是博士班資格考口試委員，扮演「${persona.name}」：${persona.focus}。`,
+    "口試以考生的書面回答為起點，順著先前的問答一路追問：抓住回答中模糊、錯誤或沒說明的地方，不要重複已經問過的問題。",
+    `一次只問一個問題，要能在 ${replySeconds} 秒內口頭回答；不要給答案、提示或評語。`,
+    "請使用繁體中文。只能提及『官方書單對照』中出現的參考來源；不要自行杜撰書目或章節。",
+    "輸出必須是 JSON（不要 Markdown、不要多餘文字）。"
+  ].join("\n");
+
+  const parts = defenseContextParts({ question, answer, notesSnippet, booklistSnippet });
+  if (turns.length) parts.push(`\n【目前為止的口試問答】\n${defenseTranscript(turns)}`);
+  parts.push(`\n【現在】\n輪到「${persona.name}」提問（第 ${round}/${rounds} 題）。`);
+  parts.push(`\n【輸出格式（必須符合）】\n${JSON.stringify({ question: "string（這一輪的提問）" }, null, 2)}`);
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: parts.join("\n\n") }
+  ];
+}
+
+/** Next examiner question for an oral-defense session. Returns { question, raw, usage }. */
+export async function askExaminer({ provider: providerId, model, apiKey, baseUrl, signal, transport, ...context }) {
+  const provider = chatProvider(providerId, "口試模擬");
+  const messages = buildExaminerMessages(context);
+  const { parsed, raw, usage } = await callValidated(provider, {
+    messages,
+    schema: examinerQuestionSchema(),
+    apiKey,
+    baseUrl,
+    model,
+    signal,
+    transport
+  });
+  return { question: parsed.question.trim(), raw, usage };
+}
+
+export function buildDefenseScoringMessages({ question, answer, turns, panel, notesSnippet, booklistSnippet }) {
+  const dimensions = DEFENSE_DIMENSIONS.map((d) => `${d.id}｜${d.label}（0～${d.points} 分）`);
+  const system = [
+    "你是博士班資格考口試委員會主席，依整場口試逐字稿給分，目標是幫考生準備真正的口試。",
+    "正確性：概念與方法論是否正確；深度：能否延伸、比較、舉例並指出限制；",
+    "臨場表現：回答是否切題、有條理、在限時內完成，被質疑時能否穩住立場或坦然承認限制（逐字稿附有用時）。",
+    "請使用繁體中文。你只能建議回頭閱讀『官方書單對照』中出現的參考來源；不要自行杜撰書目或章節。",
+    "輸出必須是 JSON（不要 Markdown、不要多餘文字）。"
+  ].join("\n");
+
+  const parts = defenseContextParts({ question, answer, notesSnippet, booklistSnippet });
+  parts.push(`\n【口試委員】\n- ${panel.map((id) => getExaminerPersona(id)?.name || id).join("\n- ")}`);
+  parts.push(`\n【口試逐字稿】\n${defenseTranscript(turns) || "（沒有問答）"}`);
+  parts.push(`\n【評分面向】\n- ${dimensions.join("\n- ")}`);
+  const outputContract = {};
+  for (const d of DEFENSE_DIMENSIONS) outputContract[d.id] = { score: `number (0..${d.points})`, comment: "string" };
+  Object.assign(outputContract, {
+    rationale: "string (整場總評，100~200字)",
+    strengths: "string[]",
+    improvements: "string[] (下次口試可以怎麼答)",
+    refsToReview: "string[] (只能從官方書單對照出現過的條目挑；沒有就空陣列)"
+  });
+  parts.push(`\n【輸出格式（必須符合）】\n${JSON.stringify(outputContract, null, 2)}`);
+
+  return [
+    { role: "system", content: system },
+    { role: "user", content: parts.join("\n\n") }
+  ];
+}
+
+/**
+ * Scores a finished oral-defense transcript on DEFENSE_DIMENSIONS. The result follows the grading contract
+ * (dimensions as `criteria`, refs checked against the booklist) so it can be stored and shown as an attempt.
+ * Returns { result, raw, usage }.
+ */
+export async function scoreDefense({ provider: providerId, model, apiKey, baseUrl, signal, transport, ...context }) {
+  const provider = chatProvider(providerId, "口試模擬");
+  const messages = buildDefenseScoringMessages(context);
+  const { parsed, raw, usage } = await callValidated(provider, {
+    messages,
+    schema: defenseScoreSchema(),
+    apiKey,
+    baseUrl,
+    model,
+    signal,
+    transport
+  });
+
+  const criteria = DEFENSE_DIMENSIONS.map((d) => ({
+    id: d.id,
+    description: d.label,
+    score: clampNumber(parsed[d.id].score, 0, d.points, 0),
+    maxScore: d.points,
+    comment: String(parsed[d.id].comment || "")
+  }));
+  const { refs, unverifiedRefs } = verifyBooklistRefs(parsed.refsToReview, parseBooklist(context.booklistSnippet));
+  const result = {
+    score: criteria.reduce((sum, c) => sum + c.score, 0),
+    maxScore: criteria.reduce((sum, c) => sum + c.maxScore, 0),
+    rationale: String(parsed.rationale || ""),
+    strengths: parsed.strengths,
+    missingPoints: [],
+    improvements: parsed.improvements,
+    suggestedOutline: [],
+    criteria,
+    booklistAlignment: { topics: [], refsToReview: refs, unverifiedRefs, unverifiedTopics: [] }
+  };
+  return { result, raw, usage };
+}
@@ -0,0 +1,192 @@
+/* grading-schema.mjs - JSON Schema for the grading contract and a small validator. Runs in Node and the browser. */
+
+export const GRADE_TOOL_NAME = "submit_grade";
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+const stringList = { type: "array", items: { type: "string" } };
+
+/**
+ * JSON Schema for one grading reply. `maxScore` bounds the score; a non-empty `rubric`
+ * ([{ id, points }]) makes `criteria` required.
+ */
+export function gradingSchema({ maxScore, rubric = [] }) {
+  const properties = {
+    score: { type: "number", minimum: 0, maximum: maxScore, description: "總分（0～maxScore）" },
+    rationale: { type: "string", description: "總評，100～200 字" },
+    strengths: stringList,
+    missingPoints: stringList,
+    improvements: stringList,
+    suggestedOutline: { ...stringList, description: "可直接抄寫的答題段落骨架" },
+    booklistAlignment: {
+      type: "object",
+      properties: {
+        topics: { ...stringList, description: "從題目對應主題挑" },
+        refsToReview: { ...stringList, description: "只能從官方書單對照出現過的條目挑" }
+      },
+      required: ["topics", "refsToReview"],
+      additionalProperties: false
+    },
+    nextDrill: {
+      type: "object",
+      properties: {
+        prompt: { type: "string", description: "同題型但換情境的下一題練習題" },
+        timeboxMinutes: { type: "number", minimum: 1, maximum: 180, description: "建議練習時間（分鐘）" }
+      },
+      required: ["prompt", "timeboxMinutes"],
+      additionalProperties: false
+    }
+  };
+
+  if (rubric.length) {
+    properties.criteria = {
+      type: "array",
+      minItems: rubric.length,
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", enum: rubric.map((c) => c.id) },
+          score: { type: "number", minimum: 0 },
+          comment: { type: "string" }
+        },
+        required: ["id", "score", "comment"],
+        additionalProperties: false
+      }
+    };
+  }
+
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+/** JSON Schema for one follow-up reply about a graded answer. */
+export function followupSchema() {
+  const properties = {
+    reply: { type: "string", description: "回答考生的追問（繁體中文）" },
+    refsToReview: { ...stringList, description: "只能從官方書單對照出現過的條目挑；沒有就空陣列" }
+  };
+  return { type: "object", properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+/** JSON Schema for one examiner turn in an oral-defense session. */
+export function examinerQuestionSchema() {
+  const properties = {
+    question: { type: "string", description: "委員這一輪的提問（一次只問一個問題）" }
+  };
+  return { type: "object", properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+export const DEFENSE_DIMENSIONS = [
+  { id: "accuracy", label: "正確性", points: 10 },
+  { id: "depth", label: "深度", points: 10 },
+  { id: "composure", label: "臨場表現", points: 10 }
+];
+
+/** JSON Schema for scoring a whole oral-defense transcript (each DEFENSE_DIMENSIONS entry scored 0..points). */
+export function defenseScoreSchema() {
+  const properties = {};
+  for (const d of DEFENSE_DIMENSIONS) {
+    properties[d.id] = {
+      type: "object",
+      properties: {
+        score: { type: "number", minimum: 0, maximum: d.points, description: `${d.label}（0～${d.points}）` },
+        comment: { type: "string" }
+      },
+      required: ["score", "comment"],
+      additionalProperties: false
+    };
+  }
+  Object.assign(properties, {
+    rationale: { type: "string", description: "整場口試總評，100～200 字" },
+    strengths: stringList,
+    improvements: stringList,
+    refsToReview: { ...stringList, description: "只能從官方書單對照出現過的條目挑；沒有就空陣列" }
+  });
+  return { type: "object", properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+const PROVIDER_UNSUPPORTED = {
+  // OpenAI strict mode rejects numeric/array bounds.
+  openai: ["minimum", "maximum", "minItems"],
+  // Gemini's responseSchema is an OpenAPI subset without additionalProperties or bare string enums.
+  google: ["minimum", "maximum", "minItems", "additionalProperties", "enum"],
+  claude: []
+};
+
+/** Copy of `schema` without the keywords `provider`'s native structured output does not accept. */
+export function providerSchema(schema, provider) {
+  const drop = PROVIDER_UNSUPPORTED[provider] || [];
+  const strip = (node) => {
+    if (Array.isArray(node)) return node.map(strip);
+    if (!node || typeof node !== "object") return node;
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (drop.includes(key)) continue;
+      out[key] = key === "enum" || key === "required" ? value : strip(value);
+    }
+    return out;
+  };
+  return strip(schema);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number") return Number.isFinite(value) ? "number" : "NaN";
+  return typeof value;
+}
+
+/**
+ * Validate `value` against the subset of JSON Schema used above.
+ * Returns human-readable errors (empty when valid). Extra properties are tolerated.
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type && !(schema.type === "integer" && Number.isInteger(value))) {
+    errors.push(`${path}：應為 ${schema.type}，實際為 ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}：必須是 ${schema.enum.map((v) => JSON.stringify(v)).join(" / ")} 之一`);
+  }
+
+  if (actual === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(`${path}：不得小於 ${schema.minimum}`);
+    if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(`${path}：不得大於 ${schema.maximum}`);
+  }
+
+  if (actual === "array") {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(`${path}：至少需要 ${schema.minItems} 項`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}：缺少必要欄位`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateAgainstSchema(value[key], child, `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+/** User-turn text asking the model to resend a reply that failed validation. */
+export function repairPrompt(user, raw, errors) {
+  return [
+    user,
+    `\n【上一次回覆（格式不符，請修正）】\n${String(raw || "").slice(0, 6000) || "（空白）"}`,
+    `\n【格式錯誤】\n- ${errors.join("\n- ")}`,
+    "\n請重新輸出一份完整、符合輸出格式的 JSON（不要 Markdown、不要多餘文字）。"
+  ].join("\n\n");
+}
@@ -0,0 +1,389 @@
+/* offline-grader.mjs - Deterministic rubric grader (no LLM, no network). Runs in Node and the browser. */
+
+export const OFFLINE_MODEL = "rubric-v1";
+
+// Equivalent terms (zh/en pairs and common synonyms). Matching any member counts for the whole group.
+const SYNONYM_GROUPS = [
+  ["原子謬誤", "atomistic fallacy", "個體謬誤"],
+  ["生態謬誤", "ecological fallacy", "區位謬誤"],
+  ["分析單位", "unit of analysis", "分析單元"],
+  ["研究問題", "research question"],
+  ["假說", "假設", "hypothesis", "hypotheses"],
+  ["自變項", "自變數", "independent variable", "暴露"],
+  ["依變項", "依變數", "dependent variable", "結果變項"],
+  ["控制變項", "共變項", "covariate", "控制變數"],
+  ["多層次", "multilevel", "階層線性", "hlm"],
+  ["脈絡效應", "contextual effect", "情境效應"],
+  ["橫斷", "cross-sectional", "橫斷面", "橫斷性"],
+  ["世代", "cohort", "追蹤研究", "縱貫"],
+  ["縱貫", "longitudinal", "panel"],
+  ["實驗", "experiment", "experimental"],
+  ["隨機對照", "rct", "randomized controlled trial", "隨機對照試驗"],
+  ["準實驗", "類實驗", "quasi-experimental", "quasi experiment"],
+  ["隨機分派", "random assignment", "randomization", "隨機分配"],
+  ["趨勢研究", "trend study", "重複橫斷", "repeated cross-sectional"],
+  ["因果", "causal", "causality", "因果推論"],
+  ["時間順序", "temporal order", "temporality", "時序"],
+  ["倫理", "ethics", "ethical", "irb"],
+  ["目標母群", "target population", "母群", "母體", "population"],
+  ["抽樣框", "sampling frame", "抽樣清冊"],
+  ["抽樣單位", "sampling unit"],
+  ["納入", "inclusion", "納入條件", "納入標準"],
+  ["排除", "exclusion", "排除條件", "排除標準"],
+  ["機率抽樣", "probability sampling", "隨機抽樣"],
+  ["簡單隨機抽樣", "simple random sampling", "srs"],
+  ["分層抽樣", "stratified sampling", "stratified", "分層隨機抽樣"],
+  ["叢集抽樣", "群集抽樣", "cluster sampling", "cluster"],
+  ["多階段", "multistage", "multi-stage", "多階段抽樣"],
+  ["系統抽樣", "systematic sampling", "等距抽樣"],
+  ["立意抽樣", "purposive sampling", "purposive", "目的抽樣"],
+  ["滾雪球", "snowball", "雪球抽樣"],
+  ["樣本數", "sample size", "樣本量"],
+  ["代表性", "representativeness", "representative", "推論母群"],
+  ["抽樣誤差", "sampling error"],
+  ["非回應", "無回應", "nonresponse", "non-response", "拒訪"],
+  ["失訪", "流失", "attrition", "loss to follow-up"],
+  ["加權", "weighting", "權重", "weight"],
+  ["設計效應", "design effect", "deff"],
+  ["系統性文獻回顧", "systematic review", "系統性回顧"],
+  ["統合分析", "meta-analysis", "後設分析", "整合分析"],
+  ["pico", "peco", "picos"],
+  ["protocol", "研究計畫書", "研究計劃書", "prospero"],
+  ["搜尋策略", "search strategy", "檢索策略", "關鍵字"],
+  ["資料庫", "database", "pubmed", "embase", "medline"],
+  ["灰色文獻", "grey literature", "gray literature"],
+  ["出版偏誤", "publication bias", "發表偏誤"],
+  ["篩選", "screening", "篩檢文獻"],
+  ["雙人獨立", "two reviewers", "兩位審查者", "雙人", "independent reviewers"],
+  ["資料擷取", "data extraction", "資料萃取"],
+  ["偏誤風險", "risk of bias", "rob", "品質評讀", "critical appraisal", "品質評估"],
+  ["異質性", "heterogeneity", "i2"],
+  ["prisma", "流程圖", "flow diagram"],
+  ["偏誤", "偏差", "bias"],
+  ["選擇偏差", "選擇偏誤", "selection bias"],
+  ["資訊偏差", "資訊偏誤", "information bias", "測量偏誤"],
+  ["社會期許", "social desirability", "社會期望"],
+  ["涵蓋偏差", "coverage bias", "涵蓋誤差", "coverage error"],
+  ["混雜", "干擾", "confounding", "confounder", "混淆"],
+  ["盛行率", "prevalence", "流行率"],
+  ["相關因素", "associated factors", "影響因素", "risk factors"],
+  ["面訪", "face-to-face", "household survey", "家戶訪問"],
+  ["電訪", "telephone survey", "電話訪問", "cati"],
+  ["網路問卷", "online survey", "web survey", "線上問卷"],
+  ["次級資料", "secondary data", "二手資料", "既有資料"],
+  ["可比性", "comparability", "可比較"],
+  ["測量", "measurement", "量表", "scale"],
+  ["操作化", "operationalization", "操作型定義"],
+  ["概念化", "conceptualization", "概念型定義"],
+  ["信度", "reliability"],
+  ["效度", "validity"],
+  ["內部效度", "internal validity"],
+  ["外部效度", "external validity", "概化", "generalizability"],
+  ["可信度", "可信性", "credibility"],
+  ["可轉移性", "可遷移性", "transferability"],
+  ["可靠性", "可依賴性", "dependability", "一致性"],
+  ["可確認性", "可驗證性", "confirmability"],
+  ["信實度", "trustworthiness", "可信賴性"],
+  ["三角驗證", "三角檢定", "triangulation"],
+  ["成員檢核", "member checking", "參與者檢核", "受訪者檢核"],
+  ["同儕檢視", "同儕討論", "peer debriefing", "peer review"],
+  ["厚描", "厚實描述", "thick description", "深描"],
+  ["稽核軌跡", "audit trail", "審核軌跡", "研究歷程紀錄"],
+  ["反身性", "反思", "reflexivity", "reflexive", "研究者位置"],
+  ["負例分析", "negative case", "反例分析"],
+  ["本體論", "ontology", "ontological"],
+  ["認識論", "epistemology", "epistemological"],
+  ["前後測", "pretest-posttest", "pre-post", "前測", "後測"],
+  ["歷史事件", "history", "歷史效應"],
+  ["成熟", "maturation", "成熟效應"],
+  ["測驗效應", "testing effect", "testing", "練習效應"],
+  ["工具改變", "instrumentation", "測量工具改變"],
+  ["回歸平均", "regression to the mean", "趨中迴歸", "均值回歸"],
+  ["對照組", "控制組", "比較組", "control group", "comparison group"],
+  ["非同等控制組", "non-equivalent control group", "nonequivalent control"],
+  ["差異中的差異", "difference-in-differences", "did", "雙重差分"],
+  ["中斷時間序列", "interrupted time series", "its", "時間序列"],
+  ["配對", "matching", "傾向分數", "propensity score"],
+  ["階梯式", "stepped-wedge", "stepped wedge"],
+  ["等候名單", "wait-list", "waitlist"],
+  ["邏輯模式", "logic model", "邏輯模型"],
+  ["投入", "inputs", "input", "資源"],
+  ["產出", "outputs", "output"],
+  ["成效", "outcomes", "outcome", "結果"],
+  ["短期", "short-term"],
+  ["中期", "intermediate"],
+  ["長期", "long-term"],
+  ["過程評估", "process evaluation", "歷程評估"],
+  ["成效評估", "outcome evaluation", "影響評估", "impact evaluation"],
+  ["紮根理論", "grounded theory", "扎根理論"],
+  ["開放編碼", "開放性編碼", "open coding"],
+  ["主軸編碼", "axial coding"],
+  ["選擇性編碼", "主題編碼", "selective coding", "thematic coding"],
+  ["核心範疇", "core category", "核心類別"],
+  ["持續比較", "不斷比較", "constant comparison", "constant comparative"],
+  ["理論抽樣", "theoretical sampling"],
+  ["飽和", "saturation", "理論飽和"],
+  ["備忘錄", "memo", "memos", "memoing"],
+  ["逐字稿", "transcript", "verbatim"],
+  ["半結構式訪談", "semi-structured interview", "半結構訪談"],
+  ["焦點團體", "focus group"],
+  ["知情同意", "informed consent", "同意書"],
+  ["保密", "confidentiality", "隱私", "privacy"],
+  ["匿名", "anonymity", "去識別"],
+  ["通報", "report", "reporting", "強制通報"],
+  ["義務論", "deontology", "deontological", "權利論"],
+  ["效益主義", "後果論", "utilitarianism", "consequentialism", "功利主義"],
+  ["關懷倫理", "ethics of care", "care ethics"],
+  ["減害", "harm reduction", "減少傷害"],
+  ["轉介", "referral", "refer"],
+  ["自主", "autonomy", "尊重自主"],
+  ["不傷害", "nonmaleficence", "non-maleficence"],
+  ["行善", "beneficence"],
+  ["健康信念模式", "health belief model", "hbm"],
+  ["跨理論模式", "transtheoretical model", "ttm", "改變階段", "stages of change"],
+  ["自我效能", "self-efficacy", "self efficacy"],
+  ["知覺罹患性", "perceived susceptibility", "知覺易感性"],
+  ["知覺嚴重性", "perceived severity"],
+  ["知覺利益", "perceived benefits", "知覺益處"],
+  ["知覺障礙", "perceived barriers"],
+  ["行動線索", "cues to action"],
+  ["沈思期", "沉思期", "contemplation"],
+  ["準備期", "preparation"],
+  ["前沈思期", "前沉思期", "precontemplation", "無意圖期"],
+  ["行動期", "action"],
+  ["維持期", "maintenance"],
+  ["現象學", "phenomenology", "phenomenological"],
+  ["民族誌", "ethnography", "ethnographic"],
+  ["舉例", "例如", "例子", "實例", "比如", "example", "e.g."],
+  ["限制", "limitation", "limitations", "缺點"],
+  ["優點", "strength", "strengths", "advantage", "優勢"],
+  ["定義", "definition", "是指", "指的是"]
+];
+
+const POINT_SECTION_SKIP = /例子|舉例|模板|示例|範例|你提供/;
+const PITFALL_SECTION = /扣分|常見錯誤|陷阱/;
+const CORE_SECTION = /核心概念|答題骨架|答題關鍵|流程|步驟|差異|定義|優缺點|改善|提升策略|得分/;
+const OUTLINE_SECTION = /答題骨架|流程|步驟|得分寫法/;
+const CJK = /[㐀-鿿]/;
+const MAX_POINTS = 14;
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[\s\-_‐–—]+/g, "");
+}
+
+const GROUP_INDEX = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const term of group) {
+    const key = normalize(term);
+    const existing = GROUP_INDEX.get(key) || [];
+    GROUP_INDEX.set(key, existing.concat([group]));
+  }
+}
+
+function expandTerm(term) {
+  const key = normalize(term);
+  const variants = new Set([key]);
+  for (const group of GROUP_INDEX.get(key) || []) {
+    for (const t of group) variants.add(normalize(t));
+  }
+  return Array.from(variants).filter((v) => v.length >= 2);
+}
+
+function stripMarkdown(text) {
+  return String(text || "")
+    .replace(/\*\*|__|`/g, "")
+    .replace(/\[(.*?)\]\(.*?\)/g, "$1")
+    .trim();
+}
+
+function extractTerms(text) {
+  const clean = stripMarkdown(text);
+  const terms = [];
+  const add = (t) => {
+    const trimmed = String(t || "").trim();
+    if (!trimmed) return;
+    if (!terms.some((x) => normalize(x) === normalize(trimmed))) terms.push(trimmed);
+  };
+
+  const colon = clean.search(/[：:]/);
+  if (colon > 0 && colon <= 16) {
+    for (const part of clean.slice(0, colon).split(/[／/、（）()，,]/)) {
+      const p = part.replace(/^\d+[.)]\s*/, "").trim();
+      if (p.length >= 2) add(p);
+    }
+  }
+
+  for (const m of clean.matchAll(/[（(]([^（）()]{2,40})[）)]/g)) {
+    for (const part of m[1].split(/[／/、，,;；]/)) {
+      const p = part.trim();
+      if (p.length >= 2 && !/^\d/.test(p) && !/分$/.test(p)) add(p);
+    }
+  }
+
+  for (const m of clean.matchAll(/[A-Za-z][A-Za-z0-9]*(?:[- ](?:of|to|the|and|[A-Za-z][A-Za-z0-9]*)){0,3}/g)) {
+    const phrase = m[0].trim();
+    if (/^[A-Z0-9]{2,}$/.test(phrase) || phrase.length >= 4) add(phrase);
+  }
+
+  for (const key of GROUP_INDEX.keys()) {
+    if (key.length >= 2 && CJK.test(key) && normalize(clean).includes(key)) add(key);
+  }
+
+  for (const seg of clean.split(/[，。、；;：:（）()「」『』／/→＋+\s,.!?！？]+/)) {
+    if (seg.length >= 2 && seg.length <= 6 && CJK.test(seg) && !/^\d/.test(seg)) add(seg);
+  }
+
+  return terms.slice(0, 8);
+}
+
+function parseNoteSections(notesSnippet) {
+  const sections = [];
+  let current = { heading: "", items: [] };
+  sections.push(current);
+
+  for (const rawLine of String(notesSnippet || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/\t/g, "  ");
+    const heading = line.match(/^\s*(?:#{2,6}\s+(.*)|\*\*(.+?)\*\*\s*[:：]?\s*$)/);
+    if (heading) {
+      current = { heading: stripMarkdown(heading[1] || heading[2]), items: [] };
+      sections.push(current);
+      continue;
+    }
+    const item = line.match(/^(\s*)(?:[-*]|\d+[.)]|（?\d+）)\s+(.*)$/);
+    if (!item) continue;
+    const text = stripMarkdown(item[2]);
+    if (!text) continue;
+    if (item[1].length >= 2 && current.items.length) {
+      current.items[current.items.length - 1].children.push(text);
+    } else {
+      current.items.push({ text, children: [] });
+    }
+  }
+  return sections.filter((s) => s.items.length);
+}
+
+function pointFromText(label, { weight = 1, extra = [] } = {}) {
+  const terms = extractTerms(label).concat(extra.flatMap((t) => extractTerms(t)));
+  const unique = [];
+  for (const t of terms) {
+    if (!unique.some((x) => normalize(x) === normalize(t))) unique.push(t);
+  }
+  const colon = label.search(/[：:]/);
+  const short = colon > 0 && colon <= 16 ? label.slice(0, colon) : label;
+  return { label, short, weight, terms: unique.slice(0, 8) };
+}
+
+// Expected points come from the rubric criteria and the note keywords; question tags ("study-design",
+// "sampling") are topic labels for analytics, not content an answer should contain, so they are left out.
+function buildExpectedPoints({ question, notesSnippet }) {
+  const sections = parseNoteSections(notesSnippet);
+  const points = [];
+  for (const criterion of Array.isArray(question?.rubric) ? question.rubric : []) {
+    const description = String(criterion?.description || "").trim();
+    if (description && Number(criterion.points) > 0) points.push(pointFromText(description, { weight: 2 }));
+  }
+  const pitfalls = [];
+  let outline = [];
+
+  for (const section of sections) {
+    if (PITFALL_SECTION.test(section.heading)) {
+      pitfalls.push(...section.items.map((i) => i.text));
+      continue;
+    }
+    if (POINT_SECTION_SKIP.test(section.heading)) continue;
+    const core = CORE_SECTION.test(section.heading);
+    if (!outline.length && OUTLINE_SECTION.test(section.heading)) {
+      outline = section.items.map((i) => i.text);
+    }
+    for (const item of section.items) {
+      points.push(pointFromText(item.text, { weight: core ? 2 : 1, extra: item.children }));
+    }
+  }
+
+  points.sort((a, b) => b.weight - a.weight);
+  const selected = points.filter((p) => p.terms.length).slice(0, MAX_POINTS);
+
+  if (selected.length < 3) {
+    const text = String(question?.text || "");
+    for (const m of text.matchAll(/([^\s，。、：；（）()]{2,16})[（(]\s*\d+\s*分\s*[）)]/g)) {
+      selected.push(pointFromText(m[1], { weight: 2 }));
+    }
+  }
+
+  return { points: selected.filter((p) => p.terms.length), pitfalls, outline };
+}
+
+function buildHaystack(answer) {
+  const lower = String(answer || "").toLowerCase();
+  return { compact: normalize(lower), words: new Set(lower.split(/[^a-z0-9]+/).filter(Boolean)) };
+}
+
+function termMatched(term, haystack) {
+  // Short ASCII terms (its, did, rob...) only count as whole words.
+  return expandTerm(term).some((v) => (/^[a-z0-9]{1,4}$/.test(v) ? haystack.words.has(v) : haystack.compact.includes(v)));
+}
+
+function scorePoint(point, haystack) {
+  const matched = point.terms.filter((t) => termMatched(t, haystack));
+  const needed = Math.min(point.terms.length, 2);
+  return { matched, coverage: needed ? Math.min(1, matched.length / needed) : 0 };
+}
+
+function structureScore(answer) {
+  const lines = String(answer || "").split(/\r?\n/);
+  const listLines = lines.filter((l) => /^\s*(?:[-*•]|\d+[.)、]|[（(]\d+[）)]|[一二三四五六七八九十]+[、.])/.test(l)).length;
+  return Math.min(1, listLines / 3);
+}
+
+export function gradeOffline({ question, answer, maxScore, notesSnippet }) {
+  const max = Number(maxScore ?? question?.points) || 0;
+  const haystack = buildHaystack(answer);
+  const { points, pitfalls, outline } = buildExpectedPoints({ question, notesSnippet });
+
+  const scored = points.map((p) => ({ ...p, ...scorePoint(p, haystack) }));
+  const totalWeight = scored.reduce((sum, p) => sum + p.weight, 0);
+  const coverage = totalWeight ? scored.reduce((sum, p) => sum + p.weight * p.coverage, 0) / totalWeight : 0;
+  const structure = structureScore(answer);
+  const hasExample = termMatched("舉例", haystack);
+  const raw = 0.8 * coverage + 0.1 * structure + (hasExample ? 0.1 : 0);
+  const score = Math.max(0, Math.min(max, Math.round(raw * max)));
+
+  const covered = scored.filter((p) => p.coverage >= 1);
+  const partial = scored.filter((p) => p.coverage > 0 && p.coverage < 1);
+  const missing = scored.filter((p) => p.coverage === 0);
+
+  const improvements = [];
+  if (missing.length) improvements.push(`優先補上：${missing.slice(0, 3).map((p) => p.label).join("；")}`);
+  if (partial.length) improvements.push(`寫得不夠完整：${partial.slice(0, 3).map((p) => p.short).join("；")}`);
+  if (structure < 1) improvements.push("用條列／編號呈現段落骨架，讓閱卷者一眼看到得分點。");
+  if (!hasExample) improvements.push("至少補 1 個具體例子或情境化應用。");
+  for (const p of pitfalls.slice(0, 2)) improvements.push(`避免：${p}`);
+
+  const topics = (question?.booklistTopics || []).filter((t) => termMatched(t, haystack));
+  const timeboxMinutes = Math.min(120, Math.max(5, Math.round(max * 1.8)));
+
+  return {
+    score,
+    maxScore: max,
+    rationale: [
+      `離線規則評分（未使用 LLM）：涵蓋 ${covered.length}/${scored.length} 個預期要點`,
+      partial.length ? `，另有 ${partial.length} 個部分提到` : "",
+      `；加權涵蓋率 ${Math.round(coverage * 100)}%。`,
+      "此分數只比對關鍵詞與結構，無法判斷論證是否正確，請搭配筆記自行校正。"
+    ].join(""),
+    strengths: covered.slice(0, 6).map((p) => `有提到：${p.short}`),
+    missingPoints: missing.map((p) => p.label),
+    improvements,
+    suggestedOutline: outline.length ? outline : scored.filter((p) => p.weight > 1).map((p) => p.label),
+    booklistAlignment: { topics: topics.length ? topics : question?.booklistTopics || [], refsToReview: [] },
+    nextDrill: {
+      prompt: missing.length
+        ? `不看筆記，限時重寫本題，並確實寫到：${missing.slice(0, 3).map((p) => p.label).join("；")}`
+        : "不看筆記，換一個研究情境重寫本題，並補上限制與改善。",
+      timeboxMinutes
+    },
+    engine: "offline"
+  };
+}
@@ -0,0 +1,57 @@
+/* pacing.mjs - Per-question time budgets and countdown levels. Runs in Node and the browser.
+ * Papers are scored out of 100, so one point is worth examTimeMinutes / 100 minutes (180 min → 1.8 min). */
+
+export const PAPER_POINTS = 100;
+export const DEFAULT_EXAM_MINUTES = 180;
+
+// Countdown levels by share of the budget used, checked in order.
+const LEVELS = [
+  { level: "over", used: 1 },
+  { level: "warn", used: 0.8 },
+  { level: "half", used: 0.5 }
+];
+
+export function minutesPerPoint(set) {
+  const minutes = Number(set?.examTimeMinutes) > 0 ? Number(set.examTimeMinutes) : DEFAULT_EXAM_MINUTES;
+  return minutes / PAPER_POINTS;
+}
+
+/**
+ * Time budget for one question: its own `timeboxMinutes` (drills) when set, otherwise points × minutesPerPoint.
+ * Returns { seconds, source: "timebox" | "points", minutesPerPoint }.
+ */
+export function questionBudget(question, set) {
+  const perPoint = minutesPerPoint(set);
+  const timebox = Number(question?.timeboxMinutes);
+  if (timebox > 0) return { seconds: Math.round(timebox * 60), source: "timebox", minutesPerPoint: perPoint };
+  const points = Math.max(0, Number(question?.points) || 0);
+  return { seconds: Math.round(points * perPoint * 60), source: "points", minutesPerPoint: perPoint };
+}
+
+/**
+ * Where an answer stands against its budget. `elapsedSeconds` of 0 or less means the timer was not used:
+ * elapsed and overrun are null and the level stays "ok".
+ * Returns { budgetSeconds, elapsedSeconds, remainingSeconds, overrunSeconds, used, level }.
+ */
+export function pacingStatus(budgetSeconds, elapsedSeconds) {
+  const budget = Math.max(0, Math.round(Number(budgetSeconds) || 0));
+  const elapsed = Number(elapsedSeconds) > 0 ? Math.round(Number(elapsedSeconds)) : null;
+  if (elapsed == null) {
+    return { budgetSeconds: budget, elapsedSeconds: null, remainingSeconds: budget, overrunSeconds: null, used: 0, level: "ok" };
+  }
+  const used = budget ? elapsed / budget : 0;
+  return {
+    budgetSeconds: budget,
+    elapsedSeconds: elapsed,
+    remainingSeconds: Math.max(0, budget - elapsed),
+    overrunSeconds: Math.max(0, elapsed - budget),
+    used: Math.round(used * 1000) / 1000,
+    level: (budget && LEVELS.find((l) => used >= l.used)?.level) || "ok"
+  };
+}
+
+/** questionBudget + pacingStatus for one answer: what the grader and the attempt record get. */
+export function pacingFor(question, set, elapsedSeconds) {
+  const { seconds, source, minutesPerPoint: perPoint } = questionBudget(question, set);
+  return { source, minutesPerPoint: perPoint, ...pacingStatus(seconds, elapsedSeconds) };
+}
@@ -0,0 +1,94 @@
+/* pricing.mjs - Token usage arithmetic and estimated cost per model. Runs in Node and the browser.
+ * Prices are list prices in USD per 1M tokens, kept by hand: check the provider's pricing page when they change. */
+
+// Matched by longest prefix of the model id, so dated snapshots ("gpt-4o-2024-08-06") use their family's price.
+const PRICES = {
+  openai: {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4-turbo": { input: 10, output: 30 },
+    "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+    "o3-mini": { input: 1.1, output: 4.4 },
+    "o4-mini": { input: 1.1, output: 4.4 }
+  },
+  google: {
+    "gemini-1.5-flash-8b": { input: 0.0375, output: 0.15 },
+    "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+    "gemini-1.5-pro": { input: 1.25, output: 5 },
+    "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+    "gemini-2.5-pro": { input: 1.25, output: 10 }
+  },
+  claude: {
+    "claude-3-haiku": { input: 0.25, output: 1.25 },
+    "claude-3-5-haiku": { input: 0.8, output: 4 },
+    "claude-3-5-sonnet": { input: 3, output: 15 },
+    "claude-3-7-sonnet": { input: 3, output: 15 },
+    "claude-sonnet-4": { input: 3, output: 15 },
+    "claude-3-opus": { input: 15, output: 75 },
+    "claude-opus-4": { input: 15, output: 75 }
+  }
+};
+
+// Providers that never bill (a local server, the rule-based grader).
+const FREE_PROVIDERS = new Set(["local", "offline"]);
+
+// Rough size of one grading reply (scores, criteria, feedback lists), used for estimates before a call.
+export const GRADE_OUTPUT_TOKENS = 1200;
+
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    inputTokens: (total?.inputTokens || 0) + (usage.inputTokens || 0),
+    outputTokens: (total?.outputTokens || 0) + (usage.outputTokens || 0)
+  };
+}
+
+/** Price per 1M tokens ({ input, output }) for provider/model: zero for free providers, null when unknown. */
+export function priceFor(provider, model) {
+  if (FREE_PROVIDERS.has(provider)) return { input: 0, output: 0 };
+  const table = PRICES[provider];
+  const id = String(model || "").toLowerCase();
+  if (!table || !id) return null;
+  const key = Object.keys(table)
+    .filter((prefix) => id.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+/** Estimated USD for `usage` ({ inputTokens, outputTokens }); null when the model is not in the price table. */
+export function costOf(provider, model, usage) {
+  const price = priceFor(provider, model);
+  if (!price) return null;
+  const cost = ((usage?.inputTokens || 0) * price.input + (usage?.outputTokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Token count guess for prompt text without a tokenizer: about one token per CJK character and
+ * four characters per token for everything else. Meant for "about how much" before submitting, not billing.
+ */
+export function estimateTokens(text) {
+  const s = String(text || "");
+  const cjk = (s.match(/[\u3000-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((s.length - cjk) / 4);
+}
+
+/** Estimated usage and cost of one call with `messages` ([{ content }]) and about `outputTokens` of reply. */
+export function estimateCall(provider, model, messages, outputTokens = GRADE_OUTPUT_TOKENS) {
+  const usage = {
+    inputTokens: (messages || []).reduce((sum, m) => sum + estimateTokens(m.content), 0),
+    outputTokens
+  };
+  return { ...usage, cost: costOf(provider, model, usage) };
+}
+
+export function formatCost(cost) {
+  if (cost == null) return "—";
+  // Single calls cost fractions of a cent, so amounts under a dollar keep four decimals.
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
@@ -0,0 +1,148 @@
+/* review-scheduler.mjs - SM-2 style spaced repetition over graded attempts. Runs in Node and the browser. */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASS_QUALITY = 3;
+const DEFAULT_NEW_LIMIT = 3;
+
+// Score ratio -> SM-2 recall quality 0..5 in 20% steps, so 60% and up (quality 3) counts as remembered.
+// The epsilon keeps ratios such as 0.6 that land a hair below 3 in floating point from dropping a step.
+function qualityOf(scoreRatio) {
+  const ratio = Number(scoreRatio);
+  return Math.max(0, Math.min(5, Math.floor((Number.isFinite(ratio) ? ratio : 0) * 5 + 1e-9)));
+}
+
+function startOfDay(ms) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Replays one question's attempts (any order; each needs `at` and `scoreRatio`) through SM-2.
+ * Returns { reps, ease, intervalDays, lastAt, lastRatio, due, attempts } or null when never attempted.
+ */
+export function scheduleQuestion(attempts) {
+  const sorted = (attempts || []).filter((a) => Number.isFinite(a?.at)).sort((a, b) => a.at - b.at);
+  if (!sorted.length) return null;
+
+  let reps = 0;
+  let ease = START_EASE;
+  let intervalDays = 0;
+  for (const attempt of sorted) {
+    const q = qualityOf(attempt.scoreRatio);
+    if (q < PASS_QUALITY) {
+      reps = 0;
+      intervalDays = 1;
+    } else {
+      reps += 1;
+      intervalDays = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(intervalDays * ease);
+    }
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  }
+
+  const last = sorted[sorted.length - 1];
+  return {
+    reps,
+    ease: Math.round(ease * 100) / 100,
+    intervalDays,
+    lastAt: last.at,
+    lastRatio: Number(last.scoreRatio) || 0,
+    due: startOfDay(last.at) + intervalDays * DAY_MS,
+    attempts: sorted.length
+  };
+}
+
+// Weak answers first, then how far past due relative to the interval (capped so one stale item can't dominate).
+function priorityOf(schedule, today) {
+  const overdueDays = Math.max(0, (today - schedule.due) / DAY_MS);
+  return (1 - schedule.lastRatio) * 2 + Math.min(overdueDays / Math.max(1, schedule.intervalDays), 3);
+}
+
+// Greedy grouping: the highest-priority item pulls in the other items sharing its most common tag.
+function groupByTags(items) {
+  const remaining = items.slice();
+  const ordered = [];
+  while (remaining.length) {
+    const lead = remaining.shift();
+    let group = null;
+    let members = [];
+    for (const tag of lead.tags || []) {
+      const withTag = remaining.filter((item) => item.tags?.includes(tag));
+      if (withTag.length > members.length) {
+        group = tag;
+        members = withTag;
+      }
+    }
+    ordered.push({ ...lead, group });
+    for (const member of members) {
+      remaining.splice(remaining.indexOf(member), 1);
+      ordered.push({ ...member, group });
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Today's review queue across the bank. `questions` need { setId, id, title, tags }; `attempts` need
+ * { setId, questionId, at, scoreRatio }. Due and overdue questions come first by priority, followed by up to
+ * `newLimit` never-attempted ones; questions sharing a tag are kept next to each other (`group`).
+ * Returns { items, counts: { overdue, due, new, scheduled }, nextDue }.
+ */
+export function buildReviewQueue({ questions, attempts, now = Date.now(), newLimit = DEFAULT_NEW_LIMIT }) {
+  const today = startOfDay(now);
+  const byQuestion = new Map();
+  for (const attempt of attempts || []) {
+    const key = `${attempt.setId}:${attempt.questionId}`;
+    if (!byQuestion.has(key)) byQuestion.set(key, []);
+    byQuestion.get(key).push(attempt);
+  }
+
+  const review = [];
+  const fresh = [];
+  let scheduled = 0;
+  let nextDue = null;
+  for (const question of questions || []) {
+    const base = {
+      setId: question.setId,
+      questionId: question.id,
+      title: question.title,
+      section: question.section,
+      points: question.points,
+      tags: question.tags || []
+    };
+    const schedule = scheduleQuestion(byQuestion.get(`${question.setId}:${question.id}`));
+    if (!schedule) {
+      fresh.push({ ...base, status: "new", priority: 0 });
+      continue;
+    }
+    if (schedule.due > today) {
+      scheduled++;
+      if (nextDue == null || schedule.due < nextDue) nextDue = schedule.due;
+      continue;
+    }
+    review.push({
+      ...base,
+      ...schedule,
+      status: schedule.due < today ? "overdue" : "due",
+      overdueDays: Math.round((today - schedule.due) / DAY_MS),
+      priority: Math.round(priorityOf(schedule, today) * 100) / 100
+    });
+  }
+
+  review.sort((a, b) => b.priority - a.priority || a.lastRatio - b.lastRatio);
+  const limit = Math.max(0, Math.floor(Number(newLimit)));
+  const items = groupByTags([...review, ...fresh.slice(0, Number.isFinite(limit) ? limit : DEFAULT_NEW_LIMIT)]);
+
+  return {
+    items,
+    counts: {
+      overdue: review.filter((i) => i.status === "overdue").length,
+      due: review.filter((i) => i.status === "due").length,
+      new: fresh.length,
+      scheduled
+    },
+    nextDue
+  };
+}
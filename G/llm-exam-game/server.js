@@ -3,6 +3,26 @@ const http = require("node:http");
 const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
+const exams = require("./lib/exams");
+const defense = require("./lib/defense");
+const { createAttemptStore } = require("./lib/attempts");
+const { combineGrades, DEFAULT_THRESHOLD } = require("./lib/ensemble");
+const { createBank } = require("./lib/bank");
+const { draftFromSource } = require("./lib/importer");
+const { extractBooklistSection, extractNoteSection, questionNotes } = require("./lib/notes");
+const { createRetriever } = require("./lib/retrieval");
+const { buildMastery } = require("./lib/analytics");
+const { createUsageLedger } = require("./lib/usage");
+const { createGradeCache, gradeCacheKey } = require("./lib/grade-cache");
+const { SECURITY_HEADERS, createAccessGuard, isInside } = require("./lib/security");
+const { createUserStore } = require("./lib/users");
+const { createRateLimiter } = require("./lib/rate-limit");
+
+// Grading core, review scheduler, pacing and pricing shared with the static site (ES modules); loaded before the server starts listening.
+let core = null;
+let reviewScheduler = null;
+let pacingEngine = null;
+let pricing = null;
 
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, "public");
@@ -11,6 +31,14 @@ const REPO_ROOT = path.resolve(ROOT_DIR, "..", "..");
 
 const HOST = process.env.HOST || "127.0.0.1";
 const PORT = Number(process.env.PORT || 3000);
+const accessGuard = createAccessGuard({
+  host: HOST,
+  port: PORT,
+  allowedHosts: String(process.env.ALLOWED_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim())
+    .filter(Boolean)
+});
 const DEFAULT_OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const DEFAULT_GOOGLE_MODEL = process.env.GOOGLE_MODEL || "gemini-1.5-flash";
 const DEFAULT_CLAUDE_MODEL = process.env.CLAUDE_MODEL || process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022";
@@ -21,6 +49,7 @@ function contentTypeFor(filePath) {
     case ".html":
       return "text/html; charset=utf-8";
     case ".js":
+    case ".mjs":
       return "text/javascript; charset=utf-8";
     case ".css":
       return "text/css; charset=utf-8";
@@ -103,46 +132,58 @@ function loadDotEnv() {
 
 loadDotEnv();
 
-async function readSets() {
-  const filePath = path.join(DATA_DIR, "sets.json");
-  const json = JSON.parse(await fsp.readFile(filePath, "utf8"));
-  return json.sets || [];
-}
-
-async function readQuestions(setId) {
-  const filePath = path.join(DATA_DIR, `${setId}.questions.json`);
-  const json = JSON.parse(await fsp.readFile(filePath, "utf8"));
-  return json.questions || [];
+const LOCAL_BASE_URL = process.env.LOCAL_BASE_URL || "";
+const LOCAL_MODELS = String(process.env.LOCAL_MODELS || "")
+  .split(",")
+  .map((m) => m.trim())
+  .filter(Boolean);
+const DEFAULT_LOCAL_MODEL = process.env.LOCAL_MODEL || LOCAL_MODELS[0] || "llama3.1";
+
+const STORAGE_DIR = path.resolve(ROOT_DIR, process.env.STORAGE_DIR || "storage");
+const attempts = createAttemptStore({ filePath: path.join(STORAGE_DIR, "attempts.jsonl") });
+const usageLedger = createUsageLedger({ filePath: path.join(STORAGE_DIR, "usage.jsonl") });
+const gradeCache = createGradeCache({ dir: path.join(STORAGE_DIR, "grade-cache") });
+
+// Accounts are off unless AUTH_INVITE_CODE is set (LAN hosting); then every /api call outside /api/auth/ needs a login.
+const AUTH_INVITE_CODE = String(process.env.AUTH_INVITE_CODE || "").trim();
+const users = AUTH_INVITE_CODE ? createUserStore({ dir: STORAGE_DIR, inviteCode: AUTH_INVITE_CODE }) : null;
+const userAttempts = new Map();
+// Failed guesses cost scrypt time on our side; ten tries per address per quarter hour is plenty for typos.
+const authLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+const GRADE_RATE_LIMIT_PER_HOUR = Math.max(0, Math.floor(Number(process.env.GRADE_RATE_LIMIT_PER_HOUR)) || 0);
+const gradeLimiter = GRADE_RATE_LIMIT_PER_HOUR ? createRateLimiter({ limit: GRADE_RATE_LIMIT_PER_HOUR, windowMs: 60 * 60 * 1000 }) : null;
+
+// The signed-in user's id, or null when accounts are off (exams, defense sessions and attempts are then shared).
+function ownerOf(req) {
+  return req.user?.id ?? null;
 }
 
-function resolvePathFromRepo(relativePath) {
-  if (!relativePath) return null;
-  const resolved = path.resolve(REPO_ROOT, relativePath);
-  if (!resolved.startsWith(REPO_ROOT)) return null;
-  return resolved;
+// Each user's attempts live in their own file under storage/users/<id>/; without accounts, the shared file.
+function attemptsFor(owner) {
+  if (!owner) return attempts;
+  if (!userAttempts.has(owner)) {
+    userAttempts.set(owner, createAttemptStore({ filePath: path.join(users.userDir(owner), "attempts.jsonl") }));
+  }
+  return userAttempts.get(owner);
 }
 
-function extractBooklistSection(md) {
-  const marker = "## 參考書目校正（官方書單對照）";
-  const idx = md.indexOf(marker);
-  if (idx === -1) return null;
-  return md.slice(idx).trim();
+function readCap(name) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : null;
 }
 
-function extractNoteSection(md, noteHeading) {
-  if (!noteHeading) return null;
-  const start = md.indexOf(noteHeading);
-  if (start === -1) return null;
-
-  const searchFrom = start + noteHeading.length;
-  const nextH2 = md.indexOf("\n## ", searchFrom);
-  const nextH3 = md.indexOf("\n### ", searchFrom);
+// Optional spending caps in USD (unset or 0 = no cap); paid model calls are refused once the estimate would cross one.
+const SPENDING_CAPS = { day: readCap("DAILY_SPENDING_CAP_USD"), month: readCap("MONTHLY_SPENDING_CAP_USD") };
+const RETRIEVAL_TOP_K = Math.max(0, Math.floor(Number(process.env.RETRIEVAL_TOP_K ?? 4)) || 0);
+const retriever = createRetriever({ repoRoot: REPO_ROOT, log: (msg) => console.warn(msg) });
 
-  let end = md.length;
-  if (nextH2 !== -1) end = Math.min(end, nextH2);
-  if (nextH3 !== -1) end = Math.min(end, nextH3);
+const bank = createBank({ dataDir: DATA_DIR, readNotes: (set) => readSetNotes(set) });
 
-  return md.slice(start, end).trim();
+function resolvePathFromRepo(relativePath) {
+  if (!relativePath) return null;
+  const resolved = path.resolve(REPO_ROOT, relativePath);
+  if (!isInside(REPO_ROOT, resolved)) return null;
+  return resolved;
 }
 
 function normalizeProvider(value) {
@@ -152,6 +193,8 @@ function normalizeProvider(value) {
   if (v === "google") return "google";
   if (v === "openai") return "openai";
   if (v === "claude") return "claude";
+  if (v === "local" || v === "ollama" || v === "openai-compatible") return "local";
+  if (v === "offline") return "offline";
   return "openai";
 }
 
@@ -161,6 +204,10 @@ function defaultModelForProvider(provider) {
       return DEFAULT_GOOGLE_MODEL;
     case "claude":
       return DEFAULT_CLAUDE_MODEL;
+    case "local":
+      return DEFAULT_LOCAL_MODEL;
+    case "offline":
+      return "rubric-v1";
     case "openai":
     default:
       return DEFAULT_OPENAI_MODEL;
@@ -176,306 +223,857 @@ function normalizeModel(provider, model) {
   return trimmed;
 }
 
-function clampNumber(n, min, max, fallback) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return fallback;
-  return Math.min(max, Math.max(min, x));
+function normalizeBaseUrl(value) {
+  const trimmed = String(value || "").trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    throw httpError(400, "Base URL is not a valid URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw httpError(400, "Base URL must start with http:// or https://");
+  }
+  return trimmed;
+}
+
+async function readSetNotes(set) {
+  const notesPath = resolvePathFromRepo(set?.notesMd);
+  return notesPath ? await fsp.readFile(notesPath, "utf8").catch(() => "") : "";
 }
 
-async function callOpenAI({ apiKey, model, messages }) {
-  const resolvedKey = String(apiKey || "").trim() || process.env.OPENAI_API_KEY;
-  if (!resolvedKey) {
-    throw new Error("Missing OpenAI API key (set env OPENAI_API_KEY or input it in the UI)");
+const ENV_KEYS = {
+  openai: { vars: ["OPENAI_API_KEY"], label: "OpenAI" },
+  google: { vars: ["GOOGLE_API_KEY", "GEMINI_API_KEY"], label: "Google" },
+  claude: { vars: ["ANTHROPIC_API_KEY"], label: "Anthropic" },
+  local: { vars: ["LOCAL_API_KEY"], optional: true }
+};
+
+// Keys typed in the UI win; otherwise fall back to the server's environment. LOCAL_API_KEY only goes to
+// LOCAL_BASE_URL: a base URL typed in the UI gets the typed key or none, never the server's.
+function resolveApiKey(provider, apiKey, baseUrl) {
+  const spec = ENV_KEYS[provider];
+  const typed = String(apiKey || "").trim();
+  if (!spec || typed) return typed;
+  if (provider === "local" && resolveBaseUrl(provider, baseUrl) !== normalizeBaseUrl(LOCAL_BASE_URL)) return "";
+  const fromEnv = spec.vars.map((name) => process.env[name]).find(Boolean) || "";
+  if (!fromEnv && !spec.optional) {
+    throw new Error(`Missing ${spec.label} API key (set env ${spec.vars.join("/")} or input it in the UI)`);
   }
-  if (!resolvedKey.startsWith("sk-") || resolvedKey.length < 20) {
-    throw new Error("OpenAI API key format looks invalid");
+  return fromEnv;
+}
+
+function resolveBaseUrl(provider, baseUrl) {
+  if (provider !== "local") return "";
+  const resolved = normalizeBaseUrl(baseUrl) || normalizeBaseUrl(LOCAL_BASE_URL);
+  if (!resolved) throw new Error("Missing local base URL (set env LOCAL_BASE_URL or input it in the UI)");
+  return resolved;
+}
+
+// Top-k passages for the question + answer, minus the note section and booklist already in the prompt.
+async function retrievePassages({ set, question, answer, notesSnippet, booklistSnippet }) {
+  if (!RETRIEVAL_TOP_K) return [];
+  const alreadyIncluded = [notesSnippet, booklistSnippet].filter(Boolean);
+  try {
+    return await retriever.search(`${question.title}\n${question.text}\n${answer}`, {
+      k: RETRIEVAL_TOP_K,
+      exclude: (p) => p.source === set?.notesMd && alreadyIncluded.some((snippet) => snippet.includes(p.text))
+    });
+  } catch (e) {
+    console.warn(`檢索失敗，改用不含參考段落的提示：${e?.message || e}`);
+    return [];
   }
+}
 
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${resolvedKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      response_format: { type: "json_object" },
-      messages
-    })
-  });
+async function readPromptSnippets(set, question) {
+  const notesMd = await readSetNotes(set);
+  return {
+    notesSnippet: notesMd ? extractNoteSection(notesMd, question.noteHeading) : null,
+    booklistSnippet: notesMd ? extractBooklistSection(notesMd) : null
+  };
+}
 
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = data?.error?.message || `OpenAI API error (${res.status})`;
-    throw new Error(msg);
+// Books a call's tokens and estimated cost in the usage ledger; returns { inputTokens, outputTokens, cost } or null.
+async function bookUsage({ provider, model, purpose }, usage) {
+  if (!usage) return null;
+  const cost = pricing.costOf(provider, model, usage);
+  try {
+    await usageLedger.record({ provider, model, purpose, ...usage, cost });
+  } catch (e) {
+    console.warn(`用量紀錄寫入失敗：${e?.message || e}`);
   }
+  return { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, cost };
+}
 
-  const content = data?.choices?.[0]?.message?.content;
-  if (typeof content !== "string" || !content.trim()) {
-    throw new Error("OpenAI API returned empty content");
+/**
+ * Spends one unit of the caller's hourly quota (GRADE_RATE_LIMIT_PER_HOUR) for a model call on the server's
+ * keys. `owner` is the signed-in user (without accounts everyone shares one quota); offline rules and calls
+ * with the user's own key (`ownKey`) are free.
+ */
+function takeModelQuota({ provider, owner, ownKey }) {
+  if (!gradeLimiter || provider === "offline" || ownKey) return;
+  const { ok, retryAfterSeconds } = gradeLimiter.take(owner || "");
+  if (!ok) {
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    throw httpError(429, `已達每小時 ${GRADE_RATE_LIMIT_PER_HOUR} 次的模型呼叫上限，約 ${minutes} 分鐘後再試`);
   }
-  return content;
 }
 
-function sanitizeGoogleModel(model) {
-  const trimmed = String(model || "").trim();
-  const withoutPrefix = trimmed.startsWith("models/") ? trimmed.slice("models/".length) : trimmed;
-  if (!withoutPrefix) throw new Error("Missing Google model");
-  if (withoutPrefix.includes("/") || withoutPrefix.includes("?") || withoutPrefix.includes("#")) {
-    throw new Error("Google model name contains invalid characters");
+// Runs one model call and books its usage, failed calls included: the tokens of a rejected reply are billed too.
+// `spec` is { provider, model, purpose, owner, ownKey }; every call on the server's keys spends quota first.
+async function metered(spec, call) {
+  takeModelQuota(spec);
+  let outcome;
+  try {
+    outcome = await call();
+  } catch (e) {
+    await bookUsage(spec, e?.usage);
+    throw e;
   }
-  return withoutPrefix;
+  return { ...outcome, usage: await bookUsage(spec, outcome.usage) };
 }
 
-async function callGoogle({ apiKey, model, system, user }) {
-  const resolvedKey =
-    String(apiKey || "").trim() || process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-  if (!resolvedKey) {
-    throw new Error("Missing Google API key (set env GOOGLE_API_KEY/GEMINI_API_KEY or input it in the UI)");
+// Several calls' usage as one; the cost is unknown (null) as soon as one call could not be priced.
+function sumUsage(list) {
+  const present = list.filter(Boolean);
+  if (!present.length) return null;
+  const tokens = present.reduce((total, u) => pricing.addUsage(total, u), null);
+  const cost = present.some((u) => u.cost == null) ? null : Math.round(present.reduce((sum, u) => sum + u.cost, 0) * 1e6) / 1e6;
+  return { ...tokens, cost };
+}
+
+function spendingStatus() {
+  return { totals: usageLedger.totals(), caps: SPENDING_CAPS };
+}
+
+/**
+ * Refuses (402) a paid call when spending so far plus `estimate()` ({ cost }) would cross a cap. The estimate
+ * is only built when a cap is set; calls that cannot be priced (unknown model) are let through.
+ */
+async function assertWithinCap(estimate) {
+  if (!SPENDING_CAPS.day && !SPENDING_CAPS.month) return;
+  const { cost } = (await estimate()) || {};
+  const totals = usageLedger.totals();
+  for (const [period, label, envName] of [
+    ["day", "今日", "DAILY_SPENDING_CAP_USD"],
+    ["month", "本月", "MONTHLY_SPENDING_CAP_USD"]
+  ]) {
+    const cap = SPENDING_CAPS[period];
+    const spent = totals[period].cost;
+    if (cap && spent + (cost || 0) > cap) {
+      throw httpError(
+        402,
+        `${label}花費已達上限：已用 ${pricing.formatCost(spent)}，這次預估 ${pricing.formatCost(cost || 0)}，上限 ${pricing.formatCost(cap)}（.env 的 ${envName}）`
+      );
+    }
   }
+}
 
-  const safeModel = sanitizeGoogleModel(model);
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    safeModel
-  )}:generateContent?key=${encodeURIComponent(resolvedKey)}`;
-
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      systemInstruction: { parts: [{ text: system }] },
-      contents: [{ role: "user", parts: [{ text: user }] }],
-      generationConfig: {
-        temperature: 0.2,
-        responseMimeType: "application/json"
-      }
-    })
+// Notes, booklist and retrieved passages for grading `answer`; each grade request builds this once (readGradeRequest).
+async function gradingPrompt({ set, question, answer }) {
+  const { notesSnippet, booklistSnippet } = await readPromptSnippets(set, question);
+  const passages = await retrievePassages({ set, question, answer, notesSnippet, booklistSnippet });
+  return { notesSnippet, booklistSnippet, passages };
+}
+
+// Estimated usage of grading `request` before any call: the real prompt, once per ensemble grader.
+async function estimateGrade(request) {
+  const { question, answer, elapsedSeconds, pacing, prompt } = request;
+  const messages = core.buildGradingMessages({
+    question,
+    answer,
+    maxScore: Number(question.points) || 0,
+    elapsedSeconds,
+    pacing,
+    ...prompt
   });
+  const graders = request.ensemble?.graders || [request];
+  return { calls: graders.length, ...sumUsage(graders.map((g) => pricing.estimateCall(g.provider, g.model, messages))) };
+}
 
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = data?.error?.message || `Google API error (${res.status})`;
-    throw new Error(msg);
-  }
+async function gradeAnswer({
+  owner,
+  set,
+  question,
+  answer,
+  provider,
+  model,
+  apiKey,
+  baseUrl,
+  elapsedSeconds,
+  pacing,
+  prompt,
+  onDelta,
+  onRetry,
+  signal
+}) {
+  const context = prompt || (await gradingPrompt({ set, question, answer }));
+
+  const needsKey = provider !== "offline";
+  return await metered({ provider, model, purpose: "grade", owner, ownKey: Boolean(apiKey) }, () =>
+    core.gradeAnswer({
+      question,
+      answer,
+      provider,
+      model,
+      apiKey: needsKey ? resolveApiKey(provider, apiKey, baseUrl) : "",
+      baseUrl: resolveBaseUrl(provider, baseUrl),
+      elapsedSeconds,
+      pacing,
+      ...context,
+      onDelta,
+      onRetry,
+      signal
+    })
+  );
+}
 
-  const parts = data?.candidates?.[0]?.content?.parts;
-  const text = Array.isArray(parts) ? parts.map((p) => p?.text).filter(Boolean).join("") : null;
-  if (typeof text !== "string" || !text.trim()) {
-    throw new Error("Google API returned empty content");
-  }
-  return text;
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const MAX_ENSEMBLE_SIZE = 5;
+
+function parseProviderSpec(entry) {
+  if (entry && typeof entry === "object") return entry;
+  const text = String(entry || "").trim();
+  const colon = text.indexOf(":");
+  return colon === -1 ? { provider: text } : { provider: text.slice(0, colon), model: text.slice(colon + 1) };
 }
 
-async function callClaude({ apiKey, model, system, user }) {
-  const resolvedKey = String(apiKey || "").trim() || process.env.ANTHROPIC_API_KEY;
-  if (!resolvedKey) {
-    throw new Error("Missing Anthropic API key (set env ANTHROPIC_API_KEY or input it in the UI)");
+function configuredEnsembleProviders() {
+  return String(process.env.ENSEMBLE_PROVIDERS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// `ensemble: { samples }` repeats the requested grader; `ensemble: { providers }` grades once per listed
+// provider ("provider" or "provider:model" strings, objects, or "configured" for ENSEMBLE_PROVIDERS).
+function parseEnsemble(value, { provider, model, apiKey, baseUrl }) {
+  if (!value || typeof value !== "object") return null;
+
+  const listed = value.providers === "configured" ? configuredEnsembleProviders() : value.providers;
+  let graders;
+  if (Array.isArray(listed) && listed.length) {
+    graders = listed.slice(0, MAX_ENSEMBLE_SIZE).map((entry) => {
+      const spec = parseProviderSpec(entry);
+      const p = normalizeProvider(spec.provider);
+      const same = p === provider;
+      const ownKey = typeof spec.apiKey === "string" ? spec.apiKey.trim() : "";
+      return {
+        provider: p,
+        model: normalizeModel(p, spec.model || (same ? model : "")),
+        apiKey: ownKey || (same ? apiKey : ""),
+        baseUrl: p !== "local" ? "" : spec.baseUrl ? normalizeBaseUrl(spec.baseUrl) : same ? baseUrl : ""
+      };
+    });
+  } else {
+    const samples = Math.round(core.clampNumber(value.samples, 1, MAX_ENSEMBLE_SIZE, 3));
+    graders = Array.from({ length: samples }, () => ({ provider, model, apiKey, baseUrl }));
   }
-  if (resolvedKey.length < 20) {
-    throw new Error("Anthropic API key format looks invalid");
+  if (graders.length < 2) return null;
+
+  return {
+    method: value.method === "mean" ? "mean" : "median",
+    threshold: core.clampNumber(value.threshold, 0, 1, DEFAULT_THRESHOLD),
+    graders
+  };
+}
+
+async function readGradeRequest(req) {
+  const body = await readJson(req);
+  const setId = String(body.setId || "").trim();
+  const questionId = String(body.questionId || "").trim();
+  const provider = normalizeProvider(body.provider);
+  const model = normalizeModel(provider, body.model);
+  const apiKey = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
+  const baseUrl = provider === "local" ? normalizeBaseUrl(body.baseUrl) : "";
+  const answer = String(body.answer || "").trim();
+  const elapsedSeconds = core.clampNumber(body.elapsedSeconds, 0, 24 * 60 * 60, 0);
+
+  if (!setId) throw httpError(400, "Missing setId");
+  if (!questionId) throw httpError(400, "Missing questionId");
+  if (!answer) throw httpError(400, "Missing answer");
+
+  const questions = await bank.readQuestions(setId);
+  const question = questions.find((q) => q.id === questionId);
+  if (!question) throw httpError(404, "Question not found");
+
+  const sets = await bank.readSets();
+  const set = sets.find((s) => s.id === setId);
+
+  const ensemble = parseEnsemble(body.ensemble, { provider, model, apiKey, baseUrl });
+  const pacing = pacingEngine.pacingFor(question, set, elapsedSeconds);
+  // `force` skips the grading cache and pays for a fresh grade (which then replaces the cached one).
+  const force = body.force === true;
+  // Reading the notes and searching the sources is the slow part; the cache key, estimate and graders share it.
+  const prompt = await gradingPrompt({ set, question, answer });
+
+  return { owner: ownerOf(req), set, question, answer, provider, model, apiKey, baseUrl, elapsedSeconds, pacing, prompt, ensemble, force };
+}
+
+// Cache key of a grade request, or null when no model is called (offline rules cost nothing to rerun).
+// With accounts the key includes the owner, so one user's cached result and raw model output never reach another.
+function gradeCacheKeyFor(request) {
+  const { owner, question, answer, provider, model, ensemble, pacing, elapsedSeconds, prompt } = request;
+  const graders = ensemble ? ensemble.graders : [{ provider, model }];
+  if (graders.every((g) => g.provider === "offline")) return null;
+  return gradeCacheKey({
+    question,
+    answer,
+    graders,
+    ensemble: ensemble && { method: ensemble.method, threshold: ensemble.threshold },
+    promptVersion: core.GRADING_PROMPT_VERSION,
+    pacing,
+    elapsedSeconds,
+    context: prompt,
+    owner
+  });
+}
+
+/**
+ * Looks the request up in the grading cache. `hit` is shaped like a fresh grade (usage null: nothing was
+ * spent) with `cached: true` and `cachedAt`; a forced regrade never hits.
+ */
+async function lookupCachedGrade(request) {
+  const key = gradeCacheKeyFor(request);
+  const entry = key && !request.force ? await gradeCache.get(key) : null;
+  if (!entry) return { key, hit: null };
+  const { result, raw, provider, model, at } = entry;
+  return { key, hit: { result, raw, usage: null, provider, model, cached: true, cachedAt: at } };
+}
+
+async function storeCachedGrade(key, request, graded) {
+  if (!key) return;
+  try {
+    await gradeCache.put(key, {
+      provider: graded.provider || request.provider,
+      model: graded.model || request.model,
+      result: graded.result,
+      raw: graded.raw,
+      usage: graded.usage
+    });
+  } catch (e) {
+    console.warn(`評分快取寫入失敗：${e?.message || e}`);
   }
+}
 
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": resolvedKey,
-      "anthropic-version": "2023-06-01"
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.2,
-      max_tokens: 1400,
-      system,
-      messages: [{ role: "user", content: [{ type: "text", text: user }] }]
-    })
+function gradeResponse(request, graded, attempt) {
+  return {
+    result: graded.result,
+    raw: graded.raw,
+    attemptId: attempt.id,
+    pacing: request.pacing,
+    usage: graded.usage,
+    cached: Boolean(graded.cached),
+    ...(graded.cached ? { cachedAt: graded.cachedAt } : {})
+  };
+}
+
+async function gradeEnsemble({ ensemble, ...request }) {
+  const maxScore = Number(request.question.points) || 0;
+  const settled = await Promise.allSettled(ensemble.graders.map((grader) => gradeAnswer({ ...request, ...grader })));
+
+  const members = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    const { provider, model } = ensemble.graders[i];
+    if (outcome.status === "fulfilled") members.push({ provider, model, ...outcome.value });
+    else errors.push({ provider, model, error: outcome.reason?.message || "評分失敗" });
   });
+  if (!members.length) throw settled[0].reason;
+
+  const result = combineGrades(members, { maxScore, method: ensemble.method, threshold: ensemble.threshold });
+  if (errors.length) result.ensemble.errors = errors;
+  const raw = JSON.stringify(members.map(({ provider, model, raw }) => ({ provider, model, raw })));
+  // Failed members were booked in the ledger as well, but only the successful ones are on the attempt.
+  const usage = sumUsage(members.map((m) => m.usage));
+
+  // Attempts from a mixed-provider ensemble are filed under "ensemble" rather than the UI's provider.
+  const providers = new Set(ensemble.graders.map((g) => g.provider));
+  const models = new Set(ensemble.graders.map((g) => g.model));
+  const provider = providers.size === 1 ? request.provider : "ensemble";
+  const model = models.size === 1 ? request.model : ensemble.graders.map((g) => `${g.provider}:${g.model}`).join(",");
+  return { result, raw, usage, provider, model };
+}
 
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    const msg = data?.error?.message || `Anthropic API error (${res.status})`;
-    throw new Error(msg);
+/**
+ * Refuses up front a grade whose calls on the server's keys no longer fit in the caller's hourly quota, so an
+ * ensemble is not cut short halfway; metered() then spends the quota call by call. Cache hits never get here.
+ */
+function assertGradeQuota(request) {
+  if (!gradeLimiter) return;
+  const graders = request.ensemble ? request.ensemble.graders : [request];
+  const calls = graders.filter((g) => g.provider !== "offline" && !g.apiKey).length;
+  if (calls > GRADE_RATE_LIMIT_PER_HOUR) {
+    throw httpError(429, `這次評分要呼叫 ${calls} 次，超過每小時上限 ${GRADE_RATE_LIMIT_PER_HOUR} 次；請減少多評分者人數`);
   }
+  const left = gradeLimiter.remaining(request.owner || "");
+  if (calls > left) throw httpError(429, `這次評分要呼叫 ${calls} 次，本小時只剩 ${left} 次，請稍後再試`);
+}
 
-  const parts = data?.content;
-  const text = Array.isArray(parts) ? parts.map((p) => p?.text).filter(Boolean).join("") : null;
-  if (typeof text !== "string" || !text.trim()) {
-    throw new Error("Anthropic API returned empty content");
+async function handleGrade(req, res) {
+  const request = await readGradeRequest(req);
+  const { key, hit } = await lookupCachedGrade(request);
+  let graded = hit;
+  if (!graded) {
+    await assertWithinCap(() => estimateGrade(request));
+    assertGradeQuota(request);
+    graded = request.ensemble ? await gradeEnsemble(request) : await gradeAnswer(request);
+    await storeCachedGrade(key, request, graded);
   }
-  return text;
+  const attempt = await recordAttempt({ ...request, ...graded });
+  return sendJson(res, 200, gradeResponse(request, graded, attempt));
 }
 
-function safeJsonParse(text) {
-  if (typeof text !== "string") return null;
-  const trimmed = text.trim();
-  if (!trimmed) return null;
+// What grading this answer would cost, with spending so far; same body as /api/grade, nothing is called.
+// An answer already in the grading cache costs nothing (unless `force`).
+async function handleGradeEstimate(req, res) {
+  const request = await readGradeRequest(req);
+  const { hit } = await lookupCachedGrade(request);
+  const estimate = hit
+    ? { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, cached: true, cachedAt: hit.cachedAt }
+    : await estimateGrade(request);
+  return sendJson(res, 200, { estimate, ...spendingStatus() });
+}
 
-  try {
-    return JSON.parse(trimmed);
-  } catch {
-    // keep going
+async function handleGradeStream(req, res) {
+  const request = await readGradeRequest(req);
+  const { key, hit } = await lookupCachedGrade(request);
+  if (!hit) {
+    await assertWithinCap(() => estimateGrade(request));
+    assertGradeQuota(request);
   }
 
-  const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
-  if (fenceMatch?.[1]) {
-    try {
-      return JSON.parse(fenceMatch[1].trim());
-    } catch {
-      // keep going
-    }
-  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive"
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-  const first = trimmed.indexOf("{");
-  const last = trimmed.lastIndexOf("}");
-  if (first !== -1 && last !== -1 && last > first) {
-    try {
-      return JSON.parse(trimmed.slice(first, last + 1));
-    } catch {
-      // ignore
+  try {
+    let graded = hit;
+    if (!graded) {
+      // Ensemble members grade in parallel, so their deltas would interleave; only the combined result is sent.
+      graded = request.ensemble
+        ? await gradeEnsemble({ ...request, signal: controller.signal })
+        : await gradeAnswer({
+            ...request,
+            onDelta: (text) => send("delta", { text }),
+            onRetry: (info) => send("retry", info),
+            signal: controller.signal
+          });
+      await storeCachedGrade(key, request, graded);
     }
+    const attempt = await recordAttempt({ ...request, ...graded });
+    send("result", gradeResponse(request, graded, attempt));
+  } catch (e) {
+    if (!controller.signal.aborted) send("error", { error: e?.message || "Internal error" });
   }
+  res.end();
+}
 
-  return null;
+async function recordAttempt({
+  owner,
+  set,
+  question,
+  answer,
+  provider,
+  model,
+  elapsedSeconds,
+  pacing,
+  result,
+  raw,
+  usage,
+  cached,
+  cachedAt,
+  examId,
+  mode,
+  transcript
+}) {
+  return await attemptsFor(owner).add({
+    setId: set?.id || "",
+    setTitle: set?.title || "",
+    questionId: question.id,
+    questionTitle: question.title,
+    section: question.section,
+    provider,
+    model,
+    elapsedSeconds: typeof elapsedSeconds === "number" ? elapsedSeconds : null,
+    budgetSeconds: pacing?.budgetSeconds ?? null,
+    overrunSeconds: pacing?.overrunSeconds ?? null,
+    examId: examId || null,
+    mode: mode || "written",
+    usage: usage || null,
+    ...(cached ? { cached: true, cachedAt } : {}),
+    answer,
+    result,
+    raw,
+    ...(transcript ? { defense: transcript } : {})
+  });
 }
 
-function buildGradingMessages({ question, answer, maxScore, elapsedSeconds, notesSnippet, booklistSnippet }) {
-  const system = [
-    "你是博士班資格考『研究法』閱卷老師，目標是幫考生用考試取向提升得分。",
-    "請使用繁體中文回覆。",
-    "你只能引用/建議回頭閱讀『官方書單對照』中出現的參考來源；不要自行杜撰書目或章節。",
-    "評分重點：概念正確、對齊配分、結構清楚、能舉例或情境化。",
-    "輸出必須是 JSON（不要 Markdown、不要多餘文字）。"
-  ].join("\n");
+function examGrader({ set, provider, model, apiKey, baseUrl, owner }) {
+  return async ({ question, answer, examId }) => {
+    // The paper has one clock, so only the budget goes to the grader.
+    const pacing = pacingEngine.pacingFor(question, set, null);
+    const graded = await gradeAnswer({ owner, set, question, answer, provider, model, apiKey, baseUrl, pacing });
+    await recordAttempt({ owner, set, question, answer, provider, model, examId, pacing, ...graded });
+    return graded;
+  };
+}
 
-  const userParts = [];
-  userParts.push(`【題目｜${question.section}｜${maxScore} 分】\n${question.text}`);
-  if (question.booklistTopics?.length) {
-    userParts.push(`\n【題目對應書單主題】\n- ${question.booklistTopics.join("\n- ")}`);
-  }
-  if (typeof elapsedSeconds === "number") {
-    userParts.push(`\n【作答時間】\n${elapsedSeconds} 秒（僅供參考）`);
-  }
-  userParts.push(`\n【考生答案】\n${answer}`);
-  if (notesSnippet) {
-    userParts.push(`\n【本專案重點筆記（校正用；不要逐字引用）】\n${notesSnippet}`);
-  }
-  if (booklistSnippet) {
-    userParts.push(`\n【官方書單對照（可引用；不可杜撰）】\n${booklistSnippet}`);
+async function handleAttemptsList(req, res, url) {
+  const provider = url.searchParams.get("provider");
+  const list = attemptsFor(ownerOf(req)).list({
+    setId: url.searchParams.get("set"),
+    questionId: url.searchParams.get("question"),
+    provider: !provider ? null : provider === "ensemble" ? provider : normalizeProvider(provider),
+    from: url.searchParams.get("from"),
+    to: url.searchParams.get("to"),
+    limit: url.searchParams.get("limit")
+  });
+  return sendJson(res, 200, { attempts: list });
+}
+
+// Questions of every set (or just ?set=), each tagged with its setId.
+async function readBankQuestions(setId) {
+  const sets = (await bank.readSets()).filter((s) => !setId || s.id === setId);
+  if (setId && !sets.length) throw httpError(404, "Set not found");
+  const questions = [];
+  for (const set of sets) {
+    for (const q of await bank.readQuestions(set.id)) questions.push({ ...q, setId: set.id });
   }
+  return { sets, questions };
+}
 
-  const outputContract = {
-    score: "number (0..maxScore, preferably integer)",
-    maxScore: "number",
-    rationale: "string (總評，100~200字)",
-    strengths: "string[]",
-    missingPoints: "string[]",
-    improvements: "string[]",
-    suggestedOutline: "string[] (用可直接抄寫的答題段落骨架)",
-    booklistAlignment: {
-      topics: "string[] (從題目對應主題挑)",
-      refsToReview: "string[] (只能從官方書單對照出現過的條目挑)"
-    },
-    nextDrill: {
-      prompt: "string (下一題練習題，請你出一題同題型但換情境的題目)",
-      timeboxMinutes: "number (建議練習時間)"
-    }
-  };
+// Today's review queue over every set (or one with ?set=); ?new= caps how many unseen questions are mixed in.
+async function handleReview(req, res, url) {
+  const setId = url.searchParams.get("set");
+  const { sets, questions } = await readBankQuestions(setId);
+  const queue = reviewScheduler.buildReviewQueue({
+    questions,
+    attempts: attemptsFor(ownerOf(req)).all({ setId }),
+    newLimit: url.searchParams.get("new") ?? undefined
+  });
+  const titles = new Map(sets.map((s) => [s.id, s.title]));
+  const items = queue.items.map((item) => ({ ...item, setTitle: titles.get(item.setId) || item.setId }));
+  return sendJson(res, 200, { ...queue, items });
+}
+
+// Turns an attempt's nextDrill into a question in the drills set; the prompt comes from the stored attempt.
+async function handleDrill(req, res) {
+  const body = await readJson(req);
+  const attempt = attemptsFor(ownerOf(req)).get(body.attemptId);
+  if (!attempt) throw httpError(404, "Attempt not found");
+  const set = await bank.getSet(attempt.setId);
+  const question = (await bank.readQuestions(set.id)).find((q) => q.id === attempt.questionId);
+  if (!question) throw httpError(404, "原題已不在題庫中");
+  const drill = await bank.createDrill({ set, question, drill: attempt.result?.nextDrill, attemptId: attempt.id });
+  return sendJson(res, 200, drill);
+}
 
-  userParts.push(`\n【輸出格式（必須符合）】\n${JSON.stringify(outputContract, null, 2)}`);
-  userParts.push("\n【要求】score 不得超過 maxScore；若答案明顯離題/錯誤，請直接點出並給最短可補救版本。");
+const MAX_FOLLOWUP_CHARS = 2000;
 
-  return [
-    { role: "system", content: system },
-    { role: "user", content: userParts.join("\n\n") }
+// One turn of the follow-up chat on a graded attempt; the stored history and grading result are the context.
+async function handleFollowup(req, res) {
+  const body = await readJson(req);
+  const message = String(body.message || "").trim();
+  if (!message) throw httpError(400, "Missing message");
+  if (message.length > MAX_FOLLOWUP_CHARS) throw httpError(400, `追問請在 ${MAX_FOLLOWUP_CHARS} 字以內`);
+
+  const store = attemptsFor(ownerOf(req));
+  const attempt = store.get(body.attemptId);
+  if (!attempt) throw httpError(404, "Attempt not found");
+  if (!attempt.result) throw httpError(400, "這筆作答沒有評分結果");
+  const set = await bank.getSet(attempt.setId);
+  const question = (await bank.readQuestions(set.id)).find((q) => q.id === attempt.questionId);
+  if (!question) throw httpError(404, "原題已不在題庫中");
+
+  const provider = normalizeProvider(body.provider);
+  const model = normalizeModel(provider, body.model);
+  const apiKey = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
+  const context = {
+    question,
+    answer: attempt.answer,
+    result: attempt.result,
+    message,
+    history: attempt.followups,
+    ...(await readPromptSnippets(set, question))
+  };
+  await assertWithinCap(() => pricing.estimateCall(provider, model, core.buildFollowupMessages(context)));
+  const { reply, usage } = await metered({ provider, model, purpose: "followup", owner: ownerOf(req), ownKey: Boolean(apiKey) }, () =>
+    core.askFollowup({
+      ...context,
+      provider,
+      model,
+      apiKey: provider === "offline" ? "" : resolveApiKey(provider, apiKey, body.baseUrl),
+      baseUrl: resolveBaseUrl(provider, normalizeBaseUrl(body.baseUrl))
+    })
+  );
+
+  const at = Date.now();
+  const turns = [
+    { role: "user", text: message, at },
+    {
+      role: "assistant",
+      text: reply.text,
+      refsToReview: reply.refsToReview,
+      unverifiedRefs: reply.unverifiedRefs,
+      provider,
+      model,
+      usage,
+      at
+    }
   ];
+  const updated = await store.addFollowup(attempt.id, turns);
+  return sendJson(res, 200, { reply, followups: updated.followups });
 }
 
-async function handleGrade(req, res) {
+async function handleAnalytics(req, res, url) {
+  const setId = url.searchParams.get("set");
+  const { questions } = await readBankQuestions(setId);
+  return sendJson(res, 200, buildMastery({ questions, attempts: attemptsFor(ownerOf(req)).all({ setId }) }));
+}
+
+async function handleExamStart(req, res) {
   const body = await readJson(req);
   const setId = String(body.setId || "").trim();
-  const questionId = String(body.questionId || "").trim();
   const provider = normalizeProvider(body.provider);
   const model = normalizeModel(provider, body.model);
   const apiKey = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
-  const answer = String(body.answer || "").trim();
-  const elapsedSeconds = clampNumber(body.elapsedSeconds, 0, 24 * 60 * 60, 0);
+  const baseUrl = provider === "local" ? normalizeBaseUrl(body.baseUrl) : "";
 
   if (!setId) return sendError(res, 400, "Missing setId");
+  const sets = await bank.readSets();
+  const set = sets.find((s) => s.id === setId);
+  if (!set) return sendError(res, 404, "Set not found");
+  const questions = await bank.readQuestions(setId);
+  // Papers are graded at submit or at the deadline, which a cap must not cut off halfway; it is checked up front.
+  await assertWithinCap(() => null);
+  // Fail on a missing key before the student sits the whole paper.
+  resolveApiKey(provider, apiKey, baseUrl);
+  resolveBaseUrl(provider, baseUrl);
+
+  const owner = ownerOf(req);
+  const grade = examGrader({ set, provider, model, apiKey, baseUrl, owner });
+  const exam = exams.createExam({ set, questions, provider, model, apiKey, baseUrl, grade, owner });
+  return sendJson(res, 200, { exam: exams.toPublicExam(exam) });
+}
+
+async function handleExamAnswer(req, res, examId) {
+  const body = await readJson(req);
+  const questionId = String(body.questionId || "").trim();
   if (!questionId) return sendError(res, 400, "Missing questionId");
-  if (!answer) return sendError(res, 400, "Missing answer");
 
-  const questions = await readQuestions(setId);
-  const question = questions.find((q) => q.id === questionId);
-  if (!question) return sendError(res, 404, "Question not found");
+  const exam = exams.getExam(examId, ownerOf(req));
+  exams.recordAnswer(exam, questionId, body.answer);
+  return sendJson(res, 200, { exam: exams.toPublicExam(exam) });
+}
 
-  const maxScore = Number(question.points) || 0;
+async function handleExamSubmit(req, res, examId) {
+  const exam = exams.getExam(examId, ownerOf(req));
+  const sets = await bank.readSets();
+  const set = sets.find((s) => s.id === exam.setId);
+  const { provider, model, apiKey, baseUrl, owner } = exam;
 
-  const sets = await readSets();
-  const set = sets.find((s) => s.id === setId);
-  const notesPath = resolvePathFromRepo(set?.notesMd);
-  const notesMd = notesPath ? await fsp.readFile(notesPath, "utf8").catch(() => "") : "";
-  const notesSnippet = notesMd ? extractNoteSection(notesMd, question.noteHeading) : null;
-  const booklistSnippet = notesMd ? extractBooklistSection(notesMd) : null;
+  await exams.submitExam(exam, examGrader({ set, provider, model, apiKey, baseUrl, owner }));
+  return sendJson(res, 200, { exam: exams.toPublicExam(exam) });
+}
+
+// Model steps of an oral-defense session: the examiner questions and the final transcript scoring.
+function defenseSteps(session) {
+  const { provider, model } = session;
+  const context = async () => {
+    const set = await bank.getSet(session.setId);
+    return {
+      set,
+      llm: {
+        provider,
+        model,
+        apiKey: resolveApiKey(provider, session.apiKey, session.baseUrl),
+        baseUrl: resolveBaseUrl(provider, session.baseUrl),
+        ...(await readPromptSnippets(set, session.question))
+      }
+    };
+  };
+
+  // Each step is checked against the spending cap with its own prompt, then booked.
+  const call = async (purpose, build, run, args) => {
+    await assertWithinCap(() => pricing.estimateCall(provider, model, build(args)));
+    return await metered({ provider, model, purpose, owner: session.owner, ownKey: Boolean(session.apiKey) }, () => run(args));
+  };
 
-  const messages = buildGradingMessages({
+  return {
+    ask: async ({ examiner, round }) => {
+      const { llm } = await context();
+      const { question, usage } = await call("defense", core.buildExaminerMessages, core.askExaminer, {
+        ...llm,
+        question: session.question,
+        answer: session.answer,
+        turns: session.turns,
+        persona: core.getExaminerPersona(examiner),
+        round,
+        rounds: session.rounds,
+        replySeconds: session.replySeconds
+      });
+      session.usage = sumUsage([session.usage, usage]);
+      return question;
+    },
+    score: async () => {
+      const { set, llm } = await context();
+      const { result, raw, usage } = await call("defense", core.buildDefenseScoringMessages, core.scoreDefense, {
+        ...llm,
+        question: session.question,
+        answer: session.answer,
+        turns: session.turns,
+        panel: session.panel
+      });
+      const attempt = await recordAttempt({
+        owner: session.owner,
+        set,
+        question: session.question,
+        answer: session.answer,
+        provider,
+        model,
+        elapsedSeconds: session.turns.reduce((sum, t) => sum + (t.elapsedSeconds || 0), 0),
+        result,
+        raw,
+        usage: sumUsage([session.usage, usage]),
+        mode: "defense",
+        transcript: { sessionId: session.id, panel: session.panel, replySeconds: session.replySeconds, turns: session.turns }
+      });
+      return { result, attemptId: attempt.id };
+    }
+  };
+}
+
+async function handleDefenseStart(req, res) {
+  const body = await readJson(req);
+  const setId = String(body.setId || "").trim();
+  const questionId = String(body.questionId || "").trim();
+  const provider = normalizeProvider(body.provider);
+  const model = normalizeModel(provider, body.model);
+  const apiKey = typeof body.apiKey === "string" ? body.apiKey.trim() : "";
+  const baseUrl = provider === "local" ? normalizeBaseUrl(body.baseUrl) : "";
+
+  if (!setId) throw httpError(400, "Missing setId");
+  if (!questionId) throw httpError(400, "Missing questionId");
+  if (!core.getProvider(provider).call) throw httpError(400, "口試模擬需要 LLM 供應商（離線規則評分無法扮演委員）");
+  const set = await bank.getSet(setId);
+  const question = (await bank.readQuestions(setId)).find((q) => q.id === questionId);
+  if (!question) throw httpError(404, "Question not found");
+
+  const panel = [...new Set(Array.isArray(body.panel) ? body.panel : [])].filter((id) => core.getExaminerPersona(id));
+  // Fail on a missing key before the session exists.
+  resolveApiKey(provider, apiKey, baseUrl);
+  resolveBaseUrl(provider, baseUrl);
+
+  const session = defense.createDefense({
+    set,
     question,
-    answer,
-    maxScore,
-    elapsedSeconds,
-    notesSnippet,
-    booklistSnippet
+    answer: body.answer,
+    panel,
+    rounds: body.rounds,
+    replySeconds: body.replySeconds,
+    provider,
+    model,
+    apiKey,
+    baseUrl,
+    owner: ownerOf(req)
   });
+  await defense.start(session, defenseSteps(session));
+  return sendJson(res, 200, { defense: defense.toPublicDefense(session) });
+}
 
-  const system = messages?.[0]?.content || "";
-  const user = messages?.[1]?.content || "";
+async function handleDefenseReply(req, res, sessionId) {
+  const body = await readJson(req);
+  const session = defense.getDefense(sessionId, ownerOf(req));
+  await defense.reply(session, body.text, defenseSteps(session));
+  return sendJson(res, 200, { defense: defense.toPublicDefense(session) });
+}
 
-  let raw = "";
-  if (provider === "google") {
-    raw = await callGoogle({ apiKey, model, system, user });
-  } else if (provider === "claude") {
-    raw = await callClaude({ apiKey, model, system, user });
-  } else {
-    raw = await callOpenAI({ apiKey, model, messages });
-  }
-  const parsed = safeJsonParse(raw);
-  if (!parsed) {
-    return sendJson(res, 200, {
-      result: {
-        score: 0,
-        maxScore,
-        rationale: "模型回傳格式不是 JSON，請重試。",
-        strengths: [],
-        missingPoints: [],
-        improvements: [],
-        suggestedOutline: [],
-        booklistAlignment: { topics: [], refsToReview: [] },
-        nextDrill: { prompt: "", timeboxMinutes: 10 }
-      },
-      raw
-    });
-  }
+async function handleDefenseFinish(req, res, sessionId) {
+  const session = defense.getDefense(sessionId, ownerOf(req));
+  await defense.finish(session, defenseSteps(session));
+  return sendJson(res, 200, { defense: defense.toPublicDefense(session) });
+}
+
+async function handleNotes(req, res, url) {
+  const setId = url.searchParams.get("set");
+  const questionId = url.searchParams.get("question");
+  if (!setId) return sendError(res, 400, "Missing set");
+  if (!questionId) return sendError(res, 400, "Missing question");
+  const set = await bank.getSet(setId);
+  const question = (await bank.readQuestions(setId)).find((q) => q.id === questionId);
+  if (!question) return sendError(res, 404, "Question not found");
 
-  parsed.maxScore = maxScore;
-  if (typeof parsed.score !== "number" || !Number.isFinite(parsed.score)) parsed.score = 0;
-  parsed.score = Math.max(0, Math.min(maxScore, parsed.score));
+  const notes = question.noteHeading ? questionNotes(await readSetNotes(set), question.noteHeading) : null;
+  if (!notes) return sendError(res, 404, "這題沒有對應的筆記");
+  return sendJson(res, 200, { notes, source: set.notesMd });
+}
 
-  if (!Array.isArray(parsed.strengths)) parsed.strengths = [];
-  if (!Array.isArray(parsed.missingPoints)) parsed.missingPoints = [];
-  if (!Array.isArray(parsed.improvements)) parsed.improvements = [];
-  if (!Array.isArray(parsed.suggestedOutline)) parsed.suggestedOutline = [];
-  if (!parsed.booklistAlignment || typeof parsed.booklistAlignment !== "object") {
-    parsed.booklistAlignment = { topics: [], refsToReview: [] };
+// Drafts a questions file from the set's sourcePdf (or `pdf`, a repo-relative path); nothing live changes.
+async function handleImport(req, res) {
+  const body = await readJson(req);
+  const setId = String(body.setId || "").trim();
+  if (!setId) return sendError(res, 400, "Missing setId");
+  const set = await bank.getSet(setId);
+  const sourcePath = resolvePathFromRepo(body.pdf || set.sourcePdf);
+  if (!sourcePath) return sendError(res, 400, body.pdf ? "pdf 必須是 repo 內的相對路徑" : "這個題庫沒有設定 sourcePdf");
+
+  const draft = await draftFromSource({
+    setId,
+    sourcePath,
+    label: (file) => path.relative(REPO_ROOT, file)
+  });
+  const draftPath = body.dryRun ? null : await bank.writeDraft(setId, draft);
+  return sendJson(res, 200, { draft, path: draftPath && path.relative(ROOT_DIR, draftPath) });
+}
+
+function requireUsers() {
+  if (!users) throw httpError(404, "這個伺服器沒有啟用帳號（設定 AUTH_INVITE_CODE 才會啟用）");
+  return users;
+}
+
+// Login, registration and logout; the only /api routes reachable before signing in.
+async function handleAuth(req, res, url) {
+  if (url.pathname === "/api/auth/status" && req.method === "GET") {
+    return sendJson(res, 200, { enabled: Boolean(users), user: req.user, gradeRateLimitPerHour: GRADE_RATE_LIMIT_PER_HOUR || null });
   }
-  if (!Array.isArray(parsed.booklistAlignment.topics)) parsed.booklistAlignment.topics = [];
-  if (!Array.isArray(parsed.booklistAlignment.refsToReview)) parsed.booklistAlignment.refsToReview = [];
-  if (!parsed.nextDrill || typeof parsed.nextDrill !== "object") {
-    parsed.nextDrill = { prompt: "", timeboxMinutes: 10 };
+  if (url.pathname === "/api/auth/logout" && req.method === "POST") {
+    const store = requireUsers();
+    store.endSession(req);
+    res.setHeader("Set-Cookie", store.sessionCookie(""));
+    return sendJson(res, 200, { ok: true });
   }
-  if (typeof parsed.nextDrill.prompt !== "string") parsed.nextDrill.prompt = "";
-  parsed.nextDrill.timeboxMinutes = clampNumber(parsed.nextDrill.timeboxMinutes, 5, 120, 15);
 
-  return sendJson(res, 200, { result: parsed, raw });
+  const action = { "/api/auth/login": "login", "/api/auth/register": "register" }[url.pathname];
+  if (!action || req.method !== "POST") return sendError(res, 404, "Not found");
+  const store = requireUsers();
+  const body = await readJson(req);
+  if (!authLimiter.take(req.socket.remoteAddress || "").ok) throw httpError(429, "嘗試次數太多，請 15 分鐘後再試");
+  const user =
+    action === "register"
+      ? await store.register({ name: body.name, passcode: body.passcode, inviteCode: body.inviteCode })
+      : await store.verify(body.name, body.passcode);
+  res.setHeader("Set-Cookie", store.sessionCookie(store.startSession(user)));
+  return sendJson(res, 200, { user });
+}
+
+async function handleProfile(req, res) {
+  const { settings, drafts } = await requireUsers().readProfile(req.user.id);
+  return sendJson(res, 200, { user: req.user, settings, drafts });
 }
 
 async function serveStatic(req, res, urlPath) {
@@ -483,13 +1081,15 @@ async function serveStatic(req, res, urlPath) {
   const safePath = path.normalize(pathname).replace(/^(\.\.[/\\])+/, "");
   const filePath = path.join(PUBLIC_DIR, safePath);
 
-  if (!filePath.startsWith(PUBLIC_DIR)) return sendError(res, 403, "Forbidden");
+  if (!isInside(PUBLIC_DIR, filePath)) return sendError(res, 403, "Forbidden");
 
   try {
     const stat = await fsp.stat(filePath);
     if (!stat.isFile()) return sendError(res, 404, "Not found");
-    const data = await fsp.readFile(filePath);
+    let data = await fsp.readFile(filePath);
+    if (path.extname(filePath).toLowerCase() === ".html") data = Buffer.from(accessGuard.embedToken(data.toString("utf8")));
     res.writeHead(200, {
+      ...SECURITY_HEADERS,
       "Content-Type": contentTypeFor(filePath),
       "Content-Length": data.length,
       "Cache-Control": "no-store"
@@ -502,7 +1102,13 @@ async function serveStatic(req, res, urlPath) {
 
 const server = http.createServer(async (req, res) => {
   try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
+    // Fixed base: the Host header is checked by the guard, and a missing or garbage one must get its 403, not a URL error.
+    const url = new URL(req.url, "http://localhost");
+    accessGuard.check(req, url);
+    req.user = users ? users.userFor(req) : null;
+
+    if (url.pathname.startsWith("/api/auth/")) return await handleAuth(req, res, url);
+    if (users && !req.user && url.pathname.startsWith("/api/")) return sendError(res, 401, "請先登入");
 
     if (url.pathname === "/api/health" && req.method === "GET") {
       return sendJson(res, 200, {
@@ -511,38 +1117,198 @@ const server = http.createServer(async (req, res) => {
         env: {
           openai: Boolean(process.env.OPENAI_API_KEY),
           google: Boolean(process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY),
-          claude: Boolean(process.env.ANTHROPIC_API_KEY)
+          claude: Boolean(process.env.ANTHROPIC_API_KEY),
+          local: Boolean(LOCAL_BASE_URL),
+          offline: true
         },
+        local: { baseUrl: LOCAL_BASE_URL, models: LOCAL_MODELS, defaultModel: DEFAULT_LOCAL_MODEL },
         hasApiKey: Boolean(process.env.OPENAI_API_KEY),
         hasEnvApiKey: Boolean(process.env.OPENAI_API_KEY)
       });
     }
 
+    if (url.pathname === "/api/profile" && req.method === "GET") {
+      return await handleProfile(req, res);
+    }
+
+    if (url.pathname === "/api/profile/settings" && req.method === "PUT") {
+      return sendJson(res, 200, { settings: await requireUsers().saveSettings(req.user.id, (await readJson(req)).settings) });
+    }
+
+    if (url.pathname === "/api/drafts" && req.method === "PUT") {
+      return sendJson(res, 200, await requireUsers().saveDraft(req.user.id, await readJson(req)));
+    }
+
     if (url.pathname === "/api/sets" && req.method === "GET") {
-      const sets = await readSets();
+      const sets = await bank.readSets();
       return sendJson(res, 200, { sets });
     }
 
     if (url.pathname === "/api/questions" && req.method === "GET") {
       const setId = url.searchParams.get("set");
       if (!setId) return sendError(res, 400, "Missing set");
-      const questions = await readQuestions(setId);
+      const questions = await bank.readQuestions(setId);
       return sendJson(res, 200, { questions });
     }
 
+    if (url.pathname === "/api/notes" && req.method === "GET") {
+      return await handleNotes(req, res, url);
+    }
+
+    if (url.pathname === "/api/sets" && req.method === "POST") {
+      const set = await bank.createSet(await readJson(req));
+      return sendJson(res, 200, { set });
+    }
+
+    const setMatch = url.pathname.match(/^\/api\/sets\/([\w-]+)(\/order)?$/);
+    if (setMatch) {
+      const [, setId, order] = setMatch;
+      if (order && req.method === "PUT") {
+        const body = await readJson(req);
+        return sendJson(res, 200, { questions: await bank.reorderQuestions(setId, body.order) });
+      }
+      if (!order && req.method === "PUT") {
+        return sendJson(res, 200, { set: await bank.updateSet(setId, await readJson(req)) });
+      }
+      if (!order && req.method === "DELETE") {
+        await bank.deleteSet(setId);
+        return sendJson(res, 200, { ok: true });
+      }
+    }
+
+    if (url.pathname === "/api/questions" && req.method === "POST") {
+      const body = await readJson(req);
+      const question = await bank.createQuestion(String(body.setId || ""), body.question, { index: body.index });
+      return sendJson(res, 200, { question });
+    }
+
+    const questionMatch = url.pathname.match(/^\/api\/questions\/([\w-]+)$/);
+    if (questionMatch) {
+      const questionId = questionMatch[1];
+      if (req.method === "PUT") {
+        const body = await readJson(req);
+        const question = await bank.updateQuestion(String(body.setId || ""), questionId, body.question);
+        return sendJson(res, 200, { question });
+      }
+      if (req.method === "DELETE") {
+        await bank.deleteQuestion(url.searchParams.get("set") || "", questionId);
+        return sendJson(res, 200, { ok: true });
+      }
+    }
+
+    if (url.pathname === "/api/import" && req.method === "POST") {
+      return await handleImport(req, res);
+    }
+
     if (url.pathname === "/api/grade" && req.method === "POST") {
       return await handleGrade(req, res);
     }
 
+    if (url.pathname === "/api/grade/estimate" && req.method === "POST") {
+      return await handleGradeEstimate(req, res);
+    }
+
+    if (url.pathname === "/api/usage" && req.method === "GET") {
+      return sendJson(res, 200, spendingStatus());
+    }
+
+    if (url.pathname === "/api/grade/stream" && req.method === "POST") {
+      return await handleGradeStream(req, res);
+    }
+
+    if (url.pathname === "/api/attempts" && req.method === "GET") {
+      return await handleAttemptsList(req, res, url);
+    }
+
+    if (url.pathname === "/api/review" && req.method === "GET") {
+      return await handleReview(req, res, url);
+    }
+
+    if (url.pathname === "/api/drills" && req.method === "POST") {
+      return await handleDrill(req, res);
+    }
+
+    if (url.pathname === "/api/followup" && req.method === "POST") {
+      return await handleFollowup(req, res);
+    }
+
+    if (url.pathname === "/api/analytics" && req.method === "GET") {
+      return await handleAnalytics(req, res, url);
+    }
+
+    const attemptMatch = url.pathname.match(/^\/api\/attempts\/([\w-]+)$/);
+    if (attemptMatch) {
+      const store = attemptsFor(ownerOf(req));
+      const attempt = store.get(attemptMatch[1]);
+      if (!attempt) return sendError(res, 404, "Attempt not found");
+      if (req.method === "GET") return sendJson(res, 200, { attempt });
+      if (req.method === "DELETE") {
+        await store.remove(attempt.id);
+        return sendJson(res, 200, { ok: true });
+      }
+    }
+
+    if (url.pathname === "/api/exams" && req.method === "GET") {
+      return sendJson(res, 200, { exams: exams.listExams(ownerOf(req)) });
+    }
+
+    if (url.pathname === "/api/exams" && req.method === "POST") {
+      return await handleExamStart(req, res);
+    }
+
+    const examMatch = url.pathname.match(/^\/api\/exams\/([\w-]+)(?:\/(answer|submit))?$/);
+    if (examMatch) {
+      const [, examId, action] = examMatch;
+      if (!action && req.method === "GET") {
+        return sendJson(res, 200, { exam: exams.toPublicExam(exams.getExam(examId, ownerOf(req))) });
+      }
+      if (action === "answer" && req.method === "POST") return await handleExamAnswer(req, res, examId);
+      if (action === "submit" && req.method === "POST") return await handleExamSubmit(req, res, examId);
+    }
+
+    if (url.pathname === "/api/defense/personas" && req.method === "GET") {
+      return sendJson(res, 200, {
+        personas: core.EXAMINER_PERSONAS,
+        defaults: { rounds: defense.DEFAULT_ROUNDS, maxRounds: defense.MAX_ROUNDS, replySeconds: defense.DEFAULT_REPLY_SECONDS }
+      });
+    }
+
+    if (url.pathname === "/api/defense" && req.method === "POST") {
+      return await handleDefenseStart(req, res);
+    }
+
+    const defenseMatch = url.pathname.match(/^\/api\/defense\/([\w-]+)(?:\/(reply|finish))?$/);
+    if (defenseMatch) {
+      const [, sessionId, action] = defenseMatch;
+      if (!action && req.method === "GET") {
+        return sendJson(res, 200, { defense: defense.toPublicDefense(defense.getDefense(sessionId, ownerOf(req))) });
+      }
+      if (action === "reply" && req.method === "POST") return await handleDefenseReply(req, res, sessionId);
+      if (action === "finish" && req.method === "POST") return await handleDefenseFinish(req, res, sessionId);
+    }
+
     if (req.method !== "GET") return sendError(res, 405, "Method not allowed");
     return await serveStatic(req, res, url.pathname);
   } catch (e) {
-    console.error(e);
-    return sendError(res, 500, e?.message || "Internal error");
+    if (!e?.status) console.error(e);
+    return sendError(res, e?.status || 500, e?.message || "Internal error");
   }
 });
 
-server.listen(PORT, HOST, () => {
-  console.log(`LLM exam game running at http://${HOST}:${PORT}`);
-  console.log("Tip: input API key in the UI, or set env OPENAI_API_KEY / GOOGLE_API_KEY / ANTHROPIC_API_KEY.");
+Promise.all([
+  import("./public/grading-core.mjs"),
+  import("./public/review-scheduler.mjs"),
+  import("./public/pacing.mjs"),
+  import("./public/pricing.mjs")
+]).then(([coreModule, reviewModule, pacingModule, pricingModule]) => {
+  core = coreModule;
+  reviewScheduler = reviewModule;
+  pacingEngine = pacingModule;
+  pricing = pricingModule;
+  server.listen(PORT, HOST, () => {
+    console.log(`LLM exam game running at http://${HOST}:${PORT}`);
+    console.log(`API token for scripts (changes every launch): X-Session-Token: ${accessGuard.token}`);
+    if (users) console.log("Accounts enabled (AUTH_INVITE_CODE): classmates register with the invite code, then sign in.");
+    console.log("Tip: input API key in the UI, or set env OPENAI_API_KEY / GOOGLE_API_KEY / ANTHROPIC_API_KEY.");
+  });
 });
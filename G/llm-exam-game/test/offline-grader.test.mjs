@@ -0,0 +1,28 @@
+// Run with: node --test test/
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { gradeOffline } from "../public/offline-grader.mjs";
+
+const questions = JSON.parse(fs.readFileSync(new URL("../data/112-2-research-methods.questions.json", import.meta.url), "utf8")).questions;
+const designAndSampling = questions.find((q) => q.id === "req-3");
+
+const keywordRichAnswer = [
+  "1. 定義：橫斷研究是指在單一時間點收集資料",
+  "2. 分層抽樣：依地區分層後隨機抽出",
+  "3. 優缺點：成本低，但無法確立因果",
+  "4. 步驟：界定母群、建立抽樣框、決定樣本數"
+].join("\n");
+
+test("a keyword-rich answer covers some expected points", () => {
+  const result = gradeOffline({ question: designAndSampling, answer: keywordRichAnswer, maxScore: designAndSampling.points });
+  assert.match(result.rationale, /涵蓋 [1-9]\d*\//);
+  assert.ok(result.score > 0);
+});
+
+test("question tags are not expected points", () => {
+  const result = gradeOffline({ question: designAndSampling, answer: "無關的答案", maxScore: designAndSampling.points });
+  for (const tag of designAndSampling.tags) {
+    assert.ok(!result.missingPoints.includes(tag.replace(/-/g, " ")), `tag "${tag}" listed as a missing point`);
+  }
+});